@@ -0,0 +1,2973 @@
+/**
+ * Headless game core: level loading, the seeded random stream, and the
+ * Level / Drill / Enemy simulation plus GameSession, which runs a whole
+ * campaign, difficulty presets, the high-score table, key bindings, player
+ * settings and gamepad polling. Nothing here touches the DOM, canvas or Web
+ * Audio, so it loads as a plain <script> in the browser and via require()
+ * under Node.
+ * Rendering and audio live in game.js.
+ */
+
+// Simulation advances in fixed steps of this many seconds.
+const FIXED_TIMESTEP = 1 / 60;
+const LEVEL_INTERMISSION_DURATION = 3;
+const DEFAULT_LEVEL_TIME_LIMIT = 150;
+const LEVEL_TILE_LEGEND = ["#", ".", "O", "E", "S", "T", "R"];
+// Power-up pickups: S shield, T clock (extra time), R pipe repair kit.
+const POWER_UP_GLYPHS = ["S", "T", "R"];
+const SHIELD_DURATION = 10;
+const TIME_POWER_UP_SECONDS = 20;
+// Losing a life freezes play for DEATH_SEQUENCE_SECONDS to show what
+// happened, then counts down GET_READY_SECONDS before the new drill can
+// move. The new drill shrugs off enemies for RESPAWN_GRACE_SECONDS.
+const DEATH_SEQUENCE_SECONDS = 1.5;
+const GET_READY_SECONDS = 3;
+const RESPAWN_GRACE_SECONDS = 2;
+// What running out of time does, chosen per level with "timeOut":
+//   suddenDeath - lose a life and play on with SUDDEN_DEATH_SECONDS on the
+//                 clock; running out again ends the run
+//   refill      - lose a life and the clock refills to the level's limit
+//   gameOver    - the run ends on the spot
+const TIME_OUT_RULES = ["suddenDeath", "refill", "gameOver"];
+const DEFAULT_TIME_OUT_RULE = "suddenDeath";
+const SUDDEN_DEATH_SECONDS = 30;
+// Bump when a simulation change makes older recordings play back differently.
+const REPLAY_VERSION = 10;
+// Logical size of the playfield in pixels; Level centers its grid in it.
+const WORLD_WIDTH = 960;
+const WORLD_HEIGHT = 720;
+const HIGH_SCORE_LIMIT = 10;
+
+/**
+ * Every score value in the game.
+ * pellet - points for a pellet on the entry row; each row deeper adds
+ * pelletDepthStep times that (so a pellet 4 rows down is worth 1.4x).
+ * enemies - points by enemy type for destroying it with the drill head.
+ * chainTypes / chainMax - each kill of these types since the drill last
+ * retracted multiplies the next one's points by one more, up to chainMax.
+ * levelComplete - flat bonus for clearing a level, plus timeBonusPerSecond
+ * for every whole second left on the clock.
+ * extraLives - scores that each award a life the first time they're reached.
+ */
+const SCORING = {
+  pellet: 50,
+  pelletDepthStep: 0.1,
+  enemies: { "01": 10, "02": 0, "03": 25, "04": 250 },
+  chainTypes: ["01"],
+  chainMax: 5,
+  levelComplete: 1000,
+  timeBonusPerSecond: 10,
+  extraLives: [5000, 15000, 30000, 50000],
+};
+
+/**
+ * Difficulty presets by id. lives is the starting count; timeScale multiplies
+ * every level's time limit; drillSpeed is in pixels per second; enemySpeed
+ * multiplies enemy speeds; a retract held for a second moves
+ * 1 + retractAcceleration times as fast as it started.
+ */
+const DIFFICULTY_PRESETS = {
+  easy: {
+    label: "Easy",
+    lives: 5,
+    timeScale: 1.3,
+    drillSpeed: 200,
+    enemySpeed: 0.8,
+    retractAcceleration: 20,
+  },
+  normal: {
+    label: "Normal",
+    lives: 3,
+    timeScale: 1,
+    drillSpeed: 200,
+    enemySpeed: 1,
+    retractAcceleration: 15,
+  },
+  hard: {
+    label: "Hard",
+    lives: 2,
+    timeScale: 0.8,
+    drillSpeed: 190,
+    enemySpeed: 1.25,
+    retractAcceleration: 10,
+  },
+  arcade: {
+    label: "Arcade",
+    lives: 1,
+    timeScale: 0.6,
+    drillSpeed: 240,
+    enemySpeed: 1.4,
+    retractAcceleration: 15,
+  },
+};
+const DIFFICULTY_IDS = Object.keys(DIFFICULTY_PRESETS);
+const DEFAULT_DIFFICULTY = "normal";
+/**
+ * Enemy archetypes by type id.
+ *
+ * movement - "lane" slides straight along its row, ignoring rock; "tunnel"
+ * walks the open tiles, turning into shafts at junctions; "homing" burrows
+ * toward the closest point of the pipe and drifts along its lane while the
+ * drill is docked.
+ * speed - [min, max) pixels per second.
+ * radius - collision radius as a fraction of the tile size (at least 8px).
+ * vulnerable - the drill head destroys it for its SCORING.enemies points;
+ * otherwise touching the head costs a life.
+ * harmsPipe - touching the pipe costs a life.
+ * respawnDelay / destroyedDelay - [min, max) seconds before it comes back
+ * after leaving the level or being destroyed.
+ * animSpeed - animation clock rate while active.
+ * sprite - which EnemyRenderer drawing game.js uses.
+ */
+const ENEMY_TYPES = {
+  "01": {
+    name: "Spider",
+    movement: "tunnel",
+    speed: [60, 100],
+    radius: 0.25,
+    vulnerable: true,
+    harmsPipe: true,
+    respawnDelay: [4, 6],
+    destroyedDelay: [5, 7],
+    animSpeed: 10,
+    sprite: "spider",
+  },
+  "02": {
+    name: "Worm",
+    movement: "lane",
+    speed: [60, 100],
+    radius: 0.25,
+    vulnerable: false,
+    harmsPipe: true,
+    respawnDelay: [4, 6],
+    destroyedDelay: [5, 7],
+    animSpeed: 3,
+    sprite: "worm",
+  },
+  "03": {
+    name: "Mine",
+    movement: "homing",
+    speed: [30, 45],
+    radius: 0.22,
+    vulnerable: true,
+    harmsPipe: true,
+    respawnDelay: [6, 9],
+    destroyedDelay: [8, 12],
+    animSpeed: 6,
+    sprite: "mine",
+  },
+  "04": {
+    name: "Gold beetle",
+    movement: "tunnel",
+    speed: [170, 200],
+    radius: 0.2,
+    vulnerable: true,
+    harmsPipe: false,
+    respawnDelay: [15, 25],
+    destroyedDelay: [25, 35],
+    animSpeed: 14,
+    sprite: "beetle",
+  },
+};
+// Chance a tunnel walker keeps going straight through a junction.
+const TUNNEL_STRAIGHT_BIAS = 0.5;
+const DIRECTIONS = [
+  { dx: 1, dy: 0 },
+  { dx: -1, dy: 0 },
+  { dx: 0, dy: 1 },
+  { dx: 0, dy: -1 },
+];
+
+/**
+ * Raised when a level definition fails validation. `row` and `column` are
+ * zero-based map coordinates when the problem is tied to a tile, otherwise null.
+ */
+class LevelFormatError extends Error {
+  constructor(message, row = null, column = null) {
+    const location =
+      row === null ? "" : column === null ? `Row ${row}: ` : `Row ${row}, column ${column}: `;
+    super(`${location}${message}`);
+    this.name = "LevelFormatError";
+    this.row = row;
+    this.column = column;
+  }
+}
+
+/**
+ * Validates a level definition (a JSON string or an already-parsed object)
+ * and returns a normalized copy:
+ * { name, timeLimit, timeOut, entryColumn, enemyLanes, spawns, ramps, map }.
+ */
+function parseLevelDefinition(source) {
+  let data = source;
+  if (typeof source === "string") {
+    try {
+      data = JSON.parse(source);
+    } catch (e) {
+      throw new LevelFormatError(`Level file is not valid JSON (${e.message})`);
+    }
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new LevelFormatError("Level definition must be a JSON object");
+  }
+
+  const { map } = data;
+  if (!Array.isArray(map) || map.length < 3) {
+    throw new LevelFormatError('"map" must be an array of at least 3 row strings');
+  }
+  const width = typeof map[0] === "string" ? map[0].length : 0;
+  if (width === 0) {
+    throw new LevelFormatError("Expected a non-empty string of tiles", 0);
+  }
+
+  let pelletCount = 0;
+  map.forEach((row, y) => {
+    if (typeof row !== "string") {
+      throw new LevelFormatError("Expected a string of tiles", y);
+    }
+    if (row.length !== width) {
+      throw new LevelFormatError(`Expected ${width} tiles but found ${row.length}`, y);
+    }
+    for (let x = 0; x < width; x += 1) {
+      const tile = row[x];
+      if (!LEVEL_TILE_LEGEND.includes(tile)) {
+        throw new LevelFormatError(
+          `Unknown tile "${tile}" (expected one of ${LEVEL_TILE_LEGEND.join(" ")})`,
+          y,
+          x
+        );
+      }
+      if (tile === "O") {
+        pelletCount += 1;
+      }
+    }
+  });
+  if (pelletCount === 0) {
+    throw new LevelFormatError('Map must contain at least one pellet ("O")');
+  }
+
+  const name = data.name === undefined ? "Untitled" : data.name;
+  if (typeof name !== "string" || name.trim() === "") {
+    throw new LevelFormatError('"name" must be a non-empty string');
+  }
+
+  const timeLimit = data.timeLimit === undefined ? DEFAULT_LEVEL_TIME_LIMIT : data.timeLimit;
+  if (typeof timeLimit !== "number" || !Number.isFinite(timeLimit) || timeLimit <= 0) {
+    throw new LevelFormatError('"timeLimit" must be a positive number of seconds');
+  }
+
+  const timeOut = data.timeOut === undefined ? DEFAULT_TIME_OUT_RULE : data.timeOut;
+  if (!TIME_OUT_RULES.includes(timeOut)) {
+    throw new LevelFormatError(`"timeOut" must be one of ${TIME_OUT_RULES.join(", ")}`);
+  }
+
+  const entryRow = 1;
+  let entryColumn = null;
+  if (data.entryColumn !== undefined && data.entryColumn !== null) {
+    entryColumn = data.entryColumn;
+    if (!Number.isInteger(entryColumn) || entryColumn < 0 || entryColumn >= width) {
+      throw new LevelFormatError(`"entryColumn" must be an integer from 0 to ${width - 1}`);
+    }
+    if (map[entryRow][entryColumn] === "#") {
+      throw new LevelFormatError("Entry column must be an open tunnel tile", entryRow, entryColumn);
+    }
+  }
+
+  let enemyLanes = null;
+  if (data.enemyLanes !== undefined && data.enemyLanes !== null) {
+    if (!Array.isArray(data.enemyLanes)) {
+      throw new LevelFormatError('"enemyLanes" must be an array of row numbers');
+    }
+    enemyLanes = data.enemyLanes.map((row) => {
+      if (!Number.isInteger(row) || row < 0 || row >= map.length) {
+        throw new LevelFormatError(`Enemy lane ${row} is not a row from 0 to ${map.length - 1}`);
+      }
+      if (!map[row].split("").some((tile) => tile !== "#")) {
+        throw new LevelFormatError("Enemy lane has no open tiles", row);
+      }
+      return row;
+    });
+  }
+
+  const spawns =
+    data.spawns === undefined || data.spawns === null ? null : parseSpawnList(data.spawns, map, '"spawns"');
+  const ramps = data.ramps === undefined || data.ramps === null ? null : parseRamps(data.ramps, map);
+
+  const entryX = entryColumn === null ? findDefaultEntryColumn(map, entryRow) : entryColumn;
+  if (entryX === null) {
+    throw new LevelFormatError("No open tile for the drill to enter", entryRow);
+  }
+  const reachable = findReachableTiles(map, entryX, entryRow);
+  map.forEach((row, y) => {
+    for (let x = 0; x < width; x += 1) {
+      if (row[x] === "O" && !reachable.has(`${x},${y}`)) {
+        throw new LevelFormatError("Pellet cannot be reached from the entry tile", y, x);
+      }
+    }
+  });
+
+  return {
+    name,
+    timeLimit,
+    timeOut,
+    entryColumn,
+    enemyLanes,
+    spawns,
+    ramps,
+    map: [...map],
+  };
+}
+
+const SPAWN_SIDES = ["both", "left", "right"];
+
+/**
+ * Validates a list of spawn entries and fills in defaults:
+ * { lane, type, count = 1, side = "both", delay = 0, stagger = 1.5 }.
+ */
+function parseSpawnList(list, map, label) {
+  if (!Array.isArray(list)) {
+    throw new LevelFormatError(`${label} must be an array of spawn entries`);
+  }
+  return list.map((entry, index) => {
+    const where = `${label} entry ${index}`;
+    if (!entry || typeof entry !== "object") {
+      throw new LevelFormatError(`${where} must be an object`);
+    }
+    const { lane, type, count = 1, side = "both", delay = 0, stagger = 1.5 } = entry;
+    if (!Number.isInteger(lane) || lane < 0 || lane >= map.length) {
+      throw new LevelFormatError(`${where}: "lane" must be a row from 0 to ${map.length - 1}`);
+    }
+    if (!map[lane].split("").some((tile) => tile !== "#")) {
+      throw new LevelFormatError(`${where}: lane has no open tiles`, lane);
+    }
+    if (!Object.prototype.hasOwnProperty.call(ENEMY_TYPES, type)) {
+      throw new LevelFormatError(
+        `${where}: unknown enemy type "${type}" (expected one of ${Object.keys(ENEMY_TYPES).join(" ")})`
+      );
+    }
+    if (!Number.isInteger(count) || count < 1) {
+      throw new LevelFormatError(`${where}: "count" must be a positive integer`);
+    }
+    if (!SPAWN_SIDES.includes(side)) {
+      throw new LevelFormatError(`${where}: "side" must be one of ${SPAWN_SIDES.join(", ")}`);
+    }
+    [
+      ["delay", delay],
+      ["stagger", stagger],
+    ].forEach(([field, value]) => {
+      if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+        throw new LevelFormatError(`${where}: "${field}" must be a non-negative number of seconds`);
+      }
+    });
+    return { lane, type, count, side, delay, stagger };
+  });
+}
+
+/**
+ * Validates difficulty ramps and returns them ordered by when they kick in:
+ * { below, speed = 1, respawn = 1, spawns = [] }, highest `below` first.
+ */
+function parseRamps(list, map) {
+  if (!Array.isArray(list)) {
+    throw new LevelFormatError('"ramps" must be an array of ramp entries');
+  }
+  const ramps = list.map((entry, index) => {
+    const where = `"ramps" entry ${index}`;
+    if (!entry || typeof entry !== "object") {
+      throw new LevelFormatError(`${where} must be an object`);
+    }
+    const { below, speed = 1, respawn = 1 } = entry;
+    [
+      ["below", below],
+      ["speed", speed],
+      ["respawn", respawn],
+    ].forEach(([field, value]) => {
+      if (typeof value !== "number" || !Number.isFinite(value) || value <= 0) {
+        throw new LevelFormatError(`${where}: "${field}" must be a positive number`);
+      }
+    });
+    const spawns = entry.spawns === undefined ? [] : parseSpawnList(entry.spawns, map, `${where} spawns`);
+    return { below, speed, respawn, spawns };
+  });
+  return ramps.sort((a, b) => b.below - a.below);
+}
+
+// Open tile on the entry row closest to the center column, or null.
+function findDefaultEntryColumn(map, entryRow) {
+  const width = map[entryRow].length;
+  const centerCol = Math.floor(width / 2);
+  for (let offset = 0; offset < width; offset += 1) {
+    const left = centerCol - offset;
+    if (left >= 0 && map[entryRow][left] !== "#") {
+      return left;
+    }
+    const right = centerCol + offset;
+    if (right < width && map[entryRow][right] !== "#") {
+      return right;
+    }
+  }
+  return null;
+}
+
+// Flood fill of open tiles from (startX, startY); returns a Set of "x,y" keys.
+function findReachableTiles(map, startX, startY) {
+  const reachable = new Set([`${startX},${startY}`]);
+  const queue = [{ x: startX, y: startY }];
+  while (queue.length > 0) {
+    const { x, y } = queue.shift();
+    const neighbors = [
+      { x: x + 1, y },
+      { x: x - 1, y },
+      { x, y: y + 1 },
+      { x, y: y - 1 },
+    ];
+    for (const next of neighbors) {
+      const row = map[next.y];
+      if (!row || next.x < 0 || next.x >= row.length || row[next.x] === "#") {
+        continue;
+      }
+      const key = `${next.x},${next.y}`;
+      if (!reachable.has(key)) {
+        reachable.add(key);
+        queue.push(next);
+      }
+    }
+  }
+  return reachable;
+}
+
+/**
+ * Small seeded PRNG (mulberry32). Seeds may be numbers or strings; equal seeds
+ * always produce the same sequence.
+ */
+class SeededRandom {
+  constructor(seed = 1) {
+    this.seed = typeof seed === "number" ? seed >>> 0 : hashSeed(String(seed));
+    this.state = this.seed;
+  }
+
+  // Uniform float in [0, 1).
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Uniform float in [min, max).
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  // Uniform integer in [min, max].
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  pick(items) {
+    return items[Math.floor(this.next() * items.length)];
+  }
+
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  shuffle(items) {
+    for (let i = items.length - 1; i > 0; i -= 1) {
+      const j = Math.floor(this.next() * (i + 1));
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  }
+}
+
+// FNV-1a hash used to turn string seeds into 32-bit integers.
+function hashSeed(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Seed shared by every player on the same local calendar day.
+function dailySeed(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Generates a level definition from a seed. Odd rows are enemy lanes (each
+ * more than 60% open), joined by vertical shafts so that every open tile is
+ * reachable from the entry tile along a simple, non-crossing path.
+ */
+function generateTunnelMap(options = {}) {
+  const {
+    width = 30,
+    height = 17,
+    seed = 1,
+    name = `Generated #${seed}`,
+    timeLimit = DEFAULT_LEVEL_TIME_LIMIT,
+  } = options;
+  if (!Number.isInteger(width) || width < 8) {
+    throw new RangeError("Generated levels must be at least 8 tiles wide");
+  }
+  if (!Number.isInteger(height) || height < 5) {
+    throw new RangeError("Generated levels must be at least 5 tiles tall");
+  }
+
+  const rng = new SeededRandom(seed);
+  const tiles = Array.from({ length: height }, () => new Array(width).fill("#"));
+  const laneRows = [];
+  for (let y = 1; y < height - 1; y += 2) {
+    laneRows.push(y);
+  }
+
+  // Lanes below the entry row may get a short rock plug. Plugs keep at least
+  // three open tiles on each side so a shaft can always reach both halves.
+  for (const y of laneRows) {
+    tiles[y].fill(".");
+    if (y !== 1 && rng.chance(0.5)) {
+      const plugWidth = rng.int(1, 2);
+      const plugX = rng.int(3, width - 3 - plugWidth);
+      for (let x = plugX; x < plugX + plugWidth; x += 1) {
+        tiles[y][x] = "#";
+      }
+    }
+  }
+
+  // Every open segment of a lane gets a shaft up to the lane above, which is
+  // already connected to the entry, plus a few extra shafts for loops.
+  for (let i = 1; i < laneRows.length; i += 1) {
+    const y = laneRows[i];
+    const above = y - 2;
+    const canDig = (x) =>
+      tiles[y][x] !== "#" &&
+      tiles[above][x] !== "#" &&
+      tiles[y - 1][x - 1] !== "." &&
+      tiles[y - 1][x + 1] !== ".";
+    for (const segment of findOpenSegments(tiles[y])) {
+      const candidates = [];
+      for (let x = segment.start; x <= segment.end; x += 1) {
+        if (tiles[above][x] !== "#") {
+          candidates.push(x);
+        }
+      }
+      tiles[y - 1][rng.pick(candidates)] = ".";
+    }
+    const extraShafts = rng.int(0, Math.max(1, Math.floor(width / 12)));
+    for (let n = 0; n < extraShafts; n += 1) {
+      const x = rng.int(1, width - 2);
+      if (canDig(x)) {
+        tiles[y - 1][x] = ".";
+      }
+    }
+  }
+
+  const entryX = findDefaultEntryColumn(tiles, 1);
+  const openTiles = [];
+  const laneTiles = [];
+  tiles.forEach((row, y) => {
+    row.forEach((tile, x) => {
+      if (tile === "#" || (x === entryX && y === 1)) {
+        return;
+      }
+      openTiles.push({ x, y });
+      if (laneRows.includes(y)) {
+        laneTiles.push({ x, y });
+      }
+    });
+  });
+
+  const pelletCount = Math.min(
+    openTiles.length,
+    options.pellets ?? Math.max(1, laneRows.length * 3)
+  );
+  for (const { x, y } of rng.shuffle(openTiles).slice(0, pelletCount)) {
+    tiles[y][x] = "O";
+  }
+  const spawnCandidates = laneTiles.filter(({ x, y }) => tiles[y][x] === ".");
+  for (const { x, y } of rng.shuffle(spawnCandidates).slice(0, laneRows.length * 2)) {
+    tiles[y][x] = "E";
+  }
+
+  const map = tiles.map((row) => row.join(""));
+  const laneCount = map.filter(
+    (row) => row.split("").filter((tile) => tile !== "#").length > width * 0.6
+  ).length;
+  if (laneCount < laneRows.length) {
+    throw new Error(`Generated map for seed ${seed} has too few enemy lanes`);
+  }
+  // Validation re-checks that every pellet is reachable from the entry tile.
+  return { ...parseLevelDefinition({ name, timeLimit, map }), seed };
+}
+
+// Runs of consecutive open tiles in a row, as inclusive { start, end } ranges.
+function findOpenSegments(row) {
+  const segments = [];
+  let start = null;
+  for (let x = 0; x <= row.length; x += 1) {
+    const open = x < row.length && row[x] !== "#";
+    if (open && start === null) {
+      start = x;
+    } else if (!open && start !== null) {
+      segments.push({ start, end: x - 1 });
+      start = null;
+    }
+  }
+  return segments;
+}
+
+/**
+ * A fixed, ordered list of level definitions.
+ */
+class LevelCampaign {
+  constructor(levels) {
+    this.levels = levels;
+    this.levelCount = levels.length;
+  }
+
+  getLevel(index) {
+    return this.levels[index];
+  }
+
+  toDescriptor() {
+    return { type: "levels", levels: this.levels };
+  }
+}
+
+/**
+ * Generated levels derived from one seed. Endless by default; a daily
+ * challenge is a single level seeded from the date.
+ */
+class GeneratedCampaign {
+  constructor(seed, { levelCount = Infinity, label = "Endless" } = {}) {
+    this.seed = seed;
+    this.levelCount = levelCount;
+    this.label = label;
+  }
+
+  getLevel(index) {
+    return generateTunnelMap({
+      seed: `${this.seed}:${index}`,
+      name: `${this.label} ${index + 1} · seed ${this.seed}`,
+      pellets: Math.min(40, 18 + index * 3),
+    });
+  }
+
+  toDescriptor() {
+    return {
+      type: "generated",
+      seed: this.seed,
+      levelCount: Number.isFinite(this.levelCount) ? this.levelCount : null,
+      label: this.label,
+    };
+  }
+}
+
+// Rebuilds a campaign from the descriptor stored in a replay.
+function campaignFromDescriptor(descriptor) {
+  if (descriptor.type === "generated") {
+    return new GeneratedCampaign(descriptor.seed, {
+      levelCount: descriptor.levelCount ?? Infinity,
+      label: descriptor.label,
+    });
+  }
+  return new LevelCampaign(descriptor.levels.map((level) => parseLevelDefinition(level)));
+}
+
+class ReplayFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ReplayFormatError";
+  }
+}
+
+const REPLAY_ACTIONS = ["setDirection", "startRetract", "stopRetract", "setRetractThrottle", "restartLevel"];
+
+/**
+ * Validates a replay (JSON string or parsed object) as saved by PlayState:
+ * { version, seed, difficulty, campaign, ticks, outcome, finalScore, recordedAt,
+ * inputs }.
+ */
+function parseReplay(source) {
+  let data = source;
+  if (typeof source === "string") {
+    try {
+      data = JSON.parse(source);
+    } catch (e) {
+      throw new ReplayFormatError(`Replay is not valid JSON (${e.message})`);
+    }
+  }
+  if (!data || typeof data !== "object") {
+    throw new ReplayFormatError("Replay must be a JSON object");
+  }
+  if (data.version !== REPLAY_VERSION) {
+    throw new ReplayFormatError(`Unsupported replay version ${data.version}`);
+  }
+  if (typeof data.seed !== "number" && typeof data.seed !== "string") {
+    throw new ReplayFormatError('"seed" must be a number or string');
+  }
+  // Replays recorded before difficulty presets existed played on Normal.
+  if (data.difficulty !== undefined && !DIFFICULTY_IDS.includes(data.difficulty)) {
+    throw new ReplayFormatError(`Unknown difficulty "${data.difficulty}"`);
+  }
+  const { campaign } = data;
+  const validCampaign =
+    campaign &&
+    ((campaign.type === "levels" && Array.isArray(campaign.levels) && campaign.levels.length > 0) ||
+      (campaign.type === "generated" &&
+        (typeof campaign.seed === "number" || typeof campaign.seed === "string")));
+  if (!validCampaign) {
+    throw new ReplayFormatError('"campaign" must describe a level list or a generated campaign');
+  }
+  if (!Number.isInteger(data.ticks) || data.ticks < 0) {
+    throw new ReplayFormatError('"ticks" must be a non-negative integer');
+  }
+  if (!Array.isArray(data.inputs)) {
+    throw new ReplayFormatError('"inputs" must be an array');
+  }
+  let lastTick = 0;
+  data.inputs.forEach((input, index) => {
+    if (!input || !Number.isInteger(input.tick) || input.tick < lastTick) {
+      throw new ReplayFormatError(`Input ${index} has an invalid or out-of-order tick`);
+    }
+    if (!REPLAY_ACTIONS.includes(input.action)) {
+      throw new ReplayFormatError(`Input ${index} has unknown action "${input.action}"`);
+    }
+    lastTick = input.tick;
+  });
+  return data;
+}
+
+/**
+ * Key/value store with the getItem/setItem/removeItem shape of localStorage,
+ * held in memory. Used by tests and when localStorage is unavailable.
+ */
+class MemoryStore {
+  constructor() {
+    this.values = new Map();
+  }
+
+  getItem(key) {
+    return this.values.has(key) ? this.values.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.values.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.values.delete(key);
+  }
+}
+
+/**
+ * The local leaderboard: the best HIGH_SCORE_LIMIT runs, highest first,
+ * persisted as JSON under `key` in a localStorage-style store. Entries are
+ * { name, score, level, timeRemaining, date } where level is the one-based
+ * level reached and date is YYYY-MM-DD.
+ */
+class HighScoreTable {
+  constructor(store, { key = "highScores", limit = HIGH_SCORE_LIMIT } = {}) {
+    this.store = store;
+    this.key = key;
+    this.limit = limit;
+    this.entries = this.load();
+  }
+
+  // Unreadable or hand-edited data is dropped rather than breaking the menu.
+  load() {
+    let data = null;
+    try {
+      data = JSON.parse(this.store.getItem(this.key));
+    } catch (e) {
+      return [];
+    }
+    if (!Array.isArray(data)) {
+      return [];
+    }
+    return data
+      .filter(
+        (entry) =>
+          entry &&
+          typeof entry.name === "string" &&
+          Number.isFinite(entry.score) &&
+          Number.isInteger(entry.level) &&
+          Number.isFinite(entry.timeRemaining) &&
+          typeof entry.date === "string"
+      )
+      // Entries saved before difficulty presets existed were played on Normal.
+      .map((entry) =>
+        DIFFICULTY_IDS.includes(entry.difficulty) ? entry : { ...entry, difficulty: DEFAULT_DIFFICULTY }
+      )
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.limit);
+  }
+
+  save() {
+    try {
+      this.store.setItem(this.key, JSON.stringify(this.entries));
+    } catch (e) {
+      console.warn("Could not save high scores:", e);
+    }
+  }
+
+  qualifies(score) {
+    if (score <= 0) {
+      return false;
+    }
+    return this.entries.length < this.limit || score > this.entries[this.entries.length - 1].score;
+  }
+
+  /**
+   * Inserts a run below any equal scores already on the table and returns
+   * its zero-based rank, or -1 if it didn't make the cut.
+   */
+  add({
+    name,
+    score,
+    level,
+    timeRemaining,
+    difficulty = DEFAULT_DIFFICULTY,
+    date = new Date().toISOString().slice(0, 10),
+  }) {
+    if (!this.qualifies(score)) {
+      return -1;
+    }
+    let rank = this.entries.findIndex((entry) => score > entry.score);
+    if (rank === -1) {
+      rank = this.entries.length;
+    }
+    this.entries.splice(rank, 0, { name, score, level, timeRemaining, difficulty, date });
+    this.entries.length = Math.min(this.entries.length, this.limit);
+    this.save();
+    return rank;
+  }
+}
+
+// Player actions the keyboard drives. The Move actions also navigate menus.
+const INPUT_ACTIONS = [
+  "MoveUp",
+  "MoveDown",
+  "MoveLeft",
+  "MoveRight",
+  "Retract",
+  "Pause",
+  "Mute",
+  "Confirm",
+  "Back",
+];
+const SHARED_KEY_BINDINGS = {
+  Retract: ["Space"],
+  Pause: ["Escape", "KeyP"],
+  Mute: ["KeyM"],
+  Confirm: ["Enter", "NumpadEnter"],
+  Back: ["Escape"],
+};
+
+/**
+ * Keyboard presets by id. Bindings map each action to KeyboardEvent.code
+ * values, which name key positions rather than the letters printed on them,
+ * so WASD stays under the left hand on any layout. The letter presets keep
+ * the arrow keys as a second binding.
+ */
+const CONTROL_PRESETS = {
+  arrows: {
+    label: "Arrows",
+    bindings: {
+      MoveUp: ["ArrowUp"],
+      MoveDown: ["ArrowDown"],
+      MoveLeft: ["ArrowLeft"],
+      MoveRight: ["ArrowRight"],
+      ...SHARED_KEY_BINDINGS,
+    },
+  },
+  wasd: {
+    label: "WASD",
+    bindings: {
+      MoveUp: ["KeyW", "ArrowUp"],
+      MoveDown: ["KeyS", "ArrowDown"],
+      MoveLeft: ["KeyA", "ArrowLeft"],
+      MoveRight: ["KeyD", "ArrowRight"],
+      ...SHARED_KEY_BINDINGS,
+    },
+  },
+  ijkl: {
+    label: "IJKL",
+    bindings: {
+      MoveUp: ["KeyI", "ArrowUp"],
+      MoveDown: ["KeyK", "ArrowDown"],
+      MoveLeft: ["KeyJ", "ArrowLeft"],
+      MoveRight: ["KeyL", "ArrowRight"],
+      ...SHARED_KEY_BINDINGS,
+    },
+  },
+};
+const CONTROL_PRESET_IDS = Object.keys(CONTROL_PRESETS);
+const DEFAULT_CONTROL_PRESET = "arrows";
+
+/**
+ * The player's keyboard bindings, persisted as JSON under `key` in a
+ * localStorage-style store as { preset, bindings }. `preset` is the id of the
+ * preset last applied, or "custom" once a key has been rebound.
+ */
+class KeyBindings {
+  constructor(store, { key = "controls" } = {}) {
+    this.store = store;
+    this.key = key;
+    this.preset = DEFAULT_CONTROL_PRESET;
+    this.bindings = copyBindings(CONTROL_PRESETS[DEFAULT_CONTROL_PRESET].bindings);
+    this.load();
+  }
+
+  // Unreadable data is ignored, and actions missing from it keep the default
+  // preset's keys.
+  load() {
+    let data = null;
+    try {
+      data = JSON.parse(this.store.getItem(this.key));
+    } catch (e) {
+      return;
+    }
+    if (!data || typeof data !== "object" || !data.bindings || typeof data.bindings !== "object") {
+      return;
+    }
+    for (const action of INPUT_ACTIONS) {
+      const codes = data.bindings[action];
+      if (Array.isArray(codes) && codes.every((code) => typeof code === "string")) {
+        this.bindings[action] = [...codes];
+      }
+    }
+    if (CONTROL_PRESET_IDS.includes(data.preset) || data.preset === "custom") {
+      this.preset = data.preset;
+    }
+  }
+
+  save() {
+    try {
+      this.store.setItem(this.key, JSON.stringify({ preset: this.preset, bindings: this.bindings }));
+    } catch (e) {
+      console.warn("Could not save controls:", e);
+    }
+  }
+
+  applyPreset(id) {
+    if (!CONTROL_PRESET_IDS.includes(id)) {
+      throw new Error(`Unknown control preset "${id}"`);
+    }
+    this.preset = id;
+    this.bindings = copyBindings(CONTROL_PRESETS[id].bindings);
+    this.save();
+  }
+
+  /**
+   * Makes `code` the only key for `action`. Any other action that had `code`
+   * gets one of `action`'s old keys in its place, preferring one nothing else
+   * uses, so a rebind swaps keys rather than leaving an action short. Returns
+   * the swaps as [{ action, code }].
+   */
+  bind(action, code) {
+    if (!INPUT_ACTIONS.includes(action)) {
+      throw new Error(`Unknown input action "${action}"`);
+    }
+    const oldKeys = this.bindings[action].filter((bound) => bound !== code);
+    this.bindings[action] = [code];
+    const isFree = (key) => this.actionsFor(key).length === 0;
+    const swaps = [];
+    for (const other of INPUT_ACTIONS) {
+      const keys = this.bindings[other];
+      const index = keys.indexOf(code);
+      if (other === action || index === -1) {
+        continue;
+      }
+      const replacement = oldKeys.find(isFree) || oldKeys.find((key) => !keys.includes(key));
+      if (replacement) {
+        keys.splice(index, 1, replacement);
+        swaps.push({ action: other, code: replacement });
+      } else {
+        keys.splice(index, 1);
+      }
+    }
+    this.preset = "custom";
+    this.save();
+    return swaps;
+  }
+
+  actionsFor(code) {
+    return INPUT_ACTIONS.filter((action) => this.bindings[action].includes(code));
+  }
+
+  keysFor(action) {
+    return this.bindings[action];
+  }
+}
+
+function copyBindings(bindings) {
+  const copy = {};
+  for (const action of INPUT_ACTIONS) {
+    copy[action] = [...bindings[action]];
+  }
+  return copy;
+}
+
+// Volume channels the settings screen exposes: everything, one-shot sound
+// effects, and the looping drill hum. Each is a 0..1 multiplier.
+const VOLUME_CHANNELS = ["master", "sfx", "drillLoop"];
+const VOLUME_STEP = 0.1;
+
+/**
+ * Audio and effects preferences, persisted as JSON under `key` in a
+ * localStorage-style store as { volumes, muted, reducedEffects, screenShake }.
+ */
+class PlayerSettings {
+  /**
+   * options.touchPad - whether the on-screen pad starts shown before the
+   * player picks; the browser passes true on touch screens.
+   */
+  constructor(store, { key = "settings", touchPad = false } = {}) {
+    this.store = store;
+    this.key = key;
+    this.volumes = { master: 1, sfx: 1, drillLoop: 1 };
+    this.muted = false;
+    // Tones down decorative motion and flashes, screen shake included.
+    this.reducedEffects = false;
+    this.screenShake = true;
+    this.difficulty = DEFAULT_DIFFICULTY;
+    this.touchPad = touchPad;
+    // Retract follows how far the trigger is pulled rather than on/off.
+    this.analogTrigger = true;
+    this.load();
+  }
+
+  // Unreadable data is ignored; missing or malformed fields keep their
+  // defaults.
+  load() {
+    let data = null;
+    try {
+      data = JSON.parse(this.store.getItem(this.key));
+    } catch (e) {
+      return;
+    }
+    if (!data || typeof data !== "object") {
+      return;
+    }
+    const volumes = data.volumes && typeof data.volumes === "object" ? data.volumes : {};
+    for (const channel of VOLUME_CHANNELS) {
+      if (Number.isFinite(volumes[channel])) {
+        this.volumes[channel] = clampVolume(volumes[channel]);
+      }
+    }
+    if (typeof data.muted === "boolean") {
+      this.muted = data.muted;
+    }
+    if (typeof data.reducedEffects === "boolean") {
+      this.reducedEffects = data.reducedEffects;
+    }
+    if (typeof data.screenShake === "boolean") {
+      this.screenShake = data.screenShake;
+    }
+    if (DIFFICULTY_IDS.includes(data.difficulty)) {
+      this.difficulty = data.difficulty;
+    }
+    if (typeof data.touchPad === "boolean") {
+      this.touchPad = data.touchPad;
+    }
+    if (typeof data.analogTrigger === "boolean") {
+      this.analogTrigger = data.analogTrigger;
+    }
+  }
+
+  save() {
+    try {
+      this.store.setItem(
+        this.key,
+        JSON.stringify({
+          volumes: this.volumes,
+          muted: this.muted,
+          reducedEffects: this.reducedEffects,
+          screenShake: this.screenShake,
+          difficulty: this.difficulty,
+          touchPad: this.touchPad,
+          analogTrigger: this.analogTrigger,
+        })
+      );
+    } catch (e) {
+      console.warn("Could not save settings:", e);
+    }
+  }
+
+  setVolume(channel, value) {
+    if (!VOLUME_CHANNELS.includes(channel)) {
+      throw new Error(`Unknown volume channel "${channel}"`);
+    }
+    this.volumes[channel] = clampVolume(value);
+    this.save();
+  }
+
+  // Moves a volume by whole VOLUME_STEPs, e.g. -1 for one notch quieter.
+  stepVolume(channel, steps) {
+    this.setVolume(channel, this.volumes[channel] + steps * VOLUME_STEP);
+  }
+
+  setMuted(muted) {
+    this.muted = muted;
+    this.save();
+  }
+
+  setReducedEffects(enabled) {
+    this.reducedEffects = enabled;
+    this.save();
+  }
+
+  setScreenShake(enabled) {
+    this.screenShake = enabled;
+    this.save();
+  }
+
+  setDifficulty(difficulty) {
+    if (!DIFFICULTY_IDS.includes(difficulty)) {
+      throw new Error(`Unknown difficulty "${difficulty}"`);
+    }
+    this.difficulty = difficulty;
+    this.save();
+  }
+
+  setTouchPad(enabled) {
+    this.touchPad = enabled;
+    this.save();
+  }
+
+  setAnalogTrigger(enabled) {
+    this.analogTrigger = enabled;
+    this.save();
+  }
+}
+
+// Clamps to 0..1 and rounds off float drift so stepped values stay tidy.
+function clampVolume(value) {
+  return Math.round(Math.min(1, Math.max(0, value)) * 100) / 100;
+}
+
+// Everything the simulation announces, with the payload each one carries:
+//   drillMoving       { dx, dy } - the drill set off toward its next tile
+//   drillStopped      {} - it came to rest, or the level was restarted
+//   retractStarted    {}
+//   pelletCollected   { tileX, tileY, score }
+//   powerUpCollected  { glyph, tileX, tileY }
+//   levelComplete     { levelIndex, bonus, timeBonus }
+//   enemyDestroyed    { type, x, y, score, cause, chain } - cause is "drill"
+//                     or "repairKit"; chain is the kill chain it extended,
+//                     or 0
+//   extraLife         { livesLeft, score } - score is the mark that earned it
+//   pipeHit           { type, x, y } - an enemy got the drill head or pipe
+//   lifeLost          { livesLeft }
+//   timeWarning       { secondsLeft } - once a second under 30 seconds
+//   timeExpired       { rule } - the clock hit zero; rule is the level's
+//                     timeOut rule
+//   runEnded          { outcome } - "gameOver" or "campaignComplete"
+const GAME_EVENT_TYPES = [
+  "drillMoving",
+  "drillStopped",
+  "retractStarted",
+  "pelletCollected",
+  "powerUpCollected",
+  "levelComplete",
+  "enemyDestroyed",
+  "pipeHit",
+  "lifeLost",
+  "extraLife",
+  "timeWarning",
+  "timeExpired",
+  "runEnded",
+];
+
+/**
+ * Event bus a GameSession and its Drill emit on. Listeners run synchronously
+ * inside the tick that raised the event, so they may read the session but
+ * must not change it: replays rely on the simulation running the same with
+ * or without them. Sound, effects and stats all hang off this.
+ */
+class GameEvents {
+  constructor() {
+    this.listeners = new Map(GAME_EVENT_TYPES.map((type) => [type, []]));
+  }
+
+  // Returns a function that removes the listener again.
+  on(type, listener) {
+    this.listenersFor(type).push(listener);
+    return () => this.off(type, listener);
+  }
+
+  off(type, listener) {
+    const listeners = this.listenersFor(type);
+    const index = listeners.indexOf(listener);
+    if (index !== -1) {
+      listeners.splice(index, 1);
+    }
+  }
+
+  emit(type, payload = {}) {
+    // Copied so a listener can unsubscribe while the event is going out.
+    for (const listener of [...this.listenersFor(type)]) {
+      listener(payload);
+    }
+  }
+
+  listenersFor(type) {
+    const listeners = this.listeners.get(type);
+    if (!listeners) {
+      throw new Error(`Unknown game event "${type}"`);
+    }
+    return listeners;
+  }
+}
+
+/**
+ * Renderer that draws nothing, for running a GameSession without a canvas.
+ */
+class NullRenderer {
+  render(ctx, session) {}
+}
+
+class Level {
+  static fromDefinition(source, canvasWidth, canvasHeight, rng) {
+    return new Level(canvasWidth, canvasHeight, parseLevelDefinition(source), rng);
+  }
+
+  /**
+   * rng is the simulation's random stream for this level; enemies spawned
+   * into the level draw from it so a seeded run replays identically.
+   */
+  constructor(canvasWidth, canvasHeight, definition, rng = new SeededRandom()) {
+    this.tileSize = 32;
+    this.rng = rng;
+    this.name = definition.name;
+    this.timeLimit = definition.timeLimit || DEFAULT_LEVEL_TIME_LIMIT;
+    this.timeOut = definition.timeOut || DEFAULT_TIME_OUT_RULE;
+    this.entryColumn = definition.entryColumn ?? null;
+    // Declared spawn entries, or null to use GameSession's default spawns.
+    this.spawns = definition.spawns || null;
+    this.ramps = definition.ramps || [];
+    this.tiles = definition.map.map((row) => row.split(""));
+    this.height = this.tiles.length;
+    this.width = this.tiles[0].length;
+    this.coinSpin = 0;
+
+    const gridWidth = this.width * this.tileSize;
+    const gridHeight = this.height * this.tileSize;
+    this.offsetX = Math.max(0, Math.floor((canvasWidth - gridWidth) / 2));
+    const verticalExtra = Math.max(0, canvasHeight - gridHeight);
+    this.offsetY = verticalExtra;
+
+    this.pelletCount = 0;
+    this.enemyLaneData = new Map();
+    // Any row a spawn entry names is a lane too.
+    const spawnRows = new Set(
+      [...(this.spawns || []), ...this.ramps.flatMap((ramp) => ramp.spawns || [])].map(
+        (entry) => entry.lane
+      )
+    );
+    for (let y = 0; y < this.height; y += 1) {
+      let rowOpenCount = 0;
+      let minX = this.width;
+      let maxX = -1;
+      for (let x = 0; x < this.width; x += 1) {
+        const tile = this.tiles[y][x];
+        if (tile === "O") {
+          this.pelletCount += 1;
+        }
+        if (tile !== "#") {
+          rowOpenCount += 1;
+          if (x < minX) minX = x;
+          if (x > maxX) maxX = x;
+        }
+        if (tile === "E") {
+          this.tiles[y][x] = ".";
+        }
+      }
+      const isLane = definition.enemyLanes
+        ? definition.enemyLanes.includes(y)
+        : rowOpenCount > this.width * 0.6;
+      if ((isLane || spawnRows.has(y)) && maxX >= 0) {
+        this.enemyLaneData.set(y, { yTile: y, minX, maxX });
+      }
+    }
+
+    this.entryTile = this.findEntryTile();
+    const entryCenter = this.tileToPixelCenter(this.entryTile.x, this.entryTile.y);
+    this.wellPosition = {
+      x: entryCenter.x,
+      y: entryCenter.y - this.tileSize * 1.5,
+    };
+  }
+
+  findEntryTile() {
+    const topRow = 1;
+    if (this.entryColumn !== null && this.tiles[topRow][this.entryColumn] !== "#") {
+      return { x: this.entryColumn, y: topRow };
+    }
+    const column = findDefaultEntryColumn(this.tiles, topRow);
+    return { x: column === null ? 1 : column, y: topRow };
+  }
+
+  tileToPixelCenter(tileX, tileY) {
+    const x = this.offsetX + tileX * this.tileSize + this.tileSize / 2;
+    const y = this.offsetY + tileY * this.tileSize + this.tileSize / 2;
+    return { x, y };
+  }
+
+  getTile(tx, ty) {
+    if (ty < 0 || ty >= this.height || tx < 0 || tx >= this.width) {
+      return null;
+    }
+    return this.tiles[ty][tx];
+  }
+
+  getTileAtPixel(x, y) {
+    const tx = Math.floor((x - this.offsetX) / this.tileSize);
+    const ty = Math.floor((y - this.offsetY) / this.tileSize);
+    if (tx < 0 || ty < 0 || tx >= this.width || ty >= this.height) {
+      return null;
+    }
+    return this.tiles[ty][tx];
+  }
+
+  pixelToTile(x, y) {
+    const tx = Math.floor((x - this.offsetX) / this.tileSize);
+    const ty = Math.floor((y - this.offsetY) / this.tileSize);
+    if (tx < 0 || ty < 0 || tx >= this.width || ty >= this.height) {
+      return null;
+    }
+    return { x: tx, y: ty };
+  }
+
+  isTunnelTile(tile) {
+    return tile === "." || tile === "O" || POWER_UP_GLYPHS.includes(tile);
+  }
+
+  isTunnelAtPixel(x, y) {
+    const tile = this.getTileAtPixel(x, y);
+    return tile ? this.isTunnelTile(tile) : false;
+  }
+
+  removePelletAtTile(tx, ty) {
+    if (ty < 0 || ty >= this.height || tx < 0 || tx >= this.width) {
+      return false;
+    }
+    if (this.tiles[ty][tx] === "O") {
+      this.tiles[ty][tx] = ".";
+      this.pelletCount = Math.max(0, this.pelletCount - 1);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Clears a power-up from the tile and returns its glyph, or null when the
+   * tile holds none.
+   */
+  removePowerUpAtTile(tx, ty) {
+    const tile = this.getTile(tx, ty);
+    if (!POWER_UP_GLYPHS.includes(tile)) {
+      return null;
+    }
+    this.tiles[ty][tx] = ".";
+    return tile;
+  }
+
+  hasPelletsRemaining() {
+    return this.pelletCount > 0;
+  }
+
+  getEnemyLanes() {
+    if (!this.enemyLaneInfo) {
+      this.enemyLaneInfo = Array.from(this.enemyLaneData.keys()).map((row) => this.getEnemyLane(row));
+    }
+    return this.enemyLaneInfo;
+  }
+
+  // Pixel y and end-tile x positions of the lane on `row`, or null.
+  getEnemyLane(row) {
+    const lane = this.enemyLaneData.get(row);
+    if (!lane) {
+      return null;
+    }
+    return {
+      y: this.tileToPixelCenter(0, row).y,
+      leftX: this.tileToPixelCenter(lane.minX, row).x,
+      rightX: this.tileToPixelCenter(lane.maxX, row).x,
+    };
+  }
+
+  // True when (tx, ty) is the last open tile of an enemy lane on the side
+  // dirX points to, i.e. where a tunnel walker leaves the level.
+  isLaneExit(tx, ty, dirX) {
+    const lane = this.enemyLaneData.get(ty);
+    if (!lane || dirX === 0) {
+      return false;
+    }
+    return dirX > 0 ? tx === lane.maxX : tx === lane.minX;
+  }
+
+  getEntryTile() {
+    return { ...this.entryTile };
+  }
+
+  getWellPosition() {
+    return { ...this.wellPosition };
+  }
+
+  update(dt) {
+    this.coinSpin = (this.coinSpin + dt * 4) % (Math.PI * 2);
+  }
+}
+
+class Drill {
+  /**
+   * tuning.speed - pixels per second when drilling; retracting starts at
+   * twice that.
+   * tuning.retractAcceleration - a retract held for a second moves
+   * 1 + retractAcceleration times as fast as it started.
+   */
+  constructor(
+    level,
+    wellPosition,
+    entryTile,
+    onPelletCollected,
+    events = new GameEvents(),
+    { speed = 200, retractAcceleration = 15 } = {}
+  ) {
+    this.level = level;
+    this.events = events;
+    this.wellPosition = { ...wellPosition };
+    this.entryTile = { ...entryTile };
+    this.x = wellPosition.x;
+    this.y = wellPosition.y;
+    this.onPelletCollected = onPelletCollected;
+    this.speed = speed;
+    this.retractAcceleration = retractAcceleration;
+    this.radius = level.tileSize * 0.45;
+    this.color = "#ff914d";
+    this.outline = "#351a0f";
+    this.pipePoints = [{ x: this.x, y: this.y }];
+    this.currentTileX = entryTile.x;
+    this.currentTileY = entryTile.y;
+    this.dirX = 0;
+    this.dirY = 0;
+    this.intentDirX = 0;
+    this.intentDirY = 0;
+    this.pendingDirX = 0;
+    this.pendingDirY = 0;
+    this.destinationTile = null;
+    this.isRetracting = false;
+    this.retractSpeed = this.speed * 2;
+    this.facingAngle = Math.PI / 2;
+    this.lastForwardX = 0;
+    this.lastForwardY = 0;
+    this.tileTrail = [];
+    this.animTime = 0;
+    this.isDocked = true;
+    this.retractHoldTime = 0;
+    // 0-1 from an analog trigger, standing in for the hold-time ramp while
+    // retracting; null uses the ramp.
+    this.retractThrottle = null;
+    // Seconds left in which enemies can't hurt the drill or its pipe.
+    this.invulnerableTime = 0;
+
+    // Precompute geometry used for rendering and collisions.
+    this.bodyWidth = Math.min(level.tileSize * 0.9, this.radius * 1.8);
+    this.bodyLength = this.bodyWidth * 1.8;
+    this.tipLength = this.bodyWidth * 0.8;
+    this.bodyStartOffset = -this.bodyLength * 0.35;
+    this.bodyEndOffset = this.bodyStartOffset + this.bodyLength;
+    this.tipEndOffset = this.bodyEndOffset + this.tipLength;
+    this.headCollisionStartOffset = this.bodyEndOffset - this.bodyWidth * 0.4;
+    this.headCollisionRadius = this.bodyWidth * 0.45;
+  }
+
+  setDirection(dx, dy) {
+    if (this.isRetracting) {
+      return;
+    }
+    this.intentDirX = dx;
+    this.intentDirY = dy;
+    this.pendingDirX = dx;
+    this.pendingDirY = dy;
+  }
+
+  startRetract() {
+    if (this.pipePoints.length <= 1) {
+      return;
+    }
+    this.isRetracting = true;
+    this.retractHoldTime = 0;
+    this.dirX = 0;
+    this.dirY = 0;
+    this.pendingDirX = 0;
+    this.pendingDirY = 0;
+    this.intentDirX = 0;
+    this.intentDirY = 0;
+    this.destinationTile = null;
+    this.lastForwardX = 0;
+    this.lastForwardY = 0;
+    this.updateHeadPipePoint();
+    this.events.emit("retractStarted");
+  }
+
+  setRetractThrottle(amount) {
+    this.retractThrottle = amount === null ? null : Math.max(0, Math.min(1, amount));
+  }
+
+  stopRetract() {
+    if (!this.isRetracting) {
+      return;
+    }
+    this.isRetracting = false;
+    this.updateHeadPipePoint();
+    this.syncCurrentTile();
+  }
+
+  get isInvulnerable() {
+    return this.invulnerableTime > 0;
+  }
+
+  update(dt) {
+    this.animTime += dt;
+    this.invulnerableTime = Math.max(0, this.invulnerableTime - dt);
+    if (this.isRetracting) {
+      this.retractHoldTime += dt;
+      this.retractAlongPipe(dt);
+      this.refreshDockedState();
+      return;
+    }
+    this.retractHoldTime = 0;
+    this.refreshDockedState();
+    const center = this.getCurrentTileCenter();
+    if (center) {
+      this.snapToCenterIfClose(center);
+      this.handleInitialDrop(center);
+      this.lockPerpendicularAxis(center);
+    }
+
+    if (!this.destinationTile && center) {
+      if (!this.tryApplyPendingDirection()) {
+        this.tryContinueForward();
+      }
+    }
+
+    if (!this.destinationTile) {
+      return;
+    }
+
+    this.advanceTowardDestination(dt);
+    this.trackPipeProgress();
+    this.checkPelletCollection();
+  }
+
+  retractAlongPipe(dt) {
+    if (this.pipePoints.length <= 1) {
+      const anchor = this.pipePoints[0] || { x: this.x, y: this.y };
+      this.x = anchor.x;
+      this.y = anchor.y;
+      this.updateHeadPipePoint();
+      this.syncCurrentTile();
+      this.currentTileX = this.entryTile.x;
+      this.currentTileY = this.entryTile.y;
+      this.lastForwardX = 0;
+      this.lastForwardY = 0;
+      this.tileTrail = [];
+      this.isRetracting = false;
+      this.retractHoldTime = 0;
+      return;
+    }
+
+    const targetIndex = this.pipePoints.length - 2;
+    const target = this.pipePoints[targetIndex];
+    const dx = target.x - this.x;
+    const dy = target.y - this.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    const rapidBoost =
+      this.retractThrottle === null ? Math.min(1, this.retractHoldTime) : this.retractThrottle;
+    const accelerationMultiplier = 1 + rapidBoost * rapidBoost * this.retractAcceleration;
+    const maxStep = this.retractSpeed * accelerationMultiplier * dt;
+
+    if (dist <= maxStep) {
+      this.x = target.x;
+      this.y = target.y;
+      this.pipePoints.pop();
+      if (this.tileTrail.length > 0) {
+        this.tileTrail.pop();
+      }
+      this.updateHeadPipePoint();
+      this.syncCurrentTile();
+      if (this.pipePoints.length === 1) {
+        this.isRetracting = false;
+        this.retractHoldTime = 0;
+        this.currentTileX = this.entryTile.x;
+        this.currentTileY = this.entryTile.y;
+        this.lastForwardX = 0;
+        this.lastForwardY = 0;
+        this.tileTrail = [];
+      }
+      return;
+    }
+
+    this.x += (dx / dist) * maxStep;
+    this.y += (dy / dist) * maxStep;
+    this.updateHeadPipePoint();
+    this.syncCurrentTile();
+  }
+
+  checkPelletCollection() {
+    const tileCoords = this.level.pixelToTile(this.x, this.y);
+    if (!tileCoords) {
+      return;
+    }
+    const { x: tileX, y: tileY } = tileCoords;
+    if (this.level.removePelletAtTile(tileX, tileY) && this.onPelletCollected) {
+      this.onPelletCollected(tileX, tileY);
+    }
+  }
+
+  trackPipeProgress() {
+    const tileCoords = this.level.pixelToTile(this.x, this.y);
+    if (!tileCoords) {
+      this.updateHeadPipePoint();
+      return;
+    }
+
+    const { x: tileX, y: tileY } = tileCoords;
+    if (tileX === this.currentTileX && tileY === this.currentTileY) {
+      this.updateHeadPipePoint();
+      return;
+    }
+
+    this.currentTileX = tileX;
+    this.currentTileY = tileY;
+    const center = this.level.tileToPixelCenter(tileX, tileY);
+    if (
+      !this.tileTrail.length ||
+      this.tileTrail[this.tileTrail.length - 1].x !== tileX ||
+      this.tileTrail[this.tileTrail.length - 1].y !== tileY
+    ) {
+      this.tileTrail.push({ x: tileX, y: tileY });
+    }
+    if (this.pipePoints.length === 0) {
+      this.pipePoints.push(center);
+      this.pipePoints.push({ x: this.x, y: this.y });
+      return;
+    }
+
+    if (this.pipePoints.length === 1) {
+      this.pipePoints.push(center);
+      this.pipePoints.push({ x: this.x, y: this.y });
+      return;
+    }
+
+    this.pipePoints[this.pipePoints.length - 1] = center;
+    this.pipePoints.push({ x: this.x, y: this.y });
+  }
+
+  updateHeadPipePoint() {
+    const headPoint = { x: this.x, y: this.y };
+    if (this.pipePoints.length === 0) {
+      this.pipePoints.push(headPoint);
+      return;
+    }
+    if (this.pipePoints.length === 1) {
+      const anchor = this.pipePoints[0];
+      if (anchor.x === headPoint.x && anchor.y === headPoint.y) {
+        return;
+      }
+      this.pipePoints.push(headPoint);
+      return;
+    }
+    this.pipePoints[this.pipePoints.length - 1] = headPoint;
+  }
+
+  syncCurrentTile() {
+    const tileCoords = this.level.pixelToTile(this.x, this.y);
+    if (tileCoords) {
+      this.currentTileX = tileCoords.x;
+      this.currentTileY = tileCoords.y;
+    }
+  }
+
+  getCurrentTileCenter() {
+    if (
+      typeof this.currentTileX !== "number" ||
+      typeof this.currentTileY !== "number"
+    ) {
+      return this.level.tileToPixelCenter(this.entryTile.x, this.entryTile.y);
+    }
+    return this.level.tileToPixelCenter(this.currentTileX, this.currentTileY);
+  }
+
+  snapToCenterIfClose(center) {
+    const dx = center.x - this.x;
+    const dy = center.y - this.y;
+    if (Math.hypot(dx, dy) <= 1) {
+      this.x = center.x;
+      this.y = center.y;
+      if (!this.destinationTile) {
+        this.dirX = 0;
+        this.dirY = 0;
+      }
+    }
+  }
+
+  handleInitialDrop(center) {
+    if (this.destinationTile || this.dirX !== 0 || this.dirY !== 0) {
+      return;
+    }
+    const wantsDown = this.pendingDirY === 1 || this.intentDirY === 1;
+    if (!wantsDown) {
+      return;
+    }
+    if (center.y - this.y > 1) {
+      this.dirX = 0;
+      this.dirY = 1;
+      this.destinationTile = { x: this.currentTileX, y: this.currentTileY };
+      this.pendingDirX = 0;
+      this.pendingDirY = 0;
+      this.updateFacingFromVector(0, 1);
+      this.lastForwardX = 0;
+      this.lastForwardY = 1;
+      if (
+        !this.tileTrail.length ||
+        this.tileTrail[this.tileTrail.length - 1].x !== this.currentTileX ||
+        this.tileTrail[this.tileTrail.length - 1].y !== this.currentTileY
+      ) {
+        this.tileTrail.push({ x: this.currentTileX, y: this.currentTileY });
+      }
+    }
+  }
+
+  lockPerpendicularAxis(center) {
+    if (!center) {
+      return;
+    }
+    if (this.dirX !== 0) {
+      this.y = center.y;
+    } else if (this.dirY !== 0) {
+      this.x = center.x;
+    }
+  }
+
+  tryApplyPendingDirection() {
+    if (this.pendingDirX === 0 && this.pendingDirY === 0) {
+      return false;
+    }
+    const applied = this.trySetDirection(this.pendingDirX, this.pendingDirY);
+    if (applied) {
+      this.pendingDirX = 0;
+      this.pendingDirY = 0;
+    }
+    return applied;
+  }
+
+  tryContinueForward() {
+    if (this.intentDirX === 0 && this.intentDirY === 0) {
+      return false;
+    }
+    return this.trySetDirection(this.intentDirX, this.intentDirY);
+  }
+
+  trySetDirection(dx, dy) {
+    if (dx === 0 && dy === 0) {
+      return false;
+    }
+    if (this.destinationTile) {
+      return false;
+    }
+    if (
+      this.lastForwardX === -dx &&
+      this.lastForwardY === -dy &&
+      (this.lastForwardX !== 0 || this.lastForwardY !== 0)
+    ) {
+      return false;
+    }
+    const targetTileX = this.currentTileX + dx;
+    const targetTileY = this.currentTileY + dy;
+    const tile = this.level.getTile(targetTileX, targetTileY);
+    if (!tile || !this.level.isTunnelTile(tile)) {
+      return false;
+    }
+    if (
+      this.tileTrail.some(
+        (node) => node.x === targetTileX && node.y === targetTileY
+      )
+    ) {
+      return false;
+    }
+    this.dirX = dx;
+    this.dirY = dy;
+    this.destinationTile = { x: targetTileX, y: targetTileY };
+    this.updateFacingFromVector(dx, dy);
+    this.lastForwardX = dx;
+    this.lastForwardY = dy;
+    this.events.emit("drillMoving", { dx, dy });
+    return true;
+  }
+
+  advanceTowardDestination(dt) {
+    if (!this.destinationTile) {
+      return;
+    }
+    const destCenter = this.level.tileToPixelCenter(
+      this.destinationTile.x,
+      this.destinationTile.y
+    );
+    const moveDist = this.speed * dt;
+    const dx = destCenter.x - this.x;
+    const dy = destCenter.y - this.y;
+    const distanceToDest = Math.hypot(dx, dy);
+
+    if (distanceToDest <= moveDist) {
+      this.x = destCenter.x;
+      this.y = destCenter.y;
+      this.currentTileX = this.destinationTile.x;
+      this.currentTileY = this.destinationTile.y;
+      this.destinationTile = null;
+      this.dirX = 0;
+      this.dirY = 0;
+      const continuing = this.tryApplyPendingDirection() || this.tryContinueForward();
+      if (!continuing) {
+        this.events.emit("drillStopped");
+      }
+      return;
+    }
+
+    if (this.dirX !== 0) {
+      this.x += this.dirX * moveDist;
+      const rowCenter = this.level.tileToPixelCenter(
+        this.currentTileX,
+        this.currentTileY
+      ).y;
+      this.y = rowCenter;
+    } else if (this.dirY !== 0) {
+      this.y += this.dirY * moveDist;
+      const colCenter = this.level.tileToPixelCenter(
+        this.currentTileX,
+        this.currentTileY
+      ).x;
+      this.x = colCenter;
+    }
+  }
+
+  updateFacingFromVector(dx, dy) {
+    if (dx === 0 && dy === 0) {
+      return;
+    }
+    this.facingAngle = Math.atan2(dy, dx);
+  }
+
+  collidesWithHead(enemyX, enemyY, enemyRadius) {
+    this.refreshDockedState();
+    if (this.isDocked) {
+      return false;
+    }
+    const enemyTile = this.level.pixelToTile(enemyX, enemyY);
+    if (!enemyTile || enemyTile.y !== this.currentTileY) {
+      return false;
+    }
+    const centerDist = Math.hypot(enemyX - this.x, enemyY - this.y);
+    if (centerDist <= enemyRadius + this.radius) {
+      return true;
+    }
+
+    const ux = Math.cos(this.facingAngle);
+    const uy = Math.sin(this.facingAngle);
+    const startX = this.x + ux * this.headCollisionStartOffset;
+    const startY = this.y + uy * this.headCollisionStartOffset;
+    const endX = this.x + ux * this.tipEndOffset;
+    const endY = this.y + uy * this.tipEndOffset;
+    const dist = distancePointToSegment(enemyX, enemyY, startX, startY, endX, endY);
+    return dist <= enemyRadius + this.headCollisionRadius;
+  }
+
+  refreshDockedState() {
+    const atEntry =
+      this.currentTileX === this.entryTile.x &&
+      this.currentTileY === this.entryTile.y;
+    const noPipeLaid = this.tileTrail.length === 0 && this.pipePoints.length <= 1;
+    this.isDocked =
+      !this.isRetracting &&
+      !this.destinationTile &&
+      atEntry &&
+      noPipeLaid;
+  }
+}
+
+class Enemy {
+  constructor(
+    level,
+    spawnPoint,
+    direction,
+    speed,
+    canvasWidth,
+    type = "01",
+    spawnDelay = 0,
+    rng = level.rng
+  ) {
+    this.level = level;
+    this.rng = rng;
+    this.spawnPoint = spawnPoint;
+    this.initialDirection = direction;
+    this.direction = direction;
+    this.baseSpeed = speed;
+    this.speed = speed;
+    this.canvasWidth = canvasWidth;
+    this.spawnMargin = 100;
+    this.type = type;
+    this.archetype = ENEMY_TYPES[type];
+    if (!this.archetype) {
+      throw new Error(`Unknown enemy type "${type}"`);
+    }
+    this.radius = Math.max(8, level.tileSize * this.archetype.radius);
+    this.movement = this.archetype.movement;
+    // Difficulty ramps scale speed and respawn delays (see applyRamp).
+    this.speedScale = 1;
+    this.respawnScale = 1;
+    this.active = false;
+    this.respawnTimer = spawnDelay;
+    this.animTime = this.rng.range(0, Math.PI * 2);
+    this.activateIfReady();
+  }
+
+  startPosition() {
+    return this.direction > 0
+      ? Math.max(-this.spawnMargin, this.spawnPoint.x - this.spawnMargin)
+      : Math.min(this.canvasWidth + this.spawnMargin, this.spawnPoint.x + this.spawnMargin);
+  }
+
+  activateIfReady() {
+    if (this.respawnTimer <= 0) {
+      this.active = true;
+      this.direction = this.initialDirection;
+      this.speed = (this.baseSpeed + this.rng.range(0, 20)) * this.speedScale;
+      this.x = this.startPosition();
+      this.y = this.spawnPoint.y;
+      this.respawnTimer = 0;
+      // Tunnel walkers slide in to the lane end, walk the tunnels from there,
+      // and slide back out once they reach a lane end heading outward.
+      this.phase = "entering";
+      this.dirX = this.direction;
+      this.dirY = 0;
+      this.targetTile = null;
+    }
+  }
+
+  reset(initialDelay = 0) {
+    this.respawnTimer = Math.max(0, initialDelay);
+    this.active = false;
+    this.activateIfReady();
+  }
+
+  randomRespawnDelay([min, max] = this.archetype.respawnDelay) {
+    return min + this.rng.range(0, max - min);
+  }
+
+  scheduleRespawn(delay = this.randomRespawnDelay()) {
+    this.active = false;
+    this.respawnTimer = delay * this.respawnScale;
+  }
+
+  applyRamp({ speed, respawn }) {
+    this.speed *= speed / this.speedScale;
+    this.speedScale = speed;
+    this.respawnScale = respawn;
+  }
+
+  /**
+   * drill is the session's Drill, which homing enemies steer toward; without
+   * one they drift along their lane.
+   */
+  update(dt, drill = null) {
+    if (!this.active) {
+      this.respawnTimer -= dt;
+      this.activateIfReady();
+      this.animTime += dt * 4;
+      return;
+    }
+
+    this.animTime += dt * this.archetype.animSpeed;
+    if (this.movement === "tunnel" && this.phase !== "exiting") {
+      this.updateTunnel(dt);
+      return;
+    }
+    if (this.movement === "homing" && this.updateHoming(dt, drill)) {
+      return;
+    }
+
+    this.x += this.direction * this.speed * dt;
+    if (this.movement === "lane") {
+      this.y = this.spawnPoint.y;
+    }
+
+    if (this.direction > 0 && this.x > this.canvasWidth + this.spawnMargin) {
+      this.scheduleRespawn();
+    } else if (this.direction < 0 && this.x < -this.spawnMargin) {
+      this.scheduleRespawn();
+    }
+  }
+
+  // Moves toward the closest point of the pipe. With no pipe to chase it
+  // heads straight back to its lane, and returns false once there so the
+  // lane drift takes over.
+  updateHoming(dt, drill) {
+    const target = drill ? closestPointOnPath(drill.pipePoints, this.x, this.y) : null;
+    if (!target) {
+      const offset = this.spawnPoint.y - this.y;
+      if (offset === 0) {
+        return false;
+      }
+      this.y += Math.sign(offset) * Math.min(Math.abs(offset), this.speed * dt);
+      return true;
+    }
+    const dx = target.x - this.x;
+    const dy = target.y - this.y;
+    const dist = Math.hypot(dx, dy);
+    if (dist > 0) {
+      const step = Math.min(dist, this.speed * dt);
+      this.x += (dx / dist) * step;
+      this.y += (dy / dist) * step;
+      if (dx !== 0) {
+        this.direction = Math.sign(dx);
+      }
+    }
+    return true;
+  }
+
+  updateTunnel(dt) {
+    let step = this.speed * dt;
+    if (this.phase === "entering") {
+      const remaining = (this.spawnPoint.x - this.x) * this.direction;
+      if (remaining > step) {
+        this.x += this.direction * step;
+        return;
+      }
+      step -= Math.max(0, remaining);
+      this.x = this.spawnPoint.x;
+      this.y = this.spawnPoint.y;
+      this.phase = "walking";
+      this.chooseNextTile(this.level.pixelToTile(this.x, this.y));
+    }
+
+    while (step > 0 && this.phase === "walking") {
+      const target = this.level.tileToPixelCenter(this.targetTile.x, this.targetTile.y);
+      const dist = Math.abs(target.x - this.x) + Math.abs(target.y - this.y);
+      if (dist > step) {
+        this.x += this.dirX * step;
+        this.y += this.dirY * step;
+        return;
+      }
+      this.x = target.x;
+      this.y = target.y;
+      step -= dist;
+      this.chooseNextTile(this.targetTile);
+    }
+    if (this.phase === "exiting") {
+      this.x += this.direction * step;
+    }
+  }
+
+  // Picks where to walk from the tile center at `tile`: out through a lane
+  // end, straight on (usually), into a side tunnel, or back at a dead end.
+  chooseNextTile(tile) {
+    if (this.dirY === 0 && this.level.isLaneExit(tile.x, tile.y, this.dirX)) {
+      this.phase = "exiting";
+      this.direction = this.dirX;
+      return;
+    }
+    const open = DIRECTIONS.filter(
+      ({ dx, dy }) =>
+        !(dx === -this.dirX && dy === -this.dirY) &&
+        this.level.isTunnelTile(this.level.getTile(tile.x + dx, tile.y + dy))
+    );
+    let next = { dx: -this.dirX, dy: -this.dirY };
+    const behind = this.level.getTile(tile.x + next.dx, tile.y + next.dy);
+    if (open.length === 0 && !this.level.isTunnelTile(behind)) {
+      // Boxed in on every side (a lane end tile with no tunnels): leave the
+      // way lane enemies do.
+      this.phase = "exiting";
+      return;
+    }
+    if (open.length > 0) {
+      const straight = open.find(({ dx, dy }) => dx === this.dirX && dy === this.dirY);
+      next = straight && (open.length === 1 || this.rng.chance(TUNNEL_STRAIGHT_BIAS))
+        ? straight
+        : this.rng.pick(open);
+    }
+    this.dirX = next.dx;
+    this.dirY = next.dy;
+    if (next.dx !== 0) {
+      this.direction = next.dx;
+    }
+    this.targetTile = { x: tile.x + next.dx, y: tile.y + next.dy };
+  }
+
+  handleDestroyed() {
+    this.scheduleRespawn(this.randomRespawnDelay(this.archetype.destroyedDelay));
+  }
+}
+
+/**
+ * One run through a campaign: score, lives, the level timer, and the current
+ * level's drill and enemies. PlayState wraps a session with keyboard input
+ * and drawing; tests drive one directly with runHeadless().
+ *
+ * options.campaign - LevelCampaign or GeneratedCampaign to play (required).
+ * options.seed - seed for the run's random stream; the same seed and inputs
+ * reproduce the same run.
+ * options.record - record drill inputs for a replay (default true).
+ * options.difficulty - id from DIFFICULTY_PRESETS (default "normal").
+ * options.width / options.height - playfield size in pixels.
+ * options.events - GameEvents bus to emit on; the session makes its own
+ * when none is given. Either way it is `session.events`.
+ * options.onRunEnd(outcome) - called once when the run ends; outcome is
+ * "gameOver" or "campaignComplete".
+ */
+class GameSession {
+  constructor({
+    campaign,
+    seed = Math.floor(Math.random() * 1000000),
+    record = true,
+    difficulty = DEFAULT_DIFFICULTY,
+    width = WORLD_WIDTH,
+    height = WORLD_HEIGHT,
+    events = new GameEvents(),
+    onRunEnd = null,
+  }) {
+    this.campaign = campaign;
+    this.seed = seed;
+    if (!DIFFICULTY_IDS.includes(difficulty)) {
+      throw new Error(`Unknown difficulty "${difficulty}"`);
+    }
+    this.difficulty = difficulty;
+    this.preset = DIFFICULTY_PRESETS[difficulty];
+    this.width = width;
+    this.height = height;
+    this.events = events;
+    this.onRunEnd = onRunEnd;
+    this.rng = new SeededRandom(this.seed);
+    this.tick = 0;
+    this.recordedInputs = record ? [] : null;
+    this.runEnded = false;
+    this.outcome = null;
+    this.score = 0;
+    this.lives = this.preset.lives;
+    this.repairKits = 0;
+    // Carried over to each new drill so a trigger held through a lost life
+    // keeps its setting.
+    this.retractThrottle = null;
+    this.loadLevel(0);
+  }
+
+  loadLevel(index) {
+    this.levelIndex = index;
+    this.levelStartScore = this.score;
+    this.levelStartLives = this.lives;
+    this.levelStartRepairKits = this.repairKits;
+    this.level = Level.fromDefinition(
+      this.campaign.getLevel(index),
+      this.width,
+      this.height,
+      this.rng
+    );
+    this.levelName = this.level.name;
+    this.levelTimeLimit = Math.round(this.level.timeLimit * this.preset.timeScale);
+    this.levelComplete = false;
+    this.intermissionTimer = 0;
+    this.remainingTime = this.levelTimeLimit;
+    // timeExpired stays set from the moment the clock hits zero until the
+    // level's timeOut rule has been applied.
+    this.timeExpired = false;
+    this.suddenDeath = false;
+    this.lastWarningTime = 0;
+    this.shieldTimer = 0;
+    this.timeBonusFlash = 0;
+    // Spider kills since the drill last retracted; see SCORING.chainTypes.
+    this.killChain = 0;
+    // Points the clock was worth when the level was cleared.
+    this.timeBonus = 0;
+    // Set while a lost life is being shown: { enemy, x, y, severedPipe, timer }.
+    this.death = null;
+    this.getReadyTimer = 0;
+    this.startTile = this.level.getEntryTile();
+    this.wellPosition = this.level.getWellPosition();
+    this.drill = this.createDrill();
+    this.enemies = this.createEnemies();
+    // How many ramps are in force, and how many have added their spawns.
+    this.rampIndex = 0;
+    this.rampsSpawned = 0;
+  }
+
+  isFinalLevel() {
+    return this.levelIndex >= this.campaign.levelCount - 1;
+  }
+
+  advanceLevel() {
+    if (this.isFinalLevel()) {
+      this.endRun("campaignComplete");
+      return;
+    }
+    this.loadLevel(this.levelIndex + 1);
+  }
+
+  // Reloads the current level with the score and lives it started with.
+  restartLevel() {
+    this.score = this.levelStartScore;
+    this.lives = this.levelStartLives;
+    this.repairKits = this.levelStartRepairKits;
+    this.events.emit("drillStopped");
+    this.loadLevel(this.levelIndex);
+  }
+
+  endRun(outcome) {
+    this.runEnded = true;
+    this.outcome = outcome;
+    this.events.emit("runEnded", { outcome });
+    if (this.onRunEnd) {
+      this.onRunEnd(outcome);
+    }
+  }
+
+  buildReplay(outcome = this.outcome) {
+    if (!this.recordedInputs) {
+      return null;
+    }
+    return {
+      version: REPLAY_VERSION,
+      seed: this.seed,
+      difficulty: this.difficulty,
+      campaign: this.campaign.toDescriptor(),
+      ticks: this.tick,
+      outcome,
+      finalScore: this.score,
+      recordedAt: new Date().toISOString(),
+      inputs: this.recordedInputs,
+    };
+  }
+
+  /**
+   * Applies a player input ({ action, dx, dy, amount }) and records it
+   * against the current tick. Drill actions steer or retract, and
+   * "setRetractThrottle" sets an analog retract speed (amount 0-1, or null for
+   * the hold-time ramp); "restartLevel" comes from the pause menu. Replays
+   * feed recorded inputs back through here.
+   */
+  applyInput(input) {
+    if (this.recordedInputs) {
+      this.recordedInputs.push({ tick: this.tick, ...input });
+    }
+    switch (input.action) {
+      case "setDirection":
+        if (!this.isRespawning) {
+          this.drill.setDirection(input.dx, input.dy);
+        }
+        break;
+      case "startRetract":
+        if (!this.isRespawning) {
+          this.drill.startRetract();
+        }
+        break;
+      case "stopRetract":
+        this.drill.stopRetract();
+        break;
+      case "setRetractThrottle":
+        this.retractThrottle = input.amount === undefined ? null : input.amount;
+        this.drill.setRetractThrottle(this.retractThrottle);
+        break;
+      case "restartLevel":
+        this.restartLevel();
+        break;
+      default:
+        break;
+    }
+  }
+
+  createEnemies() {
+    const configs = this.level.spawns
+      ? this.spawnConfigs(this.level.spawns)
+      : this.defaultEnemyConfigs();
+    return configs.map((config) => this.createEnemy(config));
+  }
+
+  /**
+   * Spawns for levels that don't declare their own: a spider pair on every
+   * lane (worms on the bottom 20% of lanes), one gold beetle, and a mine from
+   * the second level on.
+   */
+  defaultEnemyConfigs() {
+    const laneInfos = this.level.getEnemyLanes();
+    const sortedLanes = [...laneInfos].sort((a, b) => a.y - b.y);
+    const hazardLaneCount = Math.max(1, Math.round(sortedLanes.length * 0.2));
+    const hazardLaneKeys = new Set(
+      sortedLanes
+        .slice(sortedLanes.length - hazardLaneCount)
+        .map((lane) => lane.y)
+    );
+
+    const enemyConfigs = [];
+    sortedLanes.forEach((lane, index) => {
+      const laneType = hazardLaneKeys.has(lane.y) ? "02" : "01";
+      enemyConfigs.push({
+        spawn: { x: lane.leftX, y: lane.y },
+        direction: 1,
+        delay: (index % 4) * 1.5 + this.rng.next(),
+        type: laneType,
+      });
+      enemyConfigs.push({
+        spawn: { x: lane.rightX, y: lane.y },
+        direction: -1,
+        delay: 3 + (index % 3) * 1.2 + this.rng.next(),
+        type: laneType,
+      });
+    });
+
+    // One gold beetle per level, late enough that it feels like a bonus, and
+    // a pipe-hunting mine from the second level on.
+    if (sortedLanes.length > 0) {
+      const beetleLane = this.rng.pick(sortedLanes);
+      const beetleDirection = this.rng.chance(0.5) ? 1 : -1;
+      enemyConfigs.push({
+        spawn: { x: beetleDirection > 0 ? beetleLane.leftX : beetleLane.rightX, y: beetleLane.y },
+        direction: beetleDirection,
+        delay: 20 + this.rng.range(0, 10),
+        type: "04",
+      });
+      if (this.levelIndex > 0) {
+        const mineLane = this.rng.pick(sortedLanes);
+        enemyConfigs.push({
+          spawn: { x: mineLane.leftX, y: mineLane.y },
+          direction: 1,
+          delay: 8 + this.rng.range(0, 4),
+          type: "03",
+        });
+      }
+    }
+
+    return enemyConfigs;
+  }
+
+  // Expands level spawn entries into enemy configs. An entry's enemies enter
+  // `stagger` seconds apart (plus up to a second of jitter), alternating ends
+  // of the lane when side is "both".
+  spawnConfigs(entries) {
+    const configs = [];
+    for (const entry of entries) {
+      const lane = this.level.getEnemyLane(entry.lane);
+      for (let i = 0; i < entry.count; i += 1) {
+        const side = entry.side === "both" ? (i % 2 === 0 ? "left" : "right") : entry.side;
+        configs.push({
+          spawn: { x: side === "left" ? lane.leftX : lane.rightX, y: lane.y },
+          direction: side === "left" ? 1 : -1,
+          delay: entry.delay + i * entry.stagger + this.rng.next(),
+          type: entry.type,
+        });
+      }
+    }
+    return configs;
+  }
+
+  createEnemy(config) {
+    const [minSpeed, maxSpeed] = ENEMY_TYPES[config.type].speed;
+    return new Enemy(
+      this.level,
+      config.spawn,
+      config.direction,
+      (minSpeed + this.rng.range(0, maxSpeed - minSpeed)) * this.preset.enemySpeed,
+      this.width,
+      config.type,
+      config.delay,
+      this.rng
+    );
+  }
+
+  // Ramps kick in, in order, as the level timer drops below their `below`
+  // mark: enemies speed up, come back sooner, and new spawns join. They follow
+  // the clock, so a refill or a clock power-up that lifts the timer back above
+  // a mark eases off again; a ramp's spawns only ever join once.
+  updateRamps() {
+    const { ramps } = this.level;
+    let index = 0;
+    while (index < ramps.length && this.remainingTime < ramps[index].below) {
+      index += 1;
+    }
+    if (index === this.rampIndex) {
+      return;
+    }
+    this.rampIndex = index;
+    while (this.rampsSpawned < index) {
+      const { spawns } = ramps[this.rampsSpawned];
+      this.rampsSpawned += 1;
+      this.enemies.push(...this.spawnConfigs(spawns).map((config) => this.createEnemy(config)));
+    }
+    const ramp = index > 0 ? ramps[index - 1] : { speed: 1, respawn: 1 };
+    for (const enemy of this.enemies) {
+      enemy.applyRamp(ramp);
+    }
+  }
+
+  // True from a lost life until the Get Ready countdown runs out. The drill
+  // ignores steering and retracting meanwhile, and the clock stops.
+  get isRespawning() {
+    return this.death !== null || this.getReadyTimer > 0;
+  }
+
+  update(dt) {
+    if (this.runEnded) {
+      return;
+    }
+    this.tick += 1;
+    if (this.levelComplete) {
+      this.intermissionTimer -= dt;
+      this.level.update(dt);
+      for (const enemy of this.enemies) {
+        enemy.update(dt);
+      }
+      if (this.intermissionTimer <= 0) {
+        this.advanceLevel();
+      }
+      return;
+    }
+    if (this.death) {
+      this.level.update(dt);
+      this.death.timer -= dt;
+      if (this.death.timer <= 0) {
+        this.finishDeath();
+      }
+      return;
+    }
+    if (this.getReadyTimer > 0) {
+      this.level.update(dt);
+      this.getReadyTimer = Math.max(0, this.getReadyTimer - dt);
+      return;
+    }
+
+    this.remainingTime = Math.max(0, this.remainingTime - dt);
+    this.shieldTimer = Math.max(0, this.shieldTimer - dt);
+    this.timeBonusFlash = Math.max(0, this.timeBonusFlash - dt);
+    this.updateRamps();
+
+    // Warn once a second when time < 30 seconds
+    if (this.remainingTime < 30 && this.remainingTime > 0) {
+      const currentSecond = Math.floor(this.remainingTime);
+      if (currentSecond !== this.lastWarningTime) {
+        this.lastWarningTime = currentSecond;
+        this.events.emit("timeWarning", { secondsLeft: currentSecond });
+      }
+    }
+
+    if (this.remainingTime <= 0 && !this.timeExpired) {
+      this.handleTimeExpired();
+      return;
+    }
+    this.level.update(dt);
+    this.drill.update(dt);
+    if (this.drill.isRetracting) {
+      this.killChain = 0;
+    }
+    this.checkPowerUpPickup();
+    for (const enemy of this.enemies) {
+      enemy.update(dt, this.drill);
+    }
+    this.handleEnemyInteractions();
+  }
+
+  // Power-ups are picked up by the drill head on the way in, like pellets.
+  checkPowerUpPickup() {
+    if (this.drill.isRetracting) {
+      return;
+    }
+    const tile = this.level.pixelToTile(this.drill.x, this.drill.y);
+    const glyph = tile && this.level.removePowerUpAtTile(tile.x, tile.y);
+    if (!glyph) {
+      return;
+    }
+    this.events.emit("powerUpCollected", { glyph, tileX: tile.x, tileY: tile.y });
+    if (glyph === "S") {
+      this.shieldTimer = SHIELD_DURATION;
+    } else if (glyph === "T") {
+      this.remainingTime += TIME_POWER_UP_SECONDS;
+      this.timeBonusFlash = 1.5;
+    } else if (glyph === "R") {
+      this.repairKits += 1;
+    }
+  }
+
+  // Adds points, awarding a life for each SCORING.extraLives mark they pass.
+  addScore(points) {
+    const before = this.score;
+    this.score += points;
+    for (const mark of SCORING.extraLives) {
+      if (before < mark && this.score >= mark) {
+        this.lives += 1;
+        this.events.emit("extraLife", { livesLeft: this.lives, score: mark });
+      }
+    }
+  }
+
+  // Pellets are worth more the further below the entry row they sit.
+  pelletScore(tileY) {
+    const depth = Math.max(0, tileY - this.startTile.y);
+    return Math.round(SCORING.pellet * (1 + SCORING.pelletDepthStep * depth));
+  }
+
+  handlePelletCollected(tileX, tileY) {
+    const score = this.pelletScore(tileY);
+    this.addScore(score);
+    this.events.emit("pelletCollected", { tileX, tileY, score });
+    if (!this.levelComplete && this.level.pelletCount === 0) {
+      this.levelComplete = true;
+      this.intermissionTimer = LEVEL_INTERMISSION_DURATION;
+      this.timeBonus = Math.floor(this.remainingTime) * SCORING.timeBonusPerSecond;
+      this.addScore(SCORING.levelComplete + this.timeBonus);
+      this.events.emit("levelComplete", {
+        levelIndex: this.levelIndex,
+        bonus: SCORING.levelComplete,
+        timeBonus: this.timeBonus,
+      });
+    }
+  }
+
+  createDrill() {
+    const drill = new Drill(
+      this.level,
+      this.wellPosition,
+      this.startTile,
+      (tx, ty) => {
+        this.handlePelletCollected(tx, ty);
+      },
+      this.events,
+      {
+        speed: this.preset.drillSpeed,
+        retractAcceleration: this.preset.retractAcceleration,
+      }
+    );
+    drill.setRetractThrottle(this.retractThrottle);
+    return drill;
+  }
+
+  resetDrillAndPipe() {
+    this.drill = this.createDrill();
+    this.killChain = 0;
+  }
+
+  resetEnemies() {
+    if (!this.enemies) {
+      return;
+    }
+    this.enemies.forEach((enemy) => enemy.reset());
+  }
+
+  handleEnemyInteractions() {
+    for (const enemy of this.enemies) {
+      if (!enemy.active) {
+        continue;
+      }
+      const { archetype } = enemy;
+      if (this.drill.collidesWithHead(enemy.x, enemy.y, enemy.radius)) {
+        if (!archetype.vulnerable) {
+          // The shield and repair kits guard the head as well as the pipe.
+          if (this.drill.isInvulnerable || this.shieldTimer > 0 || this.spendRepairKit(enemy)) {
+            continue;
+          }
+          this.events.emit("pipeHit", { type: enemy.type, x: enemy.x, y: enemy.y });
+          this.handleLifeLost(enemy, { x: this.drill.x, y: this.drill.y, severedPipe: [] });
+          return true;
+        }
+        let score = SCORING.enemies[enemy.type] || 0;
+        let chain = 0;
+        if (SCORING.chainTypes.includes(enemy.type)) {
+          this.killChain = Math.min(SCORING.chainMax, this.killChain + 1);
+          chain = this.killChain;
+          score *= chain;
+        }
+        this.addScore(score);
+        this.emitEnemyDestroyed(enemy, score, "drill", chain);
+        enemy.handleDestroyed();
+        continue;
+      }
+
+      if (archetype.harmsPipe && this.enemyHitsPipe(enemy)) {
+        if (this.spendRepairKit(enemy)) {
+          continue;
+        }
+        this.events.emit("pipeHit", { type: enemy.type, x: enemy.x, y: enemy.y });
+        this.handleLifeLost(enemy, this.pipeBreak(enemy.x, enemy.y));
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // A repair kit absorbs a hit and takes the enemy out instead. Returns
+  // false when there's no kit to spend.
+  spendRepairKit(enemy) {
+    if (this.repairKits <= 0) {
+      return false;
+    }
+    this.repairKits -= 1;
+    this.emitEnemyDestroyed(enemy, 0, "repairKit");
+    enemy.handleDestroyed();
+    return true;
+  }
+
+  emitEnemyDestroyed(enemy, score, cause, chain = 0) {
+    this.events.emit("enemyDestroyed", { type: enemy.type, x: enemy.x, y: enemy.y, score, cause, chain });
+  }
+
+  enemyHitsPipe(enemy) {
+    const points = this.drill.pipePoints;
+    if (this.shieldTimer > 0 || this.drill.isInvulnerable || points.length < 2) {
+      return false;
+    }
+
+    const pipeRadius = 4;
+    const threshold = enemy.radius + pipeRadius;
+    for (let i = 0; i < points.length - 1; i += 1) {
+      const a = points[i];
+      const b = points[i + 1];
+      const dist = distancePointToSegment(enemy.x, enemy.y, a.x, a.y, b.x, b.y);
+      if (dist <= threshold) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Where an enemy at (x, y) cuts the pipe, and the stretch from there to
+  // the head that the cut leaves hanging.
+  pipeBreak(x, y) {
+    const points = this.drill.pipePoints;
+    let best = { x: this.drill.x, y: this.drill.y, severedPipe: [] };
+    let bestDist = Infinity;
+    for (let i = 0; i < points.length - 1; i += 1) {
+      const a = points[i];
+      const b = points[i + 1];
+      const point = closestPointOnSegment(x, y, a.x, a.y, b.x, b.y);
+      const dist = Math.hypot(x - point.x, y - point.y);
+      if (dist < bestDist) {
+        best = { x: point.x, y: point.y, severedPipe: [point, ...points.slice(i + 1)] };
+        bestDist = dist;
+      }
+    }
+    return best;
+  }
+
+  // Freezes play on the hit so the culprit and the break stay on screen for
+  // DEATH_SEQUENCE_SECONDS. `hit` is where the drill was struck,
+  // { x, y, severedPipe }; without one it's the drill head.
+  handleLifeLost(enemy = null, hit = { x: this.drill.x, y: this.drill.y, severedPipe: [] }) {
+    if (this.lives <= 0 || this.death) {
+      return;
+    }
+    this.lives -= 1;
+    this.events.emit("lifeLost", { livesLeft: this.lives });
+    this.death = { enemy, ...hit, timer: DEATH_SEQUENCE_SECONDS };
+  }
+
+  // Applies the level's timeOut rule. A rule that costs a life winds the
+  // clock back once the death sequence has played.
+  handleTimeExpired() {
+    const rule = this.level.timeOut;
+    this.timeExpired = true;
+    this.events.emit("timeExpired", { rule });
+    if (rule === "gameOver" || this.suddenDeath) {
+      this.endRun("gameOver");
+      return;
+    }
+    this.handleLifeLost();
+  }
+
+  // Ends the run on the last life; otherwise puts a fresh drill in the well
+  // and starts the Get Ready countdown.
+  finishDeath() {
+    this.death = null;
+    if (this.lives <= 0) {
+      this.endRun("gameOver");
+      return;
+    }
+    if (this.timeExpired) {
+      this.timeExpired = false;
+      this.suddenDeath = this.level.timeOut === "suddenDeath";
+      this.remainingTime = this.suddenDeath ? SUDDEN_DEATH_SECONDS : this.levelTimeLimit;
+      this.lastWarningTime = 0;
+    }
+    this.resetDrillAndPipe();
+    this.drill.invulnerableTime = RESPAWN_GRACE_SECONDS;
+    this.resetEnemies();
+    this.getReadyTimer = GET_READY_SECONDS;
+  }
+}
+
+/**
+ * Feeds recorded inputs ({ tick, action, dx, dy }) into a session on the
+ * ticks they were recorded at. Call applyDue() before each update.
+ */
+class InputPlayback {
+  constructor(inputs) {
+    this.inputs = inputs;
+    this.index = 0;
+  }
+
+  applyDue(session) {
+    while (this.index < this.inputs.length && this.inputs[this.index].tick <= session.tick) {
+      session.applyInput(this.inputs[this.index]);
+      this.index += 1;
+    }
+  }
+}
+
+// Button indices in the browser's "standard" gamepad mapping.
+const GAMEPAD_BUTTONS = {
+  A: 0,
+  B: 1,
+  X: 2,
+  Y: 3,
+  LB: 4,
+  RB: 5,
+  LT: 6,
+  RT: 7,
+  BACK: 8,
+  START: 9,
+  UP: 12,
+  DOWN: 13,
+  LEFT: 14,
+  RIGHT: 15,
+};
+
+/**
+ * Which gamepad buttons drive each input action. The left stick also drives
+ * the Move actions once it leaves the dead zone. retractTrigger is the analog
+ * trigger used for throttled retracts (null to leave it unbound).
+ */
+const DEFAULT_GAMEPAD_BINDINGS = {
+  buttons: {
+    MoveUp: [GAMEPAD_BUTTONS.UP],
+    MoveDown: [GAMEPAD_BUTTONS.DOWN],
+    MoveLeft: [GAMEPAD_BUTTONS.LEFT],
+    MoveRight: [GAMEPAD_BUTTONS.RIGHT],
+    Retract: [GAMEPAD_BUTTONS.A, GAMEPAD_BUTTONS.X],
+    Confirm: [GAMEPAD_BUTTONS.A, GAMEPAD_BUTTONS.START],
+    Back: [GAMEPAD_BUTTONS.B],
+    Pause: [GAMEPAD_BUTTONS.START],
+  },
+  retractTrigger: GAMEPAD_BUTTONS.RT,
+  stickDeadZone: 0.5,
+};
+// Trigger readings are rounded to this many steps so a resting finger
+// doesn't flood the replay with tiny changes; readings under one step count
+// as released.
+const GAMEPAD_TRIGGER_STEPS = 20;
+
+/**
+ * Polls the first connected gamepad from `source` and reports what changed
+ * since the last poll. `source` returns a Gamepad-like list (for the browser,
+ * () => navigator.getGamepads()); tests pass a stub.
+ *
+ * poll() returns events: { type: "press" | "release", action } for the
+ * input actions in bindings.buttons, and, when `analogRetract` is on,
+ * { type: "trigger", value } as the retract trigger moves (value 0-1, 0 when
+ * let go). With analogRetract off the trigger is just another retract button.
+ */
+class GamepadInput {
+  constructor(source, { bindings = {}, analogRetract = true } = {}) {
+    this.source = source;
+    this.bindings = {
+      ...DEFAULT_GAMEPAD_BINDINGS,
+      ...bindings,
+      buttons: { ...DEFAULT_GAMEPAD_BINDINGS.buttons, ...bindings.buttons },
+    };
+    this.analogRetract = analogRetract;
+    this.held = new Set();
+    this.triggerValue = 0;
+  }
+
+  poll() {
+    const pad = Array.from(this.source() || []).find((candidate) => candidate && candidate.connected);
+    const held = pad ? this.readActions(pad) : new Set();
+    const events = [];
+    for (const action of held) {
+      if (!this.held.has(action)) {
+        events.push({ type: "press", action });
+      }
+    }
+    for (const action of this.held) {
+      if (!held.has(action)) {
+        events.push({ type: "release", action });
+      }
+    }
+    this.held = held;
+
+    const triggerValue = pad && this.analogRetract ? this.readTrigger(pad) : 0;
+    if (triggerValue !== this.triggerValue) {
+      this.triggerValue = triggerValue;
+      events.push({ type: "trigger", value: triggerValue });
+    }
+    return events;
+  }
+
+  readActions(pad) {
+    const held = new Set();
+    for (const [action, indices] of Object.entries(this.bindings.buttons)) {
+      if (indices.some((index) => isGamepadButtonPressed(pad.buttons[index]))) {
+        held.add(action);
+      }
+    }
+    const { retractTrigger } = this.bindings;
+    if (!this.analogRetract && retractTrigger !== null && isGamepadButtonPressed(pad.buttons[retractTrigger])) {
+      held.add("Retract");
+    }
+    const [x = 0, y = 0] = pad.axes || [];
+    if (Math.max(Math.abs(x), Math.abs(y)) >= this.bindings.stickDeadZone) {
+      if (Math.abs(x) > Math.abs(y)) {
+        held.add(x < 0 ? "MoveLeft" : "MoveRight");
+      } else {
+        held.add(y < 0 ? "MoveUp" : "MoveDown");
+      }
+    }
+    return held;
+  }
+
+  readTrigger(pad) {
+    const { retractTrigger } = this.bindings;
+    const button = retractTrigger === null ? null : pad.buttons[retractTrigger];
+    if (!button) {
+      return 0;
+    }
+    const value = typeof button.value === "number" ? button.value : button.pressed ? 1 : 0;
+    return Math.round(value * GAMEPAD_TRIGGER_STEPS) / GAMEPAD_TRIGGER_STEPS;
+  }
+}
+
+// Buttons may be reported as objects ({ pressed, value }) or, on older
+// browsers, bare numbers.
+function isGamepadButtonPressed(button) {
+  if (typeof button === "number") {
+    return button > 0.5;
+  }
+  return Boolean(button && button.pressed);
+}
+
+/**
+ * Steps a session in fixed timesteps until the run ends or `ticks` updates
+ * have run, applying recorded inputs as their ticks come due. Returns the
+ * session.
+ */
+function runHeadless(session, { ticks = Infinity, inputs = [], renderer = new NullRenderer() } = {}) {
+  const playback = new InputPlayback(inputs);
+  for (let i = 0; i < ticks && !session.runEnded; i += 1) {
+    playback.applyDue(session);
+    session.update(FIXED_TIMESTEP);
+    renderer.render(null, session);
+  }
+  return session;
+}
+
+function closestPointOnSegment(px, py, ax, ay, bx, by) {
+  const abx = bx - ax;
+  const aby = by - ay;
+  const apx = px - ax;
+  const apy = py - ay;
+  const abLengthSq = abx * abx + aby * aby;
+  let t = 0;
+  if (abLengthSq > 0) {
+    t = (apx * abx + apy * aby) / abLengthSq;
+    t = Math.max(0, Math.min(1, t));
+  }
+  return { x: ax + abx * t, y: ay + aby * t };
+}
+
+function distancePointToSegment(px, py, ax, ay, bx, by) {
+  const closest = closestPointOnSegment(px, py, ax, ay, bx, by);
+  return Math.hypot(px - closest.x, py - closest.y);
+}
+
+// Closest point to (px, py) on a polyline, or null if it has no segments.
+function closestPointOnPath(points, px, py) {
+  let best = null;
+  let bestDist = Infinity;
+  for (let i = 0; i < points.length - 1; i += 1) {
+    const a = points[i];
+    const b = points[i + 1];
+    const point = closestPointOnSegment(px, py, a.x, a.y, b.x, b.y);
+    const dist = Math.hypot(px - point.x, py - point.y);
+    if (dist < bestDist) {
+      best = point;
+      bestDist = dist;
+    }
+  }
+  return best;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    FIXED_TIMESTEP,
+    LEVEL_INTERMISSION_DURATION,
+    DEFAULT_LEVEL_TIME_LIMIT,
+    LEVEL_TILE_LEGEND,
+    POWER_UP_GLYPHS,
+    SHIELD_DURATION,
+    TIME_POWER_UP_SECONDS,
+    DEATH_SEQUENCE_SECONDS,
+    GET_READY_SECONDS,
+    RESPAWN_GRACE_SECONDS,
+    TIME_OUT_RULES,
+    DEFAULT_TIME_OUT_RULE,
+    SUDDEN_DEATH_SECONDS,
+    REPLAY_VERSION,
+    WORLD_WIDTH,
+    WORLD_HEIGHT,
+    HIGH_SCORE_LIMIT,
+    SCORING,
+    DIFFICULTY_PRESETS,
+    DIFFICULTY_IDS,
+    DEFAULT_DIFFICULTY,
+    ENEMY_TYPES,
+    LevelFormatError,
+    parseLevelDefinition,
+    findDefaultEntryColumn,
+    findReachableTiles,
+    SeededRandom,
+    hashSeed,
+    dailySeed,
+    generateTunnelMap,
+    LevelCampaign,
+    GeneratedCampaign,
+    campaignFromDescriptor,
+    ReplayFormatError,
+    REPLAY_ACTIONS,
+    parseReplay,
+    MemoryStore,
+    HighScoreTable,
+    INPUT_ACTIONS,
+    CONTROL_PRESETS,
+    CONTROL_PRESET_IDS,
+    DEFAULT_CONTROL_PRESET,
+    KeyBindings,
+    VOLUME_CHANNELS,
+    VOLUME_STEP,
+    PlayerSettings,
+    GAME_EVENT_TYPES,
+    GameEvents,
+    NullRenderer,
+    Level,
+    Drill,
+    Enemy,
+    GameSession,
+    InputPlayback,
+    GAMEPAD_BUTTONS,
+    DEFAULT_GAMEPAD_BINDINGS,
+    GamepadInput,
+    runHeadless,
+    distancePointToSegment,
+    closestPointOnPath,
+  };
+}
@@ -1,17 +1,90 @@
 const canvas = document.getElementById("gameCanvas");
 const ctx = canvas.getContext("2d");
 
-let lastTime = 0;
-const LEVEL_COMPLETE_BONUS = 1000;
+let lastTime = null;
+let accumulator = 0;
+// Long frames (tab switches, hitches) are clamped so the fixed-step catch-up
+// never exceeds MAX_FRAME_TIME of game time.
+const MAX_FRAME_TIME = 0.25;
+const REPLAY_STORAGE_KEY = "satsMiner.lastReplay";
+const HIGH_SCORE_STORAGE_KEY = "satsMiner.highScores";
+const CONTROLS_STORAGE_KEY = "satsMiner.controls";
+const SETTINGS_STORAGE_KEY = "satsMiner.settings";
+// Master gain at full master volume; the cues are mixed to sit under it.
+const MASTER_GAIN = 0.3;
+// The menu shows its cover art for MENU_ATTRACT_SECONDS, then the high-score
+// table for MENU_SCORES_SECONDS, and repeats.
+const MENU_ATTRACT_SECONDS = 12;
+const MENU_SCORES_SECONDS = 8;
+const REPLAY_SPEEDS = [1, 2, 4];
+const REPLAY_SCRUB_SECONDS = 5;
+// Badge and HUD colors for the shield, clock and repair kit power-ups.
+const POWER_UP_COLORS = { S: "#5ec8ff", T: "#ffd166", R: "#7be07b" };
+// A touch that travels less than TAP_SLOP canvas pixels counts as a tap.
+const TAP_SLOP = 12;
+// Swiping SWIPE_DISTANCE canvas pixels steers the drill; holding a finger
+// still for RETRACT_HOLD_SECONDS retracts it.
+const SWIPE_DISTANCE = 30;
+const RETRACT_HOLD_SECONDS = 0.3;
+// In-play effects share a pool of EFFECT_POOL_SIZE particles; when it runs
+// dry the oldest one is recycled.
+const EFFECT_POOL_SIZE = 256;
+const DEBRIS_PARTICLES = 14;
+const SPARKLE_PARTICLES = 8;
+const SCORE_TEXT_SECONDS = 0.9;
+// Pellet scores float up in gold, kills in white.
+const PELLET_SCORE_COLOR = "#ffd166";
+const PIPE_FLASH_SECONDS = 0.4;
+const SHAKE_SECONDS = 0.3;
+const SHAKE_PIXELS = 6;
+// Debris picks its colors from the enemy sprite it came from.
+const DEBRIS_COLORS = {
+  spider: ["#5f2024", "#8c332c", "#2d1011"],
+  worm: ["#f7a24c", "#ffd89f", "#5e1f19"],
+  mine: ["#4a515c", "#8a929e", "#ff4d4d"],
+  beetle: ["#f2b632", "#8a5a0b", "#fff1a8"],
+};
+const SPARKLE_COLORS = ["#fff5c0", "#ffd166", "#ffc85b"];
+const MOVE_DIRECTIONS = {
+  MoveUp: { dx: 0, dy: -1 },
+  MoveDown: { dx: 0, dy: 1 },
+  MoveLeft: { dx: -1, dy: 0 },
+  MoveRight: { dx: 1, dy: 0 },
+};
+const ACTION_LABELS = {
+  MoveUp: "Move Up",
+  MoveDown: "Move Down",
+  MoveLeft: "Move Left",
+  MoveRight: "Move Right",
+  Retract: "Retract",
+  Pause: "Pause",
+  Mute: "Mute",
+  Confirm: "Confirm",
+  Back: "Back",
+};
+const KEY_LABELS = {
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  ArrowLeft: "←",
+  ArrowRight: "→",
+  Escape: "Esc",
+  NumpadEnter: "Num Enter",
+};
 
 /**
- * Sound Manager - Handles all audio using Web Audio API
+ * Sound Manager - Handles all audio using Web Audio API. One-shot cues play
+ * through sfxGain and the drill hum through drillBusGain; both feed
+ * masterGain. Volumes and mute come from a PlayerSettings. Gameplay cues
+ * come from a session's GameEvents via listenTo().
  */
 class SoundManager {
-  constructor() {
+  constructor(settings) {
+    this.settings = settings;
     this.audioContext = null;
-    this.muted = false;
+    this.muted = settings.muted;
     this.masterGain = null;
+    this.sfxGain = null;
+    this.drillBusGain = null;
     this.drillLoopNode = null;
     this.drillLoopGain = null;
     this.initAudio();
@@ -22,20 +95,79 @@ class SoundManager {
       this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
       this.masterGain = this.audioContext.createGain();
       this.masterGain.connect(this.audioContext.destination);
-      this.masterGain.gain.value = 0.3; // Master volume at 30%
+      this.sfxGain = this.audioContext.createGain();
+      this.sfxGain.connect(this.masterGain);
+      this.drillBusGain = this.audioContext.createGain();
+      this.drillBusGain.connect(this.masterGain);
+      this.applySettings();
     } catch (e) {
       console.warn("Web Audio API not supported:", e);
     }
   }
 
+  // Copies the saved volumes and mute state onto the gain nodes.
+  applySettings() {
+    if (!this.audioContext) return;
+    const { volumes, muted } = this.settings;
+    this.masterGain.gain.value = muted ? 0 : MASTER_GAIN * volumes.master;
+    this.sfxGain.gain.value = volumes.sfx;
+    this.drillBusGain.gain.value = volumes.drillLoop;
+  }
+
   toggleMute() {
     this.muted = !this.muted;
-    if (this.masterGain) {
-      this.masterGain.gain.value = this.muted ? 0 : 0.3;
-    }
+    this.settings.setMuted(this.muted);
+    this.applySettings();
     return this.muted;
   }
 
+  stepVolume(channel, steps) {
+    this.settings.stepVolume(channel, steps);
+    this.applySettings();
+  }
+
+  setVolume(channel, value) {
+    this.settings.setVolume(channel, value);
+    this.applySettings();
+  }
+
+  // Suppresses every cue while fn runs, e.g. when fast-forwarding a replay.
+  runSilently(fn) {
+    const wasMuted = this.muted;
+    this.muted = true;
+    try {
+      return fn();
+    } finally {
+      this.muted = wasMuted;
+    }
+  }
+
+  // Plays the matching cue for each event the simulation emits.
+  listenTo(events) {
+    events.on("drillMoving", () => this.playDrillExtend());
+    events.on("drillStopped", () => this.stopDrillExtend());
+    events.on("retractStarted", () => {
+      this.stopDrillExtend();
+      this.playDrillRetract();
+    });
+    events.on("pelletCollected", () => this.playCoinCollect());
+    events.on("powerUpCollected", () => this.playPowerUp());
+    events.on("levelComplete", () => {
+      this.stopDrillExtend();
+      this.playLevelComplete();
+    });
+    events.on("enemyDestroyed", () => this.playEnemyDestroyed());
+    events.on("pipeHit", () => this.playPipeHit());
+    events.on("lifeLost", () => {
+      this.playLifeLost();
+      this.stopDrillExtend();
+    });
+    events.on("extraLife", () => this.playExtraLife());
+    events.on("timeWarning", () => this.playTimeWarning());
+    events.on("timeExpired", () => this.playTimeUp());
+    events.on("runEnded", () => this.stopDrillExtend());
+  }
+
   // Drill extending sound (mechanical whirring)
   playDrillExtend() {
     if (!this.audioContext || this.muted) return;
@@ -57,7 +189,7 @@ class SoundManager {
 
       osc.connect(filter);
       filter.connect(gain);
-      gain.connect(this.masterGain);
+      gain.connect(this.drillBusGain);
 
       osc.start();
       this.drillLoopNode = osc;
@@ -96,7 +228,7 @@ class SoundManager {
     gain.gain.exponentialRampToValueAtTime(0.01, now + 0.15);
 
     osc.connect(gain);
-    gain.connect(this.masterGain);
+    gain.connect(this.sfxGain);
 
     osc.start(now);
     osc.stop(now + 0.15);
@@ -118,12 +250,36 @@ class SoundManager {
     gain.gain.exponentialRampToValueAtTime(0.01, now + 0.1);
 
     osc.connect(gain);
-    gain.connect(this.masterGain);
+    gain.connect(this.sfxGain);
 
     osc.start(now);
     osc.stop(now + 0.1);
   }
 
+  // Power-up pickup (rising two-note chime)
+  playPowerUp() {
+    if (!this.audioContext || this.muted) return;
+
+    const now = this.audioContext.currentTime;
+    [660, 990].forEach((freq, index) => {
+      const osc = this.audioContext.createOscillator();
+      const gain = this.audioContext.createGain();
+      const start = now + index * 0.08;
+
+      osc.type = "triangle";
+      osc.frequency.setValueAtTime(freq, start);
+
+      gain.gain.setValueAtTime(0.18, start);
+      gain.gain.exponentialRampToValueAtTime(0.01, start + 0.12);
+
+      osc.connect(gain);
+      gain.connect(this.sfxGain);
+
+      osc.start(start);
+      osc.stop(start + 0.12);
+    });
+  }
+
   // Level complete (triumphant)
   playLevelComplete() {
     if (!this.audioContext || this.muted) return;
@@ -143,7 +299,7 @@ class SoundManager {
       gain.gain.exponentialRampToValueAtTime(0.01, startTime + 0.3);
 
       osc.connect(gain);
-      gain.connect(this.masterGain);
+      gain.connect(this.sfxGain);
 
       osc.start(startTime);
       osc.stop(startTime + 0.3);
@@ -175,7 +331,7 @@ class SoundManager {
 
     noise.connect(filter);
     filter.connect(gain);
-    gain.connect(this.masterGain);
+    gain.connect(this.sfxGain);
 
     noise.start(now);
   }
@@ -196,7 +352,7 @@ class SoundManager {
     gain.gain.exponentialRampToValueAtTime(0.01, now + 0.2);
 
     osc.connect(gain);
-    gain.connect(this.masterGain);
+    gain.connect(this.sfxGain);
 
     osc.start(now);
     osc.stop(now + 0.2);
@@ -218,7 +374,7 @@ class SoundManager {
     gain.gain.linearRampToValueAtTime(0, now + 0.5);
 
     osc.connect(gain);
-    gain.connect(this.masterGain);
+    gain.connect(this.sfxGain);
 
     osc.start(now);
     osc.stop(now + 0.5);
@@ -243,7 +399,7 @@ class SoundManager {
       gain.gain.linearRampToValueAtTime(0, startTime + 0.4);
 
       osc.connect(gain);
-      gain.connect(this.masterGain);
+      gain.connect(this.sfxGain);
 
       osc.start(startTime);
       osc.stop(startTime + 0.4);
@@ -265,7 +421,7 @@ class SoundManager {
     gain.gain.exponentialRampToValueAtTime(0.01, now + 0.05);
 
     osc.connect(gain);
-    gain.connect(this.masterGain);
+    gain.connect(this.sfxGain);
 
     osc.start(now);
     osc.stop(now + 0.05);
@@ -286,185 +442,186 @@ class SoundManager {
     gain.gain.exponentialRampToValueAtTime(0.01, now + 0.1);
 
     osc.connect(gain);
-    gain.connect(this.masterGain);
+    gain.connect(this.sfxGain);
 
     osc.start(now);
     osc.stop(now + 0.1);
   }
-}
 
-// Global sound manager instance
-const soundManager = new SoundManager();
+  // Extra life (quick rising arpeggio)
+  playExtraLife() {
+    if (!this.audioContext || this.muted) return;
 
-/**
- * A GameState should implement:
- * - update(dt)
- * - render(ctx)
- * - onKeyDown(event) // optional, for handling input
- */
-class Level {
-  constructor(canvasWidth, canvasHeight) {
-    this.tileSize = 32;
-    const rawMap = [
-      "##############################",
-      "..O....E....O....E....O.......",
-      "###.#######.#########.########",
-      "..O..E....O...E....O..E.......",
-      "######.#########.#######.#####",
-      "..E....O....E....O....E.......",
-      "#####.########.#######.#######",
-      "....O....E....O....E....O.....",
-      "########.#########.###########",
-      "..O...E....O...E....O...E.....",
-      "####.########.#####.#####.####",
-      "....E....O....E....O....E.....",
-      "#######.#######.#######.######",
-      "..E....O....E....O....E.......",
-      "#####.######.#######.#########",
-      "....O....E....O....E....O.....",
-      "##############################",
-    ];
+    const now = this.audioContext.currentTime;
+    const notes = [523.25, 659.25, 783.99, 1046.50, 1318.51]; // C, E, G, C, E
 
-    this.tiles = rawMap.map((row) => row.split(""));
-    this.height = this.tiles.length;
-    this.width = this.tiles[0].length;
-    this.coinSpin = 0;
-
-    const gridWidth = this.width * this.tileSize;
-    const gridHeight = this.height * this.tileSize;
-    this.offsetX = Math.max(0, Math.floor((canvasWidth - gridWidth) / 2));
-    const verticalExtra = Math.max(0, canvasHeight - gridHeight);
-    this.offsetY = verticalExtra;
-
-    this.pelletCount = 0;
-    this.enemyLaneData = new Map();
-    for (let y = 0; y < this.height; y += 1) {
-      let rowOpenCount = 0;
-      let minX = this.width;
-      let maxX = -1;
-      for (let x = 0; x < this.width; x += 1) {
-        const tile = this.tiles[y][x];
-        if (tile === "O") {
-          this.pelletCount += 1;
-        }
-        if (tile !== "#") {
-          rowOpenCount += 1;
-          if (x < minX) minX = x;
-          if (x > maxX) maxX = x;
-        }
-        if (tile === "E") {
-          this.tiles[y][x] = ".";
-        }
-      }
-      if (rowOpenCount > this.width * 0.6) {
-        this.enemyLaneData.set(y, { yTile: y, minX, maxX });
-      }
-    }
+    notes.forEach((freq, i) => {
+      const osc = this.audioContext.createOscillator();
+      const gain = this.audioContext.createGain();
+      const startTime = now + i * 0.07;
 
-    this.entryTile = this.findEntryTile();
-    const entryCenter = this.tileToPixelCenter(this.entryTile.x, this.entryTile.y);
-    this.wellPosition = {
-      x: entryCenter.x,
-      y: entryCenter.y - this.tileSize * 1.5,
-    };
-  }
+      osc.type = "square";
+      osc.frequency.value = freq;
 
-  findEntryTile() {
-    const topRow = 1;
-    const centerCol = Math.floor(this.width / 2);
-    for (let offset = 0; offset < this.width; offset += 1) {
-      const left = centerCol - offset;
-      if (left >= 0 && this.tiles[topRow][left] !== "#") {
-        return { x: left, y: topRow };
-      }
-      const right = centerCol + offset;
-      if (right < this.width && this.tiles[topRow][right] !== "#") {
-        return { x: right, y: topRow };
-      }
-    }
-    return { x: 1, y: topRow };
-  }
+      gain.gain.setValueAtTime(0.08, startTime);
+      gain.gain.exponentialRampToValueAtTime(0.01, startTime + 0.12);
 
-  tileToPixelCenter(tileX, tileY) {
-    const x = this.offsetX + tileX * this.tileSize + this.tileSize / 2;
-    const y = this.offsetY + tileY * this.tileSize + this.tileSize / 2;
-    return { x, y };
-  }
+      osc.connect(gain);
+      gain.connect(this.sfxGain);
 
-  getTile(tx, ty) {
-    if (ty < 0 || ty >= this.height || tx < 0 || tx >= this.width) {
-      return null;
-    }
-    return this.tiles[ty][tx];
+      osc.start(startTime);
+      osc.stop(startTime + 0.12);
+    });
   }
 
-  getTileAtPixel(x, y) {
-    const tx = Math.floor((x - this.offsetX) / this.tileSize);
-    const ty = Math.floor((y - this.offsetY) / this.tileSize);
-    if (tx < 0 || ty < 0 || tx >= this.width || ty >= this.height) {
-      return null;
-    }
-    return this.tiles[ty][tx];
-  }
+  // Clock ran out (three buzzer pulses)
+  playTimeUp() {
+    if (!this.audioContext || this.muted) return;
 
-  pixelToTile(x, y) {
-    const tx = Math.floor((x - this.offsetX) / this.tileSize);
-    const ty = Math.floor((y - this.offsetY) / this.tileSize);
-    if (tx < 0 || ty < 0 || tx >= this.width || ty >= this.height) {
-      return null;
+    const now = this.audioContext.currentTime;
+    for (let i = 0; i < 3; i++) {
+      const osc = this.audioContext.createOscillator();
+      const gain = this.audioContext.createGain();
+      const startTime = now + i * 0.18;
+
+      osc.type = "square";
+      osc.frequency.value = 220;
+
+      gain.gain.setValueAtTime(0.1, startTime);
+      gain.gain.linearRampToValueAtTime(0, startTime + 0.14);
+
+      osc.connect(gain);
+      gain.connect(this.sfxGain);
+
+      osc.start(startTime);
+      osc.stop(startTime + 0.14);
     }
-    return { x: tx, y: ty };
   }
+}
 
-  isTunnelTile(tile) {
-    return tile === "." || tile === "O";
+// Falls back to an in-memory store when localStorage is blocked (some private
+// browsing modes), so scores still last for the session.
+function createBrowserStore() {
+  try {
+    window.localStorage.getItem(HIGH_SCORE_STORAGE_KEY);
+    return window.localStorage;
+  } catch (e) {
+    console.warn("localStorage unavailable, keeping high scores in memory:", e);
+    return new MemoryStore();
   }
+}
 
-  isTunnelAtPixel(x, y) {
-    const tile = this.getTileAtPixel(x, y);
-    return tile ? this.isTunnelTile(tile) : false;
-  }
+const highScores = new HighScoreTable(createBrowserStore(), { key: HIGH_SCORE_STORAGE_KEY });
+// The on-screen pad defaults to on for touch screens.
+const playerSettings = new PlayerSettings(createBrowserStore(), {
+  key: SETTINGS_STORAGE_KEY,
+  touchPad: "ontouchstart" in window,
+});
 
-  removePelletAtTile(tx, ty) {
-    if (ty < 0 || ty >= this.height || tx < 0 || tx >= this.width) {
-      return false;
-    }
-    if (this.tiles[ty][tx] === "O") {
-      this.tiles[ty][tx] = ".";
-      this.pelletCount = Math.max(0, this.pelletCount - 1);
-      return true;
-    }
-    return false;
+// Global sound manager instance
+const soundManager = new SoundManager(playerSettings);
+
+
+function saveLastReplay(replay) {
+  try {
+    window.localStorage.setItem(REPLAY_STORAGE_KEY, JSON.stringify(replay));
+  } catch (e) {
+    console.warn("Could not save replay:", e);
   }
+}
 
-  hasPelletsRemaining() {
-    return this.pelletCount > 0;
+function loadLastReplay() {
+  try {
+    const text = window.localStorage.getItem(REPLAY_STORAGE_KEY);
+    return text ? parseReplay(text) : null;
+  } catch (e) {
+    console.warn("Could not load replay:", e);
+    return null;
   }
+}
 
-  getEnemyLanes() {
-    if (!this.enemyLaneInfo) {
-      this.enemyLaneInfo = Array.from(this.enemyLaneData.values()).map(
-        ({ yTile, minX, maxX }) => ({
-          y: this.tileToPixelCenter(0, yTile).y,
-          leftX: this.tileToPixelCenter(minX, yTile).x,
-          rightX: this.tileToPixelCenter(maxX, yTile).x,
-        })
-      );
-    }
-    return this.enemyLaneInfo;
+function browserGamepads() {
+  return navigator.getGamepads ? navigator.getGamepads() : [];
+}
+
+/**
+ * What states get in onKeyDown/onKeyUp: the key event's key and code plus the
+ * input actions bound to it; is(action) tests for one. Gamepad buttons arrive
+ * the same way, with an action and no key.
+ * isShortcut(name) tests for a screen's own fixed key ("E", "1", "Home").
+ * Bound actions win, so a shortcut on a bound key needs Shift held.
+ */
+function createInputEvent({ key = "", code = "", actions = [], shiftKey = false, preventDefault = () => {} }) {
+  const isShortcut = (name) =>
+    (key.toLowerCase() === name.toLowerCase() || code === shortcutCode(name)) &&
+    (actions.length === 0 || shiftKey);
+  return {
+    key,
+    code,
+    actions,
+    shiftKey,
+    is: (action) => actions.includes(action),
+    isShortcut,
+    preventDefault,
+  };
+}
+
+// KeyboardEvent.code for a shortcut name: "E" is "KeyE", "1" is "Digit1".
+function shortcutCode(name) {
+  if (/^[a-z]$/i.test(name)) {
+    return `Key${name.toUpperCase()}`;
   }
+  return /^[0-9]$/.test(name) ? `Digit${name}` : name;
+}
+
+// How hints show a shortcut: "Shift+D" once D is bound to an action.
+function shortcutLabel(controls, name) {
+  return controls.actionsFor(shortcutCode(name)).length > 0 ? `Shift+${name}` : name;
+}
+
+// How hints name an action's keys: every bound key ("Esc/P"), or just the
+// first one ("Enter") where the rest would only crowd the line.
+function actionKeys(controls, action, { first = false } = {}) {
+  const codes = controls.keysFor(action);
+  return (first ? codes.slice(0, 1) : codes).map(keyLabel).join("/") || "unbound";
+}
+
+// How hints name a pair of opposite moves: "↑/↓", or "W/S" under WASD.
+function moveKeys(controls, back, forward) {
+  return [back, forward].map((action) => actionKeys(controls, action, { first: true })).join("/");
+}
 
-  getEntryTile() {
-    return { ...this.entryTile };
+// Short name for a KeyboardEvent.code: "KeyW" is "W", "Digit1" is "1".
+function keyLabel(code) {
+  if (KEY_LABELS[code]) {
+    return KEY_LABELS[code];
   }
+  return code.replace(/^(Key|Digit)/, "");
+}
 
-  getWellPosition() {
-    return { ...this.wellPosition };
+// Copies JSON to the clipboard, falling back to a prompt the player can copy from.
+function copyJsonToClipboard(label, value) {
+  const text = JSON.stringify(value, null, 2);
+  const fallback = () => window.prompt(`Copy the ${label} JSON:`, text);
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    return navigator.clipboard.writeText(text).then(() => true, () => {
+      fallback();
+      return false;
+    });
   }
+  fallback();
+  return Promise.resolve(false);
+}
 
-  render(ctx) {
-    const { width, height } = ctx.canvas;
-    const horizonHeight = Math.max(120, this.offsetY * 0.6);
+/**
+ * Draws a Level: sky, terrain, tunnels and the spinning pellets.
+ */
+class LevelRenderer {
+  render(ctx, level) {
+    // Drawn in game units; the viewport scales them to the canvas.
+    const width = WORLD_WIDTH;
+    const height = WORLD_HEIGHT;
+    const horizonHeight = Math.max(120, level.offsetY * 0.6);
 
     // Sky
     const skyGradient = ctx.createLinearGradient(0, 0, 0, horizonHeight);
@@ -502,12 +659,12 @@ class Level {
     ctx.closePath();
     ctx.fill();
 
-    const soilBandGrad = ctx.createLinearGradient(0, horizonHeight - terrainHeight * 0.1, 0, this.offsetY);
+    const soilBandGrad = ctx.createLinearGradient(0, horizonHeight - terrainHeight * 0.1, 0, level.offsetY);
     soilBandGrad.addColorStop(0, "rgba(92,59,43,0)");
     soilBandGrad.addColorStop(0.5, "rgba(74,46,33,0.35)");
     soilBandGrad.addColorStop(1, "#241710");
     ctx.fillStyle = soilBandGrad;
-    ctx.fillRect(0, horizonHeight, width, this.offsetY - horizonHeight);
+    ctx.fillRect(0, horizonHeight, width, level.offsetY - horizonHeight);
 
     // Rolling hill accents
     ctx.fillStyle = "rgba(0,0,0,0.15)";
@@ -521,40 +678,40 @@ class Level {
     ctx.closePath();
     ctx.fill();
 
-    this.renderTree(ctx, width, horizonHeight, terrainHeight);
+    this.renderTree(ctx, level, width, horizonHeight, terrainHeight);
 
     // Underground rock
-    const rockGrad = ctx.createLinearGradient(0, this.offsetY, 0, height);
+    const rockGrad = ctx.createLinearGradient(0, level.offsetY, 0, height);
     rockGrad.addColorStop(0, "#1a1412");
     rockGrad.addColorStop(0.5, "#201a18");
     rockGrad.addColorStop(1, "#120d0c");
     ctx.fillStyle = rockGrad;
-    ctx.fillRect(0, this.offsetY, width, height - this.offsetY);
+    ctx.fillRect(0, level.offsetY, width, height - level.offsetY);
 
     ctx.save();
-    const tunnelInset = -Math.max(2, this.tileSize * 0.08);
-    for (let y = 0; y < this.height; y += 1) {
-      for (let x = 0; x < this.width; x += 1) {
-        const tile = this.tiles[y][x];
-        const px = this.offsetX + x * this.tileSize;
-        const py = this.offsetY + y * this.tileSize;
+    const tunnelInset = -Math.max(2, level.tileSize * 0.08);
+    for (let y = 0; y < level.height; y += 1) {
+      for (let x = 0; x < level.width; x += 1) {
+        const tile = level.tiles[y][x];
+        const px = level.offsetX + x * level.tileSize;
+        const py = level.offsetY + y * level.tileSize;
 
         if (tile === "#") {
           ctx.fillStyle = "#1a120f";
-          ctx.fillRect(px, py, this.tileSize, this.tileSize);
+          ctx.fillRect(px, py, level.tileSize, level.tileSize);
           continue;
         }
 
-        const tunnelWidth = this.tileSize - tunnelInset * 2;
-        const tunnelHeight = this.tileSize - tunnelInset * 2;
+        const tunnelWidth = level.tileSize - tunnelInset * 2;
+        const tunnelHeight = level.tileSize - tunnelInset * 2;
         const rx = px + tunnelInset;
         const ry = py + tunnelInset;
-        const radius = Math.min(12, this.tileSize * 0.35);
+        const radius = Math.min(12, level.tileSize * 0.35);
         const neighbors = {
-          left: x > 0 && this.tiles[y][x - 1] !== "#",
-          right: x < this.width - 1 && this.tiles[y][x + 1] !== "#",
-          up: y > 0 && this.tiles[y - 1][x] !== "#",
-          down: y < this.height - 1 && this.tiles[y + 1][x] !== "#",
+          left: x > 0 && level.tiles[y][x - 1] !== "#",
+          right: x < level.width - 1 && level.tiles[y][x + 1] !== "#",
+          up: y > 0 && level.tiles[y - 1][x] !== "#",
+          down: y < level.height - 1 && level.tiles[y + 1][x] !== "#",
         };
 
         const isVerticalOnly =
@@ -584,19 +741,21 @@ class Level {
         ctx.fillRect(rx + 2, ry + tunnelHeight - 3, tunnelWidth - 4, 2);
 
         if (tile === "O") {
-          this.renderCoin(ctx, px, py, x, y);
+          this.renderCoin(ctx, level, px, py, x, y);
+        } else if (POWER_UP_GLYPHS.includes(tile)) {
+          this.renderPowerUp(ctx, level, px, py, tile);
         }
       }
     }
     ctx.restore();
   }
 
-  renderCoin(ctx, px, py, tileX, tileY) {
-    const cx = px + this.tileSize / 2;
-    const cy = py + this.tileSize / 2;
-    const baseRadius = this.tileSize * 0.32;
+  renderCoin(ctx, level, px, py, tileX, tileY) {
+    const cx = px + level.tileSize / 2;
+    const cy = py + level.tileSize / 2;
+    const baseRadius = level.tileSize * 0.32;
     const wobble = Math.abs(
-      Math.sin(this.coinSpin + (tileX + tileY) * 0.4)
+      Math.sin(level.coinSpin + (tileX + tileY) * 0.4)
     );
     const scaleX = 0.45 + wobble * 0.35;
     const scaleY = 0.55 - wobble * 0.25;
@@ -641,25 +800,76 @@ class Level {
       2,
       cx,
       cy,
-      this.tileSize * 0.5
+      level.tileSize * 0.5
     );
     glow.addColorStop(0, "rgba(255,214,120,0.8)");
     glow.addColorStop(1, "rgba(255,207,92,0)");
     ctx.fillStyle = glow;
     ctx.beginPath();
-    ctx.arc(cx, cy, this.tileSize * 0.4, 0, Math.PI * 2);
+    ctx.arc(cx, cy, level.tileSize * 0.4, 0, Math.PI * 2);
     ctx.fill();
   }
 
-  update(dt) {
-    this.coinSpin = (this.coinSpin + dt * 4) % (Math.PI * 2);
+  // Round badge that bobs in time with the coins: shield (S), clock (T) or
+  // repair kit (R). It holds still under reduced effects.
+  renderPowerUp(ctx, level, px, py, glyph) {
+    const color = POWER_UP_COLORS[glyph];
+    const radius = level.tileSize * 0.3;
+    const cx = px + level.tileSize / 2;
+    const bob = playerSettings.reducedEffects ? 0 : Math.sin(level.coinSpin) * 2;
+    const cy = py + level.tileSize / 2 + bob;
+
+    ctx.save();
+    const glow = ctx.createRadialGradient(cx, cy, 2, cx, cy, level.tileSize * 0.5);
+    glow.addColorStop(0, `${color}cc`);
+    glow.addColorStop(1, `${color}00`);
+    ctx.fillStyle = glow;
+    ctx.beginPath();
+    ctx.arc(cx, cy, level.tileSize * 0.45, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.fillStyle = "#1d1a22";
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.translate(cx, cy);
+    ctx.fillStyle = color;
+    ctx.strokeStyle = color;
+    const r = radius * 0.55;
+    if (glyph === "S") {
+      ctx.beginPath();
+      ctx.moveTo(0, -r);
+      ctx.lineTo(r, -r * 0.6);
+      ctx.quadraticCurveTo(r, r * 0.6, 0, r);
+      ctx.quadraticCurveTo(-r, r * 0.6, -r, -r * 0.6);
+      ctx.closePath();
+      ctx.fill();
+    } else if (glyph === "T") {
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(0, 0, r, 0, Math.PI * 2);
+      ctx.moveTo(0, 0);
+      ctx.lineTo(0, -r * 0.7);
+      ctx.moveTo(0, 0);
+      ctx.lineTo(r * 0.5, 0);
+      ctx.stroke();
+    } else {
+      const arm = r * 0.35;
+      ctx.fillRect(-arm, -r, arm * 2, r * 2);
+      ctx.fillRect(-r, -arm, r * 2, arm * 2);
+    }
+    ctx.restore();
   }
 
-  renderTree(ctx, width, horizonHeight, terrainHeight) {
+  renderTree(ctx, level, width, horizonHeight, terrainHeight) {
     const treeBaseY = horizonHeight - terrainHeight * 0.25;
     const treeHeight = terrainHeight * 0.9;
     const treeWidth = treeHeight * 0.6;
-    const randomSeed = Math.sin(this.offsetX + this.offsetY * 0.5);
+    const randomSeed = Math.sin(level.offsetX + level.offsetY * 0.5);
     const treeX = width * 0.2 + width * 0.6 * (randomSeed * 0.5 + 0.5);
 
     ctx.save();
@@ -721,565 +931,122 @@ class Level {
   }
 }
 
-class Drill {
-  constructor(level, wellPosition, entryTile, onPelletCollected) {
-    this.level = level;
-    this.wellPosition = { ...wellPosition };
-    this.entryTile = { ...entryTile };
-    this.x = wellPosition.x;
-    this.y = wellPosition.y;
-    this.onPelletCollected = onPelletCollected;
-    this.speed = 200;
-    this.radius = level.tileSize * 0.45;
-    this.color = "#ff914d";
-    this.outline = "#351a0f";
-    this.pipePoints = [{ x: this.x, y: this.y }];
-    this.currentTileX = entryTile.x;
-    this.currentTileY = entryTile.y;
-    this.dirX = 0;
-    this.dirY = 0;
-    this.intentDirX = 0;
-    this.intentDirY = 0;
-    this.pendingDirX = 0;
-    this.pendingDirY = 0;
-    this.destinationTile = null;
-    this.isRetracting = false;
-    this.retractSpeed = this.speed * 2;
-    this.facingAngle = Math.PI / 2;
-    this.lastForwardX = 0;
-    this.lastForwardY = 0;
-    this.tileTrail = [];
-    this.animTime = 0;
-    this.isDocked = true;
-    this.retractHoldTime = 0;
-
-    // Precompute geometry used for rendering and collisions.
-    this.bodyWidth = Math.min(level.tileSize * 0.9, this.radius * 1.8);
-    this.bodyLength = this.bodyWidth * 1.8;
-    this.tipLength = this.bodyWidth * 0.8;
-    this.bodyStartOffset = -this.bodyLength * 0.35;
-    this.bodyEndOffset = this.bodyStartOffset + this.bodyLength;
-    this.tipEndOffset = this.bodyEndOffset + this.tipLength;
-    this.headCollisionStartOffset = this.bodyEndOffset - this.bodyWidth * 0.4;
-    this.headCollisionRadius = this.bodyWidth * 0.45;
-  }
-
-  setDirection(dx, dy) {
-    if (this.isRetracting) {
-      return;
-    }
-    this.intentDirX = dx;
-    this.intentDirY = dy;
-    this.pendingDirX = dx;
-    this.pendingDirY = dy;
-  }
-
-  startRetract() {
-    if (this.pipePoints.length <= 1) {
-      return;
-    }
-    this.isRetracting = true;
-    this.retractHoldTime = 0;
-    this.dirX = 0;
-    this.dirY = 0;
-    this.pendingDirX = 0;
-    this.pendingDirY = 0;
-    this.intentDirX = 0;
-    this.intentDirY = 0;
-    this.destinationTile = null;
-    this.lastForwardX = 0;
-    this.lastForwardY = 0;
-    this.updateHeadPipePoint();
-    soundManager.stopDrillExtend();
-    soundManager.playDrillRetract();
-  }
-
-  stopRetract() {
-    if (!this.isRetracting) {
-      return;
-    }
-    this.isRetracting = false;
-    this.updateHeadPipePoint();
-    this.syncCurrentTile();
-  }
-
-  update(dt) {
-    this.animTime += dt;
-    if (this.isRetracting) {
-      this.retractHoldTime += dt;
-      this.retractAlongPipe(dt);
-      this.refreshDockedState();
+/**
+ * Draws a Drill's pipe and head.
+ */
+class DrillRenderer {
+  renderPipe(ctx, drill) {
+    if (drill.pipePoints.length < 1) {
       return;
     }
-    this.retractHoldTime = 0;
-    this.refreshDockedState();
-    const center = this.getCurrentTileCenter();
-    if (center) {
-      this.snapToCenterIfClose(center);
-      this.handleInitialDrop(center);
-      this.lockPerpendicularAxis(center);
-    }
 
-    if (!this.destinationTile && center) {
-      if (!this.tryApplyPendingDirection()) {
-        this.tryContinueForward();
+    const drawSegment = (from, to) => {
+      if (!from || !to) return;
+      if (from.x === to.x || from.y === to.y) {
+        ctx.lineTo(to.x, to.y);
+        return;
       }
-    }
-
-    if (!this.destinationTile) {
-      return;
-    }
+      ctx.lineTo(to.x, from.y);
+      ctx.lineTo(to.x, to.y);
+    };
 
-    this.advanceTowardDestination(dt);
-    this.trackPipeProgress();
-    this.checkPelletCollection();
-  }
-
-  retractAlongPipe(dt) {
-    if (this.pipePoints.length <= 1) {
-      const anchor = this.pipePoints[0] || { x: this.x, y: this.y };
-      this.x = anchor.x;
-      this.y = anchor.y;
-      this.updateHeadPipePoint();
-      this.syncCurrentTile();
-      this.currentTileX = this.entryTile.x;
-      this.currentTileY = this.entryTile.y;
-      this.lastForwardX = 0;
-      this.lastForwardY = 0;
-      this.tileTrail = [];
-      this.isRetracting = false;
-      this.retractHoldTime = 0;
-      return;
+    ctx.beginPath();
+    const first = drill.pipePoints[0];
+    ctx.moveTo(first.x, first.y);
+    for (let i = 1; i < drill.pipePoints.length; i += 1) {
+      const prev = drill.pipePoints[i - 1];
+      const point = drill.pipePoints[i];
+      drawSegment(prev, point);
     }
-
-    const targetIndex = this.pipePoints.length - 2;
-    const target = this.pipePoints[targetIndex];
-    const dx = target.x - this.x;
-    const dy = target.y - this.y;
-    const dist = Math.sqrt(dx * dx + dy * dy);
-    const rapidBoost = Math.min(1, this.retractHoldTime);
-    const accelerationMultiplier = 1 + rapidBoost * rapidBoost * 15;
-    const maxStep = this.retractSpeed * accelerationMultiplier * dt;
-
-    if (dist <= maxStep) {
-      this.x = target.x;
-      this.y = target.y;
-      this.pipePoints.pop();
-      if (this.tileTrail.length > 0) {
-        this.tileTrail.pop();
-      }
-      this.updateHeadPipePoint();
-      this.syncCurrentTile();
-      if (this.pipePoints.length === 1) {
-        this.isRetracting = false;
-        this.retractHoldTime = 0;
-        this.currentTileX = this.entryTile.x;
-        this.currentTileY = this.entryTile.y;
-        this.lastForwardX = 0;
-        this.lastForwardY = 0;
-        this.tileTrail = [];
-      }
-      return;
+    const lastPoint = drill.pipePoints[drill.pipePoints.length - 1];
+    if (lastPoint.x !== drill.x || lastPoint.y !== drill.y) {
+      drawSegment(lastPoint, { x: drill.x, y: drill.y });
     }
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    ctx.save();
+    const bounds = drill.pipePoints.reduce(
+      (acc, p) => {
+        acc.minY = Math.min(acc.minY, p.y);
+        acc.maxY = Math.max(acc.maxY, p.y);
+        return acc;
+      },
+      { minY: drill.pipePoints[0].y, maxY: drill.pipePoints[0].y }
+    );
+    const grad = ctx.createLinearGradient(0, bounds.minY, 0, bounds.maxY + 1);
+    grad.addColorStop(0, "#bfc5ce");
+    grad.addColorStop(1, "#8d949f");
+    ctx.lineWidth = 12;
+    ctx.strokeStyle = grad;
+    ctx.stroke();
 
-    this.x += (dx / dist) * maxStep;
-    this.y += (dy / dist) * maxStep;
-    this.updateHeadPipePoint();
-    this.syncCurrentTile();
-  }
-
-  checkPelletCollection() {
-    const tileCoords = this.level.pixelToTile(this.x, this.y);
-    if (!tileCoords) {
-      return;
-    }
-    const { x: tileX, y: tileY } = tileCoords;
-    if (this.level.removePelletAtTile(tileX, tileY) && this.onPelletCollected) {
-      this.onPelletCollected(tileX, tileY);
-    }
+    ctx.lineWidth = 6;
+    ctx.strokeStyle = "rgba(255,255,255,0.25)";
+    ctx.stroke();
+    ctx.restore();
   }
 
-  trackPipeProgress() {
-    const tileCoords = this.level.pixelToTile(this.x, this.y);
-    if (!tileCoords) {
-      this.updateHeadPipePoint();
-      return;
-    }
+  render(ctx, drill) {
+    ctx.save();
+    ctx.translate(drill.x, drill.y);
+    ctx.rotate(drill.facingAngle);
+    const bodyLength = drill.bodyLength;
+    const bodyWidth = drill.bodyWidth;
+    const startX = drill.bodyStartOffset;
 
-    const { x: tileX, y: tileY } = tileCoords;
-    if (tileX === this.currentTileX && tileY === this.currentTileY) {
-      this.updateHeadPipePoint();
-      return;
-    }
+    // Main chassis
+    const bodyPath = new Path2D();
+    bodyPath.roundRect(startX, -bodyWidth / 2, bodyLength, bodyWidth, bodyWidth * 0.55);
+    const bodyGrad = ctx.createLinearGradient(startX, -bodyWidth / 2, startX + bodyLength, bodyWidth / 2);
+    bodyGrad.addColorStop(0, "#191b26");
+    bodyGrad.addColorStop(0.35, "#353a47");
+    bodyGrad.addColorStop(0.65, "#5d6574");
+    bodyGrad.addColorStop(1, "#1c1f29");
+    ctx.fillStyle = bodyGrad;
+    ctx.fill(bodyPath);
+    ctx.strokeStyle = "#0d0f15";
+    ctx.lineWidth = 2;
+    ctx.stroke(bodyPath);
 
-    this.currentTileX = tileX;
-    this.currentTileY = tileY;
-    const center = this.level.tileToPixelCenter(tileX, tileY);
-    if (
-      !this.tileTrail.length ||
-      this.tileTrail[this.tileTrail.length - 1].x !== tileX ||
-      this.tileTrail[this.tileTrail.length - 1].y !== tileY
-    ) {
-      this.tileTrail.push({ x: tileX, y: tileY });
-    }
-    if (this.pipePoints.length === 0) {
-      this.pipePoints.push(center);
-      this.pipePoints.push({ x: this.x, y: this.y });
-      return;
-    }
+    // Reinforced girders for width
+    const girderThickness = bodyWidth * 0.2;
+    const girderLength = bodyLength * 0.6;
+    const girderX = startX + bodyLength * 0.12;
+    ctx.fillStyle = "#272c35";
+    ctx.fillRect(girderX, -bodyWidth / 2 - girderThickness, girderLength, girderThickness);
+    ctx.fillRect(girderX, bodyWidth / 2, girderLength, girderThickness);
 
-    if (this.pipePoints.length === 1) {
-      this.pipePoints.push(center);
-      this.pipePoints.push({ x: this.x, y: this.y });
-      return;
-    }
+    // Panel seams
+    ctx.strokeStyle = "rgba(255,255,255,0.18)";
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(startX + bodyLength * 0.08, -bodyWidth * 0.3);
+    ctx.lineTo(startX + bodyLength * 0.92, -bodyWidth * 0.3);
+    ctx.moveTo(startX + bodyLength * 0.08, bodyWidth * 0.3);
+    ctx.lineTo(startX + bodyLength * 0.75, bodyWidth * 0.3);
+    ctx.stroke();
 
-    this.pipePoints[this.pipePoints.length - 1] = center;
-    this.pipePoints.push({ x: this.x, y: this.y });
-  }
+    ctx.lineWidth = 1.5;
+    ctx.strokeStyle = "rgba(0,0,0,0.4)";
+    ctx.beginPath();
+    ctx.moveTo(startX + bodyLength * 0.05, 0);
+    ctx.lineTo(startX + bodyLength * 0.95, 0);
+    ctx.stroke();
 
-  updateHeadPipePoint() {
-    const headPoint = { x: this.x, y: this.y };
-    if (this.pipePoints.length === 0) {
-      this.pipePoints.push(headPoint);
-      return;
-    }
-    if (this.pipePoints.length === 1) {
-      const anchor = this.pipePoints[0];
-      if (anchor.x === headPoint.x && anchor.y === headPoint.y) {
-        return;
-      }
-      this.pipePoints.push(headPoint);
-      return;
-    }
-    this.pipePoints[this.pipePoints.length - 1] = headPoint;
-  }
-
-  syncCurrentTile() {
-    const tileCoords = this.level.pixelToTile(this.x, this.y);
-    if (tileCoords) {
-      this.currentTileX = tileCoords.x;
-      this.currentTileY = tileCoords.y;
-    }
-  }
-
-  getCurrentTileCenter() {
-    if (
-      typeof this.currentTileX !== "number" ||
-      typeof this.currentTileY !== "number"
-    ) {
-      return this.level.tileToPixelCenter(this.entryTile.x, this.entryTile.y);
-    }
-    return this.level.tileToPixelCenter(this.currentTileX, this.currentTileY);
-  }
-
-  snapToCenterIfClose(center) {
-    const dx = center.x - this.x;
-    const dy = center.y - this.y;
-    if (Math.hypot(dx, dy) <= 1) {
-      this.x = center.x;
-      this.y = center.y;
-      if (!this.destinationTile) {
-        this.dirX = 0;
-        this.dirY = 0;
-      }
-    }
-  }
-
-  handleInitialDrop(center) {
-    if (this.destinationTile || this.dirX !== 0 || this.dirY !== 0) {
-      return;
-    }
-    const wantsDown = this.pendingDirY === 1 || this.intentDirY === 1;
-    if (!wantsDown) {
-      return;
-    }
-    if (center.y - this.y > 1) {
-      this.dirX = 0;
-      this.dirY = 1;
-      this.destinationTile = { x: this.currentTileX, y: this.currentTileY };
-      this.pendingDirX = 0;
-      this.pendingDirY = 0;
-      this.updateFacingFromVector(0, 1);
-      this.lastForwardX = 0;
-      this.lastForwardY = 1;
-      if (
-        !this.tileTrail.length ||
-        this.tileTrail[this.tileTrail.length - 1].x !== this.currentTileX ||
-        this.tileTrail[this.tileTrail.length - 1].y !== this.currentTileY
-      ) {
-        this.tileTrail.push({ x: this.currentTileX, y: this.currentTileY });
-      }
-    }
-  }
-
-  lockPerpendicularAxis(center) {
-    if (!center) {
-      return;
-    }
-    if (this.dirX !== 0) {
-      this.y = center.y;
-    } else if (this.dirY !== 0) {
-      this.x = center.x;
-    }
-  }
-
-  tryApplyPendingDirection() {
-    if (this.pendingDirX === 0 && this.pendingDirY === 0) {
-      return false;
-    }
-    const applied = this.trySetDirection(this.pendingDirX, this.pendingDirY);
-    if (applied) {
-      this.pendingDirX = 0;
-      this.pendingDirY = 0;
-    }
-    return applied;
-  }
-
-  tryContinueForward() {
-    if (this.intentDirX === 0 && this.intentDirY === 0) {
-      return false;
-    }
-    return this.trySetDirection(this.intentDirX, this.intentDirY);
-  }
-
-  trySetDirection(dx, dy) {
-    if (dx === 0 && dy === 0) {
-      return false;
-    }
-    if (this.destinationTile) {
-      return false;
-    }
-    if (
-      this.lastForwardX === -dx &&
-      this.lastForwardY === -dy &&
-      (this.lastForwardX !== 0 || this.lastForwardY !== 0)
-    ) {
-      return false;
-    }
-    const targetTileX = this.currentTileX + dx;
-    const targetTileY = this.currentTileY + dy;
-    const tile = this.level.getTile(targetTileX, targetTileY);
-    if (!tile || !this.level.isTunnelTile(tile)) {
-      return false;
-    }
-    if (
-      this.tileTrail.some(
-        (node) => node.x === targetTileX && node.y === targetTileY
-      )
-    ) {
-      return false;
-    }
-    this.dirX = dx;
-    this.dirY = dy;
-    this.destinationTile = { x: targetTileX, y: targetTileY };
-    this.updateFacingFromVector(dx, dy);
-    this.lastForwardX = dx;
-    this.lastForwardY = dy;
-    soundManager.playDrillExtend();
-    return true;
-  }
-
-  advanceTowardDestination(dt) {
-    if (!this.destinationTile) {
-      return;
-    }
-    const destCenter = this.level.tileToPixelCenter(
-      this.destinationTile.x,
-      this.destinationTile.y
-    );
-    const moveDist = this.speed * dt;
-    const dx = destCenter.x - this.x;
-    const dy = destCenter.y - this.y;
-    const distanceToDest = Math.hypot(dx, dy);
-
-    if (distanceToDest <= moveDist) {
-      this.x = destCenter.x;
-      this.y = destCenter.y;
-      this.currentTileX = this.destinationTile.x;
-      this.currentTileY = this.destinationTile.y;
-      this.destinationTile = null;
-      this.dirX = 0;
-      this.dirY = 0;
-      const continuing = this.tryApplyPendingDirection() || this.tryContinueForward();
-      if (!continuing) {
-        soundManager.stopDrillExtend();
-      }
-      return;
-    }
-
-    if (this.dirX !== 0) {
-      this.x += this.dirX * moveDist;
-      const rowCenter = this.level.tileToPixelCenter(
-        this.currentTileX,
-        this.currentTileY
-      ).y;
-      this.y = rowCenter;
-    } else if (this.dirY !== 0) {
-      this.y += this.dirY * moveDist;
-      const colCenter = this.level.tileToPixelCenter(
-        this.currentTileX,
-        this.currentTileY
-      ).x;
-      this.x = colCenter;
-    }
-  }
-
-  updateFacingFromVector(dx, dy) {
-    if (dx === 0 && dy === 0) {
-      return;
-    }
-    this.facingAngle = Math.atan2(dy, dx);
-  }
-
-  collidesWithHead(enemyX, enemyY, enemyRadius) {
-    this.refreshDockedState();
-    if (this.isDocked) {
-      return false;
-    }
-    const enemyTile = this.level.pixelToTile(enemyX, enemyY);
-    if (!enemyTile || enemyTile.y !== this.currentTileY) {
-      return false;
-    }
-    const centerDist = Math.hypot(enemyX - this.x, enemyY - this.y);
-    if (centerDist <= enemyRadius + this.radius) {
-      return true;
-    }
-
-    const ux = Math.cos(this.facingAngle);
-    const uy = Math.sin(this.facingAngle);
-    const startX = this.x + ux * this.headCollisionStartOffset;
-    const startY = this.y + uy * this.headCollisionStartOffset;
-    const endX = this.x + ux * this.tipEndOffset;
-    const endY = this.y + uy * this.tipEndOffset;
-    const dist = distancePointToSegment(enemyX, enemyY, startX, startY, endX, endY);
-    return dist <= enemyRadius + this.headCollisionRadius;
-  }
-
-  refreshDockedState() {
-    const atEntry =
-      this.currentTileX === this.entryTile.x &&
-      this.currentTileY === this.entryTile.y;
-    const noPipeLaid = this.tileTrail.length === 0 && this.pipePoints.length <= 1;
-    this.isDocked =
-      !this.isRetracting &&
-      !this.destinationTile &&
-      atEntry &&
-      noPipeLaid;
-  }
-
-  renderPipe(ctx) {
-    if (this.pipePoints.length < 1) {
-      return;
-    }
-
-    const drawSegment = (from, to) => {
-      if (!from || !to) return;
-      if (from.x === to.x || from.y === to.y) {
-        ctx.lineTo(to.x, to.y);
-        return;
-      }
-      ctx.lineTo(to.x, from.y);
-      ctx.lineTo(to.x, to.y);
-    };
-
-    ctx.beginPath();
-    const first = this.pipePoints[0];
-    ctx.moveTo(first.x, first.y);
-    for (let i = 1; i < this.pipePoints.length; i += 1) {
-      const prev = this.pipePoints[i - 1];
-      const point = this.pipePoints[i];
-      drawSegment(prev, point);
-    }
-    const lastPoint = this.pipePoints[this.pipePoints.length - 1];
-    if (lastPoint.x !== this.x || lastPoint.y !== this.y) {
-      drawSegment(lastPoint, { x: this.x, y: this.y });
-    }
-    ctx.lineCap = "round";
-    ctx.lineJoin = "round";
-    ctx.save();
-    const bounds = this.pipePoints.reduce(
-      (acc, p) => {
-        acc.minY = Math.min(acc.minY, p.y);
-        acc.maxY = Math.max(acc.maxY, p.y);
-        return acc;
-      },
-      { minY: this.pipePoints[0].y, maxY: this.pipePoints[0].y }
-    );
-    const grad = ctx.createLinearGradient(0, bounds.minY, 0, bounds.maxY + 1);
-    grad.addColorStop(0, "#bfc5ce");
-    grad.addColorStop(1, "#8d949f");
-    ctx.lineWidth = 12;
-    ctx.strokeStyle = grad;
-    ctx.stroke();
-
-    ctx.lineWidth = 6;
-    ctx.strokeStyle = "rgba(255,255,255,0.25)";
-    ctx.stroke();
-    ctx.restore();
-  }
-
-  render(ctx) {
-    ctx.save();
-    ctx.translate(this.x, this.y);
-    ctx.rotate(this.facingAngle);
-    const bodyLength = this.bodyLength;
-    const bodyWidth = this.bodyWidth;
-    const startX = this.bodyStartOffset;
-
-    // Main chassis
-    const bodyPath = new Path2D();
-    bodyPath.roundRect(startX, -bodyWidth / 2, bodyLength, bodyWidth, bodyWidth * 0.55);
-    const bodyGrad = ctx.createLinearGradient(startX, -bodyWidth / 2, startX + bodyLength, bodyWidth / 2);
-    bodyGrad.addColorStop(0, "#191b26");
-    bodyGrad.addColorStop(0.35, "#353a47");
-    bodyGrad.addColorStop(0.65, "#5d6574");
-    bodyGrad.addColorStop(1, "#1c1f29");
-    ctx.fillStyle = bodyGrad;
-    ctx.fill(bodyPath);
-    ctx.strokeStyle = "#0d0f15";
-    ctx.lineWidth = 2;
-    ctx.stroke(bodyPath);
-
-    // Reinforced girders for width
-    const girderThickness = bodyWidth * 0.2;
-    const girderLength = bodyLength * 0.6;
-    const girderX = startX + bodyLength * 0.12;
-    ctx.fillStyle = "#272c35";
-    ctx.fillRect(girderX, -bodyWidth / 2 - girderThickness, girderLength, girderThickness);
-    ctx.fillRect(girderX, bodyWidth / 2, girderLength, girderThickness);
-
-    // Panel seams
-    ctx.strokeStyle = "rgba(255,255,255,0.18)";
-    ctx.lineWidth = 3;
-    ctx.beginPath();
-    ctx.moveTo(startX + bodyLength * 0.08, -bodyWidth * 0.3);
-    ctx.lineTo(startX + bodyLength * 0.92, -bodyWidth * 0.3);
-    ctx.moveTo(startX + bodyLength * 0.08, bodyWidth * 0.3);
-    ctx.lineTo(startX + bodyLength * 0.75, bodyWidth * 0.3);
-    ctx.stroke();
-
-    ctx.lineWidth = 1.5;
-    ctx.strokeStyle = "rgba(0,0,0,0.4)";
-    ctx.beginPath();
-    ctx.moveTo(startX + bodyLength * 0.05, 0);
-    ctx.lineTo(startX + bodyLength * 0.95, 0);
-    ctx.stroke();
-
-    // Rivets
-    ctx.fillStyle = "#c4cbd8";
-    const rivetRows = [-bodyWidth * 0.38, bodyWidth * 0.35];
-    for (const ry of rivetRows) {
-      for (let i = 0; i < 4; i += 1) {
-        const rx = startX + bodyLength * (0.2 + i * 0.18);
-        ctx.beginPath();
-        ctx.arc(rx, ry, bodyWidth * 0.035, 0, Math.PI * 2);
-        ctx.fill();
+    // Rivets
+    ctx.fillStyle = "#c4cbd8";
+    const rivetRows = [-bodyWidth * 0.38, bodyWidth * 0.35];
+    for (const ry of rivetRows) {
+      for (let i = 0; i < 4; i += 1) {
+        const rx = startX + bodyLength * (0.2 + i * 0.18);
+        ctx.beginPath();
+        ctx.arc(rx, ry, bodyWidth * 0.035, 0, Math.PI * 2);
+        ctx.fill();
       }
     }
 
     // Front collar giving bulk
-    const tipLength = this.tipLength;
+    const tipLength = drill.tipLength;
     const tipStart = startX + bodyLength;
     ctx.fillStyle = "#323843";
     ctx.beginPath();
@@ -1290,7 +1057,7 @@ class Drill {
     ctx.stroke();
 
     // Hollow excavation mouth
-    const chewPulse = 1 + Math.sin(this.animTime * 7) * 0.08;
+    const chewPulse = 1 + Math.sin(drill.animTime * 7) * 0.08;
     const mouthOuter = bodyWidth * 0.65 * chewPulse;
     const mouthInner = bodyWidth * 0.35 * chewPulse;
     const mouthDepth = tipLength * 0.6;
@@ -1323,7 +1090,7 @@ class Drill {
     ctx.lineWidth = 1;
     for (let i = 0; i < toothCount; i += 1) {
       const angle = (i / toothCount) * Math.PI * 1.3 - Math.PI * 0.65;
-      const pulseOffset = Math.sin(this.animTime * 9 + angle * 2) * bodyWidth * 0.02;
+      const pulseOffset = Math.sin(drill.animTime * 9 + angle * 2) * bodyWidth * 0.02;
       const px = mouthX + Math.cos(angle) * mouthOuter * 0.8;
       const py = Math.sin(angle) * mouthOuter * 0.6 + pulseOffset;
       const toothWidth = bodyWidth * 0.1;
@@ -1343,7 +1110,7 @@ class Drill {
     // Inner grinder paddles
     ctx.strokeStyle = "#c78856";
     ctx.lineWidth = 2;
-    const spin = this.animTime * 6;
+    const spin = drill.animTime * 6;
     for (let i = 0; i < 4; i += 1) {
       const angle = spin + (i / 4) * Math.PI * 2;
       const innerX = mouthX + Math.cos(angle) * mouthInner * 0.4;
@@ -1381,333 +1148,645 @@ class Drill {
   }
 }
 
-class Enemy {
-  constructor(
-    level,
-    spawnPoint,
-    direction,
-    speed,
-    canvasWidth,
-    type = "01",
-    spawnDelay = 0
-  ) {
-    this.level = level;
-    this.spawnPoint = spawnPoint;
-    this.initialDirection = direction;
-    this.direction = direction;
-    this.baseSpeed = speed;
-    this.speed = speed;
-    this.canvasWidth = canvasWidth;
-    this.spawnMargin = 100;
-    this.radius = Math.max(8, level.tileSize * 0.25);
-    this.type = type;
-    this.active = false;
-    this.respawnTimer = spawnDelay;
-    this.animTime = Math.random() * Math.PI * 2;
-    this.activateIfReady();
-  }
-
-  startPosition() {
-    return this.direction > 0
-      ? Math.max(-this.spawnMargin, this.spawnPoint.x - this.spawnMargin)
-      : Math.min(this.canvasWidth + this.spawnMargin, this.spawnPoint.x + this.spawnMargin);
-  }
-
-  activateIfReady() {
-    if (this.respawnTimer <= 0) {
-      this.active = true;
-      this.direction = this.initialDirection;
-      this.speed = this.baseSpeed + Math.random() * 20;
-      this.x = this.startPosition();
-      this.y = this.spawnPoint.y;
-      this.respawnTimer = 0;
+/**
+ * Draws an Enemy with the sprite its archetype names in ENEMY_TYPES.
+ */
+class EnemyRenderer {
+  render(ctx, enemy) {
+    if (!enemy.active) {
+      return;
+    }
+    ctx.save();
+    ctx.translate(enemy.x, enemy.y);
+    switch (enemy.archetype.sprite) {
+      case "worm":
+        this.renderWorm(ctx, enemy);
+        break;
+      case "mine":
+        this.renderMine(ctx, enemy);
+        break;
+      case "beetle":
+        this.renderBeetle(ctx, enemy);
+        break;
+      default:
+        this.renderSpider(ctx, enemy);
+        break;
     }
+    ctx.restore();
   }
 
-  reset(initialDelay = 0) {
-    this.respawnTimer = Math.max(0, initialDelay);
-    this.active = false;
-    this.activateIfReady();
-  }
+  renderWorm(ctx, enemy) {
+    const bodyWidth = enemy.radius * 1.6;
+    const length = bodyWidth * 2.4;
+    const thickness = enemy.radius * 1.1;
+    const undulate = Math.sin(enemy.animTime * 2) * enemy.radius * 0.2;
+    const segmentCount = 7;
+    const segmentSpacing = length / segmentCount;
 
-  randomRespawnDelay() {
-    return 4 + Math.random() * 2;
-  }
+    // Body path with subtle undulation
+    ctx.save();
+    ctx.translate(-length * 0.3, 0);
+    const bodyPath = new Path2D();
+    bodyPath.moveTo(0, 0);
+    for (let i = 1; i <= segmentCount; i += 1) {
+      const t = i / segmentCount;
+      const sway = Math.sin(enemy.animTime * 2 + t * Math.PI * 1.5) * enemy.radius * 0.2;
+      const x = i * segmentSpacing;
+      const y = sway;
+      bodyPath.lineTo(x, y);
+    }
+    const grad = ctx.createLinearGradient(0, -thickness, segmentCount * segmentSpacing, thickness);
+    grad.addColorStop(0, "#2d1011");
+    grad.addColorStop(0.4, "#5f2024");
+    grad.addColorStop(0.7, "#8c332c");
+    grad.addColorStop(1, "#21090a");
+    ctx.strokeStyle = grad;
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    ctx.lineWidth = thickness * 1.6;
+    ctx.stroke(bodyPath);
 
-  scheduleRespawn(delay = this.randomRespawnDelay()) {
-    this.active = false;
-    this.respawnTimer = delay;
-  }
+    const topHighlight = ctx.createLinearGradient(0, -thickness, 0, thickness);
+    topHighlight.addColorStop(0, "rgba(255,220,200,0.45)");
+    topHighlight.addColorStop(0.5, "rgba(255,255,255,0)");
+    ctx.strokeStyle = topHighlight;
+    ctx.lineWidth = thickness * 0.5;
+    ctx.stroke(bodyPath);
 
-  update(dt) {
-    if (!this.active) {
-      this.respawnTimer -= dt;
-      this.activateIfReady();
-      this.animTime += dt * 4;
-      return;
+    // Segment ridges
+    ctx.strokeStyle = "rgba(0,0,0,0.35)";
+    ctx.lineWidth = 2;
+    for (let i = 0; i <= segmentCount; i += 1) {
+      const t = i / segmentCount;
+      const x = i * segmentSpacing;
+      const sway = Math.sin(enemy.animTime * 2 + t * Math.PI * 1.5) * enemy.radius * 0.2;
+      ctx.beginPath();
+      ctx.moveTo(x, sway - thickness * 0.9);
+      ctx.lineTo(x, sway + thickness * 0.9);
+      ctx.stroke();
     }
 
-    this.x += this.direction * this.speed * dt;
-    this.y = this.spawnPoint.y;
-    this.animTime += dt * (this.type === "01" ? 10 : 3);
+    // Head with mandibles
+    const headX = segmentSpacing * 0.6;
+    const headY = Math.sin(enemy.animTime * 2 + 0.1) * enemy.radius * 0.2;
+    const headRadius = thickness * 0.9;
+    const headGrad = ctx.createRadialGradient(
+      headX - headRadius * 0.2,
+      headY - headRadius * 0.2,
+      headRadius * 0.2,
+      headX,
+      headY,
+      headRadius
+    );
+    headGrad.addColorStop(0, "#ffd89f");
+    headGrad.addColorStop(0.4, "#f7a24c");
+    headGrad.addColorStop(1, "#5e1f19");
+    ctx.fillStyle = headGrad;
+    ctx.beginPath();
+    ctx.ellipse(headX, headY, headRadius * 1.1, headRadius * 0.9, 0, 0, Math.PI * 2);
+    ctx.fill();
 
-    if (this.direction > 0 && this.x > this.canvasWidth + this.spawnMargin) {
-      this.scheduleRespawn();
-    } else if (this.direction < 0 && this.x < -this.spawnMargin) {
-      this.scheduleRespawn();
-    }
-  }
+    ctx.fillStyle = "#1b0806";
+    ctx.beginPath();
+    ctx.arc(headX + headRadius * 0.2, headY - headRadius * 0.2, headRadius * 0.25, 0, Math.PI * 2);
+    ctx.arc(headX + headRadius * 0.5, headY + headRadius * 0.1, headRadius * 0.22, 0, Math.PI * 2);
+    ctx.fill();
 
-  handleDestroyed() {
-    this.scheduleRespawn(5 + Math.random() * 2);
-  }
+    ctx.strokeStyle = "#ffdba6";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(headX + headRadius * 0.6, headY + headRadius * 0.3);
+    ctx.quadraticCurveTo(headX + headRadius * 1.1, headY + headRadius * 0.6, headX + headRadius * 1.3, headY + headRadius * 0.2);
+    ctx.moveTo(headX + headRadius * 0.6, headY - headRadius * 0.3);
+    ctx.quadraticCurveTo(headX + headRadius * 1.1, headY - headRadius * 0.6, headX + headRadius * 1.3, headY - headRadius * 0.2);
+    ctx.stroke();
 
-  render(ctx) {
-    if (!this.active) {
-      return;
-    }
-    ctx.save();
-    ctx.translate(this.x, this.y);
-    if (this.type === "01") {
-      const lean = Math.sin(this.animTime * 1.5) * 0.05;
-      ctx.translate(0, Math.sin(this.animTime * 4) * this.radius * 0.15);
-      ctx.rotate(lean);
-    }
-    const bodyWidth = this.radius * 1.6;
-    const bodyHeight = this.radius * 1.1;
-
-    if (this.type === "02") {
-      const length = bodyWidth * 2.4;
-      const thickness = this.radius * 1.1;
-      const undulate = Math.sin(this.animTime * 2) * this.radius * 0.2;
-      const segmentCount = 7;
-      const segmentSpacing = length / segmentCount;
-
-      // Body path with subtle undulation
-      ctx.save();
-      ctx.translate(-length * 0.3, 0);
-      const bodyPath = new Path2D();
-      bodyPath.moveTo(0, 0);
-      for (let i = 1; i <= segmentCount; i += 1) {
-        const t = i / segmentCount;
-        const sway = Math.sin(this.animTime * 2 + t * Math.PI * 1.5) * this.radius * 0.2;
-        const x = i * segmentSpacing;
-        const y = sway;
-        bodyPath.lineTo(x, y);
-      }
-      const grad = ctx.createLinearGradient(0, -thickness, segmentCount * segmentSpacing, thickness);
-      grad.addColorStop(0, "#2d1011");
-      grad.addColorStop(0.4, "#5f2024");
-      grad.addColorStop(0.7, "#8c332c");
-      grad.addColorStop(1, "#21090a");
-      ctx.strokeStyle = grad;
-      ctx.lineCap = "round";
-      ctx.lineJoin = "round";
-      ctx.lineWidth = thickness * 1.6;
-      ctx.stroke(bodyPath);
-
-      const topHighlight = ctx.createLinearGradient(0, -thickness, 0, thickness);
-      topHighlight.addColorStop(0, "rgba(255,220,200,0.45)");
-      topHighlight.addColorStop(0.5, "rgba(255,255,255,0)");
-      ctx.strokeStyle = topHighlight;
-      ctx.lineWidth = thickness * 0.5;
-      ctx.stroke(bodyPath);
-
-      // Segment ridges
-      ctx.strokeStyle = "rgba(0,0,0,0.35)";
-      ctx.lineWidth = 2;
-      for (let i = 0; i <= segmentCount; i += 1) {
-        const t = i / segmentCount;
-        const x = i * segmentSpacing;
-        const sway = Math.sin(this.animTime * 2 + t * Math.PI * 1.5) * this.radius * 0.2;
-        ctx.beginPath();
-        ctx.moveTo(x, sway - thickness * 0.9);
-        ctx.lineTo(x, sway + thickness * 0.9);
-        ctx.stroke();
-      }
+    ctx.restore();
+  }
 
-      // Head with mandibles
-      const headX = segmentSpacing * 0.6;
-      const headY = Math.sin(this.animTime * 2 + 0.1) * this.radius * 0.2;
-      const headRadius = thickness * 0.9;
-      const headGrad = ctx.createRadialGradient(
-        headX - headRadius * 0.2,
-        headY - headRadius * 0.2,
-        headRadius * 0.2,
-        headX,
-        headY,
-        headRadius
-      );
-      headGrad.addColorStop(0, "#ffd89f");
-      headGrad.addColorStop(0.4, "#f7a24c");
-      headGrad.addColorStop(1, "#5e1f19");
-      ctx.fillStyle = headGrad;
-      ctx.beginPath();
-      ctx.ellipse(headX, headY, headRadius * 1.1, headRadius * 0.9, 0, 0, Math.PI * 2);
-      ctx.fill();
+  renderSpider(ctx, enemy) {
+    const lean = Math.sin(enemy.animTime * 1.5) * 0.05;
+    ctx.translate(0, Math.sin(enemy.animTime * 4) * enemy.radius * 0.15);
+    ctx.rotate(lean);
+    const bodyWidth = enemy.radius * 1.6;
+    const bodyHeight = enemy.radius * 1.1;
+
+    const abdomenRadius = bodyWidth * 0.85;
+    const abdomenHeight = bodyHeight * 1.25;
+    const thoraxRadius = bodyWidth * 0.55;
+    const thoraxHeight = bodyHeight * 0.85;
+    const headRadius = bodyWidth * 0.35;
+    const headHeight = bodyHeight * 0.55;
+
+    // Spidery articulated legs (four pairs)
+    const legGradient = ctx.createLinearGradient(-abdomenRadius, 0, abdomenRadius, 0);
+    legGradient.addColorStop(0, "#0e0506");
+    legGradient.addColorStop(0.5, "#1d0c0f");
+    legGradient.addColorStop(1, "#0b0405");
+    ctx.strokeStyle = legGradient;
+    ctx.lineCap = "round";
+    const legPairs = 4;
+    for (let pair = 0; pair < legPairs; pair += 1) {
+      const normalized = pair / (legPairs - 1);
+      const spread = (normalized - 0.5) * abdomenHeight * 0.9;
+      const thickness = 4 - normalized * 1.5;
+      const phase = Math.sin(enemy.animTime * 8 + normalized * Math.PI * 0.9);
+      const lift = phase * enemy.radius * 0.3;
+      ctx.lineWidth = thickness;
+
+      const leftAnchors = [
+        { x: -thoraxRadius * 0.2, y: spread - lift * 0.1 },
+        {
+          x: -thoraxRadius - bodyWidth * (0.2 + normalized * 0.2),
+          y: spread - bodyHeight * (0.25 + normalized * 0.15) - lift,
+        },
+        {
+          x: -thoraxRadius - bodyWidth * (0.65 + normalized * 0.4),
+          y: spread - bodyHeight * (0.05 + normalized * 0.15) - lift * 0.6,
+        },
+      ];
 
-      ctx.fillStyle = "#1b0806";
       ctx.beginPath();
-      ctx.arc(headX + headRadius * 0.2, headY - headRadius * 0.2, headRadius * 0.25, 0, Math.PI * 2);
-      ctx.arc(headX + headRadius * 0.5, headY + headRadius * 0.1, headRadius * 0.22, 0, Math.PI * 2);
-      ctx.fill();
+      ctx.moveTo(leftAnchors[0].x, leftAnchors[0].y);
+      ctx.quadraticCurveTo(leftAnchors[1].x, leftAnchors[1].y, leftAnchors[2].x, leftAnchors[2].y);
+      ctx.stroke();
 
-      ctx.strokeStyle = "#ffdba6";
-      ctx.lineWidth = 2;
       ctx.beginPath();
-      ctx.moveTo(headX + headRadius * 0.6, headY + headRadius * 0.3);
-      ctx.quadraticCurveTo(headX + headRadius * 1.1, headY + headRadius * 0.6, headX + headRadius * 1.3, headY + headRadius * 0.2);
-      ctx.moveTo(headX + headRadius * 0.6, headY - headRadius * 0.3);
-      ctx.quadraticCurveTo(headX + headRadius * 1.1, headY - headRadius * 0.6, headX + headRadius * 1.3, headY - headRadius * 0.2);
+      ctx.moveTo(-leftAnchors[0].x, leftAnchors[0].y);
+      ctx.quadraticCurveTo(-leftAnchors[1].x, leftAnchors[1].y, -leftAnchors[2].x, leftAnchors[2].y);
       ctx.stroke();
+    }
 
-      ctx.restore();
-    } else {
-      const abdomenRadius = bodyWidth * 0.85;
-      const abdomenHeight = bodyHeight * 1.25;
-      const thoraxRadius = bodyWidth * 0.55;
-      const thoraxHeight = bodyHeight * 0.85;
-      const headRadius = bodyWidth * 0.35;
-      const headHeight = bodyHeight * 0.55;
-
-      // Spidery articulated legs (four pairs)
-      const legGradient = ctx.createLinearGradient(-abdomenRadius, 0, abdomenRadius, 0);
-      legGradient.addColorStop(0, "#0e0506");
-      legGradient.addColorStop(0.5, "#1d0c0f");
-      legGradient.addColorStop(1, "#0b0405");
-      ctx.strokeStyle = legGradient;
-      ctx.lineCap = "round";
-      const legPairs = 4;
-      for (let pair = 0; pair < legPairs; pair += 1) {
-        const normalized = pair / (legPairs - 1);
-        const spread = (normalized - 0.5) * abdomenHeight * 0.9;
-        const thickness = 4 - normalized * 1.5;
-        const phase = Math.sin(this.animTime * 8 + normalized * Math.PI * 0.9);
-        const lift = phase * this.radius * 0.3;
-        ctx.lineWidth = thickness;
-
-        const leftAnchors = [
-          { x: -thoraxRadius * 0.2, y: spread - lift * 0.1 },
-          {
-            x: -thoraxRadius - bodyWidth * (0.2 + normalized * 0.2),
-            y: spread - bodyHeight * (0.25 + normalized * 0.15) - lift,
-          },
-          {
-            x: -thoraxRadius - bodyWidth * (0.65 + normalized * 0.4),
-            y: spread - bodyHeight * (0.05 + normalized * 0.15) - lift * 0.6,
-          },
-        ];
+    // Abdomen
+    const abdomenGrad = ctx.createRadialGradient(
+      -abdomenRadius * 0.2,
+      -abdomenHeight * 0.2,
+      abdomenRadius * 0.3,
+      0,
+      0,
+      abdomenRadius * 1.1
+    );
+    abdomenGrad.addColorStop(0, "#2c1517");
+    abdomenGrad.addColorStop(0.4, "#18090c");
+    abdomenGrad.addColorStop(1, "#090304");
+    ctx.fillStyle = abdomenGrad;
+    ctx.beginPath();
+    ctx.ellipse(0, 0, abdomenRadius, abdomenHeight, 0, 0, Math.PI * 2);
+    ctx.fill();
 
-        ctx.beginPath();
-        ctx.moveTo(leftAnchors[0].x, leftAnchors[0].y);
-        ctx.quadraticCurveTo(leftAnchors[1].x, leftAnchors[1].y, leftAnchors[2].x, leftAnchors[2].y);
-        ctx.stroke();
+    // Cephalothorax
+    const thoraxGrad = ctx.createLinearGradient(-thoraxRadius, -thoraxHeight, thoraxRadius, thoraxHeight);
+    thoraxGrad.addColorStop(0, "#422024");
+    thoraxGrad.addColorStop(0.5, "#6b2d2d");
+    thoraxGrad.addColorStop(1, "#1e0c0f");
+    ctx.fillStyle = thoraxGrad;
+    ctx.beginPath();
+    ctx.ellipse(-abdomenRadius * 0.55, -bodyHeight * 0.1, thoraxRadius, thoraxHeight, 0, 0, Math.PI * 2);
+    ctx.fill();
 
-        ctx.beginPath();
-        ctx.moveTo(-leftAnchors[0].x, leftAnchors[0].y);
-        ctx.quadraticCurveTo(-leftAnchors[1].x, leftAnchors[1].y, -leftAnchors[2].x, leftAnchors[2].y);
-        ctx.stroke();
-      }
+    // Head
+    const headGrad = ctx.createLinearGradient(-headRadius, -headHeight, headRadius, headHeight);
+    headGrad.addColorStop(0, "#6f362d");
+    headGrad.addColorStop(1, "#1b0a0c");
+    ctx.fillStyle = headGrad;
+    ctx.beginPath();
+    ctx.ellipse(-abdomenRadius * 0.95, -bodyHeight * 0.05, headRadius, headHeight, 0, 0, Math.PI * 2);
+    ctx.fill();
 
-      // Abdomen
-      const abdomenGrad = ctx.createRadialGradient(
-        -abdomenRadius * 0.2,
-        -abdomenHeight * 0.2,
-        abdomenRadius * 0.3,
-        0,
-        0,
-        abdomenRadius * 1.1
-      );
-      abdomenGrad.addColorStop(0, "#2c1517");
-      abdomenGrad.addColorStop(0.4, "#18090c");
-      abdomenGrad.addColorStop(1, "#090304");
-      ctx.fillStyle = abdomenGrad;
+    // Eye cluster (8 eyes)
+    const eyePositions = [];
+    const smallRingRadius = enemy.radius * 0.1;
+    for (let i = 0; i < 4; i += 1) {
+      const offsetY = -headHeight * 0.35 + i * headHeight * 0.25;
+      eyePositions.push([-abdomenRadius * 1.05, offsetY]);
+      eyePositions.push([-abdomenRadius * 0.85, offsetY]);
+    }
+    for (const [ex, ey] of eyePositions) {
+      const eyeGrad = ctx.createRadialGradient(ex, ey, 0, ex, ey, smallRingRadius * 1.2);
+      eyeGrad.addColorStop(0, "#ffffff");
+      eyeGrad.addColorStop(1, "#f6bb46");
+      ctx.fillStyle = eyeGrad;
       ctx.beginPath();
-      ctx.ellipse(0, 0, abdomenRadius, abdomenHeight, 0, 0, Math.PI * 2);
+      ctx.arc(ex, ey, smallRingRadius * 1.2, 0, Math.PI * 2);
       ctx.fill();
-
-      // Cephalothorax
-      const thoraxGrad = ctx.createLinearGradient(-thoraxRadius, -thoraxHeight, thoraxRadius, thoraxHeight);
-      thoraxGrad.addColorStop(0, "#422024");
-      thoraxGrad.addColorStop(0.5, "#6b2d2d");
-      thoraxGrad.addColorStop(1, "#1e0c0f");
-      ctx.fillStyle = thoraxGrad;
+      ctx.fillStyle = "#120405";
       ctx.beginPath();
-      ctx.ellipse(-abdomenRadius * 0.55, -bodyHeight * 0.1, thoraxRadius, thoraxHeight, 0, 0, Math.PI * 2);
+      ctx.arc(ex - smallRingRadius * 0.2, ey - smallRingRadius * 0.1, smallRingRadius * 0.6, 0, Math.PI * 2);
       ctx.fill();
+    }
 
-      // Head
-      const headGrad = ctx.createLinearGradient(-headRadius, -headHeight, headRadius, headHeight);
-      headGrad.addColorStop(0, "#6f362d");
-      headGrad.addColorStop(1, "#1b0a0c");
-      ctx.fillStyle = headGrad;
+    // Fangs / pedipalps (mirrored pairs)
+    ctx.strokeStyle = "#f1b05d";
+    ctx.lineWidth = 2;
+    const fangOffsets = [
+      { start: { x: -abdomenRadius * 0.65, y: bodyHeight * 0.2 }, ctrl: { x: -abdomenRadius * 0.9, y: bodyHeight * 0.55 }, end: { x: -abdomenRadius * 0.35, y: bodyHeight * 0.65 } },
+      { start: { x: -abdomenRadius * 0.45, y: bodyHeight * 0.15 }, ctrl: { x: -abdomenRadius * 0.75, y: bodyHeight * 0.5 }, end: { x: -abdomenRadius * 0.15, y: bodyHeight * 0.58 } },
+      { start: { x: -abdomenRadius * 0.65, y: bodyHeight * 0.05 }, ctrl: { x: -abdomenRadius * 0.9, y: bodyHeight * 0.35 }, end: { x: -abdomenRadius * 0.35, y: bodyHeight * 0.45 } },
+      { start: { x: -abdomenRadius * 0.45, y: 0 }, ctrl: { x: -abdomenRadius * 0.75, y: bodyHeight * 0.3 }, end: { x: -abdomenRadius * 0.15, y: bodyHeight * 0.38 } },
+    ];
+    for (const fang of fangOffsets) {
       ctx.beginPath();
-      ctx.ellipse(-abdomenRadius * 0.95, -bodyHeight * 0.05, headRadius, headHeight, 0, 0, Math.PI * 2);
-      ctx.fill();
+      ctx.moveTo(fang.start.x, fang.start.y);
+      ctx.quadraticCurveTo(fang.ctrl.x, fang.ctrl.y, fang.end.x, fang.end.y);
+      ctx.moveTo(-fang.start.x, fang.start.y);
+      ctx.quadraticCurveTo(-fang.ctrl.x, fang.ctrl.y, -fang.end.x, fang.end.y);
+      ctx.stroke();
+    }
 
-      // Eye cluster (8 eyes)
-      const eyePositions = [];
-      const smallRingRadius = this.radius * 0.1;
-      for (let i = 0; i < 4; i += 1) {
-        const offsetY = -headHeight * 0.35 + i * headHeight * 0.25;
-        eyePositions.push([-abdomenRadius * 1.05, offsetY]);
-        eyePositions.push([-abdomenRadius * 0.85, offsetY]);
-      }
-      for (const [ex, ey] of eyePositions) {
-        const eyeGrad = ctx.createRadialGradient(ex, ey, 0, ex, ey, smallRingRadius * 1.2);
-        eyeGrad.addColorStop(0, "#ffffff");
-        eyeGrad.addColorStop(1, "#f6bb46");
-        ctx.fillStyle = eyeGrad;
-        ctx.beginPath();
-        ctx.arc(ex, ey, smallRingRadius * 1.2, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.fillStyle = "#120405";
-        ctx.beginPath();
-        ctx.arc(ex - smallRingRadius * 0.2, ey - smallRingRadius * 0.1, smallRingRadius * 0.6, 0, Math.PI * 2);
-        ctx.fill();
-      }
+    // Abdomen highlight and pattern
+    ctx.strokeStyle = "rgba(255,255,255,0.18)";
+    ctx.lineWidth = 1.3;
+    ctx.beginPath();
+    ctx.moveTo(-abdomenRadius * 0.2, -abdomenHeight * 0.55);
+    ctx.quadraticCurveTo(abdomenRadius * 0.15, -abdomenHeight * 0.85, abdomenRadius * 0.35, -abdomenHeight * 0.25);
+    ctx.stroke();
 
-      // Fangs / pedipalps (mirrored pairs)
-      ctx.strokeStyle = "#f1b05d";
-      ctx.lineWidth = 2;
-      const fangOffsets = [
-        { start: { x: -abdomenRadius * 0.65, y: bodyHeight * 0.2 }, ctrl: { x: -abdomenRadius * 0.9, y: bodyHeight * 0.55 }, end: { x: -abdomenRadius * 0.35, y: bodyHeight * 0.65 } },
-        { start: { x: -abdomenRadius * 0.45, y: bodyHeight * 0.15 }, ctrl: { x: -abdomenRadius * 0.75, y: bodyHeight * 0.5 }, end: { x: -abdomenRadius * 0.15, y: bodyHeight * 0.58 } },
-        { start: { x: -abdomenRadius * 0.65, y: bodyHeight * 0.05 }, ctrl: { x: -abdomenRadius * 0.9, y: bodyHeight * 0.35 }, end: { x: -abdomenRadius * 0.35, y: bodyHeight * 0.45 } },
-        { start: { x: -abdomenRadius * 0.45, y: 0 }, ctrl: { x: -abdomenRadius * 0.75, y: bodyHeight * 0.3 }, end: { x: -abdomenRadius * 0.15, y: bodyHeight * 0.38 } },
-      ];
-      for (const fang of fangOffsets) {
-        ctx.beginPath();
-        ctx.moveTo(fang.start.x, fang.start.y);
-        ctx.quadraticCurveTo(fang.ctrl.x, fang.ctrl.y, fang.end.x, fang.end.y);
-        ctx.moveTo(-fang.start.x, fang.start.y);
-        ctx.quadraticCurveTo(-fang.ctrl.x, fang.ctrl.y, -fang.end.x, fang.end.y);
-        ctx.stroke();
-      }
+    ctx.strokeStyle = "rgba(255,90,70,0.3)";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(-abdomenRadius * 0.1, -abdomenHeight * 0.25);
+    ctx.quadraticCurveTo(0, abdomenHeight * 0.05, -abdomenRadius * 0.05, abdomenHeight * 0.35);
+    ctx.stroke();
+  }
 
-      // Abdomen highlight and pattern
-      ctx.strokeStyle = "rgba(255,255,255,0.18)";
-      ctx.lineWidth = 1.3;
+  // Spiked iron ball with a blinking warning light.
+  renderMine(ctx, enemy) {
+    const r = enemy.radius;
+    ctx.rotate(enemy.animTime * 0.3);
+    ctx.strokeStyle = "#2b2f36";
+    ctx.lineWidth = 3;
+    ctx.lineCap = "round";
+    for (let i = 0; i < 8; i += 1) {
+      const angle = (i / 8) * Math.PI * 2;
       ctx.beginPath();
-      ctx.moveTo(-abdomenRadius * 0.2, -abdomenHeight * 0.55);
-      ctx.quadraticCurveTo(abdomenRadius * 0.15, -abdomenHeight * 0.85, abdomenRadius * 0.35, -abdomenHeight * 0.25);
+      ctx.moveTo(Math.cos(angle) * r * 0.8, Math.sin(angle) * r * 0.8);
+      ctx.lineTo(Math.cos(angle) * r * 1.35, Math.sin(angle) * r * 1.35);
       ctx.stroke();
+    }
 
-      ctx.strokeStyle = "rgba(255,90,70,0.3)";
-      ctx.lineWidth = 2;
+    const shell = ctx.createRadialGradient(-r * 0.3, -r * 0.3, r * 0.1, 0, 0, r);
+    shell.addColorStop(0, "#8a929e");
+    shell.addColorStop(0.5, "#4a515c");
+    shell.addColorStop(1, "#1c1f25");
+    ctx.fillStyle = shell;
+    ctx.beginPath();
+    ctx.arc(0, 0, r, 0, Math.PI * 2);
+    ctx.fill();
+
+    const blink = Math.sin(enemy.animTime * 3) > 0;
+    ctx.fillStyle = blink ? "#ff4d4d" : "#5c1414";
+    ctx.shadowColor = "rgba(255,60,60,0.8)";
+    ctx.shadowBlur = blink ? 10 : 0;
+    ctx.beginPath();
+    ctx.arc(0, 0, r * 0.3, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  // Small golden scarab with flickering legs and a glint on its shell.
+  renderBeetle(ctx, enemy) {
+    const r = enemy.radius;
+    if (enemy.direction < 0) {
+      ctx.scale(-1, 1);
+    }
+    ctx.strokeStyle = "#3b2a07";
+    ctx.lineWidth = 2;
+    for (let i = -1; i <= 1; i += 1) {
+      const swing = Math.sin(enemy.animTime * 2 + i) * r * 0.3;
+      ctx.beginPath();
+      ctx.moveTo(i * r * 0.5, 0);
+      ctx.lineTo(i * r * 0.5 + swing, -r * 1.1);
+      ctx.moveTo(i * r * 0.5, 0);
+      ctx.lineTo(i * r * 0.5 - swing, r * 1.1);
+      ctx.stroke();
+    }
+
+    const shell = ctx.createLinearGradient(-r, -r, r, r);
+    shell.addColorStop(0, "#fff1a8");
+    shell.addColorStop(0.5, "#f2b632");
+    shell.addColorStop(1, "#8a5a0b");
+    ctx.fillStyle = shell;
+    ctx.beginPath();
+    ctx.ellipse(0, 0, r * 1.2, r * 0.85, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = "#5a3a06";
+    ctx.beginPath();
+    ctx.arc(r * 1.15, 0, r * 0.4, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.strokeStyle = "rgba(90,58,6,0.8)";
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(-r * 1.1, 0);
+    ctx.lineTo(r * 0.8, 0);
+    ctx.stroke();
+
+    const glint = (Math.sin(enemy.animTime * 0.5) + 1) / 2;
+    ctx.fillStyle = `rgba(255,255,255,${0.25 + glint * 0.5})`;
+    ctx.beginPath();
+    ctx.ellipse(-r * 0.3, -r * 0.4, r * 0.35, r * 0.15, -0.3, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
+
+/**
+ * Draws a GameSession: the level, well, pipe, enemies, drill and HUD.
+ */
+class PlayRenderer {
+  constructor(game) {
+    this.game = game;
+    this.levelRenderer = new LevelRenderer();
+    this.drillRenderer = new DrillRenderer();
+    this.enemyRenderer = new EnemyRenderer();
+  }
+
+  // `effects` is an EffectsSystem; it shakes the playfield but not the HUD.
+  render(ctx, session, effects = null) {
+    ctx.save();
+    if (effects) {
+      ctx.translate(effects.shakeX, effects.shakeY);
+    }
+    this.levelRenderer.render(ctx, session.level);
+    this.renderWell(ctx, session);
+    this.drillRenderer.renderPipe(ctx, session.drill);
+    for (const enemy of session.enemies) {
+      this.enemyRenderer.render(ctx, enemy);
+    }
+    this.renderDrill(ctx, session.drill);
+    if (session.death) {
+      this.renderDeath(ctx, session.death);
+    }
+    if (effects) {
+      effects.render(ctx);
+    }
+    ctx.restore();
+
+    this.renderHud(ctx, session);
+  }
+
+  // A freshly respawned drill blinks until its grace period runs out; under
+  // reduced effects it stays faded instead.
+  renderDrill(ctx, drill) {
+    ctx.save();
+    if (drill.isInvulnerable) {
+      const blinkOff = Math.floor(drill.invulnerableTime * 10) % 2 === 0;
+      ctx.globalAlpha = playerSettings.reducedEffects || blinkOff ? 0.45 : 1;
+    }
+    this.drillRenderer.render(ctx, drill);
+    ctx.restore();
+  }
+
+  // The frozen moment a life was lost: the stretch of pipe the hit cut off
+  // darkens, the break is marked, and the enemy responsible is ringed.
+  renderDeath(ctx, death) {
+    const progress = 1 - Math.max(0, death.timer) / DEATH_SEQUENCE_SECONDS;
+    ctx.save();
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    if (death.severedPipe.length > 1) {
+      ctx.beginPath();
+      ctx.moveTo(death.severedPipe[0].x, death.severedPipe[0].y);
+      for (const point of death.severedPipe.slice(1)) {
+        ctx.lineTo(point.x, point.y);
+      }
+      ctx.lineWidth = 12;
+      ctx.strokeStyle = `rgba(40, 12, 12, ${0.4 + 0.4 * progress})`;
+      ctx.stroke();
+    }
+
+    const mark = 9;
+    ctx.strokeStyle = "#ff6868";
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(death.x - mark, death.y - mark);
+    ctx.lineTo(death.x + mark, death.y + mark);
+    ctx.moveTo(death.x + mark, death.y - mark);
+    ctx.lineTo(death.x - mark, death.y + mark);
+    ctx.stroke();
+
+    if (death.enemy) {
+      const { enemy } = death;
+      const pulse = playerSettings.reducedEffects ? 1 : 1 + 0.15 * Math.sin(progress * Math.PI * 6);
       ctx.beginPath();
-      ctx.moveTo(-abdomenRadius * 0.1, -abdomenHeight * 0.25);
-      ctx.quadraticCurveTo(0, abdomenHeight * 0.05, -abdomenRadius * 0.05, abdomenHeight * 0.35);
+      ctx.arc(enemy.x, enemy.y, (enemy.radius + 10) * pulse, 0, Math.PI * 2);
       ctx.stroke();
     }
     ctx.restore();
   }
+
+  renderHud(ctx, session) {
+    ctx.save();
+    const hudCenterY = 28;
+    ctx.fillStyle = "#f4f6f8";
+    ctx.font = "14px 'Segoe UI', sans-serif";
+    ctx.textBaseline = "middle";
+    ctx.textAlign = "left";
+    ctx.fillText(`Score: ${session.score}`, 20, hudCenterY);
+
+    ctx.textAlign = "center";
+    const levelLabel = Number.isFinite(session.campaign.levelCount)
+      ? `Level ${session.levelIndex + 1}/${session.campaign.levelCount}`
+      : `Level ${session.levelIndex + 1}`;
+    ctx.fillText(
+      `${levelLabel}: ${session.levelName}  |  ${session.preset.label}`,
+      this.game.width / 2,
+      hudCenterY
+    );
+
+    ctx.font = "12px 'Segoe UI', sans-serif";
+    ctx.textAlign = "left";
+    ctx.fillStyle = "#f4f6f8aa";
+    const hint = this.game.touchActive ? "Swipe: move  |  Hold: retract  |  ❚❚: pause" : this.keyHint();
+    ctx.fillText(hint, 20, hudCenterY + 18);
+
+    ctx.font = "14px 'Segoe UI', sans-serif";
+    ctx.textAlign = "right";
+    ctx.fillStyle = "#f4f6f8";
+    ctx.fillText(`Lives: ${session.lives}`, this.game.width - 20, hudCenterY);
+
+    // Timer underneath Lives on the right
+    const time = Math.max(0, session.remainingTime);
+    const minutes = Math.floor(time / 60);
+    const seconds = Math.floor(time % 60)
+      .toString()
+      .padStart(2, "0");
+    const timeColor = time < 30 ? "#ff6868" : "#f4f6f8";
+    ctx.fillStyle = timeColor;
+    ctx.fillText(`Time: ${minutes}:${seconds}`, this.game.width - 20, hudCenterY + 18);
+
+    if (session.timeBonusFlash > 0) {
+      ctx.fillStyle = POWER_UP_COLORS.T;
+      ctx.fillText(`+${TIME_POWER_UP_SECONDS}s`, this.game.width - 110, hudCenterY + 18);
+    } else if (session.suddenDeath) {
+      ctx.font = "bold 12px 'Segoe UI', sans-serif";
+      ctx.fillStyle = "#ff6868";
+      ctx.fillText("SUDDEN DEATH", this.game.width - 110, hudCenterY + 18);
+      ctx.font = "14px 'Segoe UI', sans-serif";
+    }
+
+    // Mute indicator underneath timer
+    if (soundManager.muted) {
+      ctx.fillStyle = "#ff6868";
+      ctx.fillText("🔇 MUTED", this.game.width - 20, hudCenterY + 36);
+    }
+
+    this.renderPowerUpStatus(ctx, session, hudCenterY + 40);
+
+    if (session.levelComplete) {
+      ctx.textAlign = "center";
+      ctx.font = "40px 'Segoe UI', sans-serif";
+      ctx.shadowColor = "rgba(0,0,0,0.5)";
+      ctx.shadowBlur = 12;
+      ctx.fillText(
+        "LEVEL COMPLETE!",
+        this.game.width / 2,
+        this.game.height * 0.15
+      );
+      ctx.font = "20px 'Segoe UI', sans-serif";
+      const countdown = Math.max(1, Math.ceil(session.intermissionTimer));
+      const nextLabel = session.isFinalLevel()
+        ? "Surfacing..."
+        : `Next level in ${countdown}`;
+      ctx.fillText(nextLabel, this.game.width / 2, this.game.height * 0.15 + 40);
+      this.renderLevelBonus(ctx, session, this.game.height * 0.15 + 72);
+    }
+
+    if (session.death && session.timeExpired) {
+      this.renderTimeUp(ctx, session);
+    }
+
+    if (session.getReadyTimer > 0) {
+      ctx.textAlign = "center";
+      ctx.shadowColor = "rgba(0,0,0,0.5)";
+      ctx.shadowBlur = 12;
+      ctx.fillStyle = "#f4d67c";
+      ctx.font = "40px 'Segoe UI', sans-serif";
+      ctx.fillText("GET READY", this.game.width / 2, this.game.height * 0.4);
+      ctx.font = "64px 'Segoe UI', sans-serif";
+      ctx.fillText(String(Math.ceil(session.getReadyTimer)), this.game.width / 2, this.game.height * 0.4 + 64);
+    }
+
+    ctx.restore();
+  }
+
+  // The clear and time bonuses under LEVEL COMPLETE. The time bonus counts up
+  // over the first part of the intermission unless effects are reduced.
+  renderLevelBonus(ctx, session, y) {
+    const elapsed = LEVEL_INTERMISSION_DURATION - session.intermissionTimer;
+    const share = playerSettings.reducedEffects ? 1 : Math.min(1, elapsed / 1.5);
+    const timeBonus = Math.round(session.timeBonus * share);
+    ctx.font = "16px 'Segoe UI', sans-serif";
+    ctx.fillStyle = "#f4d67c";
+    ctx.fillText(
+      `Clear bonus +${SCORING.levelComplete}  |  Time bonus +${timeBonus}`,
+      this.game.width / 2,
+      y
+    );
+  }
+
+  // Shown over the death sequence when the clock ran out, saying what the
+  // level's timeOut rule does next.
+  renderTimeUp(ctx, session) {
+    ctx.textAlign = "center";
+    ctx.shadowColor = "rgba(0,0,0,0.5)";
+    ctx.shadowBlur = 12;
+    ctx.fillStyle = "#ff6868";
+    ctx.font = "40px 'Segoe UI', sans-serif";
+    ctx.fillText("TIME UP", this.game.width / 2, this.game.height * 0.4);
+    if (session.lives <= 0) {
+      return;
+    }
+    const next = session.level.timeOut === "suddenDeath"
+      ? `Sudden death: ${SUDDEN_DEATH_SECONDS}s to finish the level`
+      : "The clock resets";
+    ctx.fillStyle = "#f4f6f8";
+    ctx.font = "20px 'Segoe UI', sans-serif";
+    ctx.fillText(next, this.game.width / 2, this.game.height * 0.4 + 40);
+  }
+
+  // Control hint built from the current key bindings.
+  keyHint() {
+    const { controls } = this.game;
+    const keys = (action) => actionKeys(controls, action);
+    const moves = ["MoveUp", "MoveLeft", "MoveDown", "MoveRight"].map((action) => controls.keysFor(action)[0]);
+    const move = moves.join() === "ArrowUp,ArrowLeft,ArrowDown,ArrowRight"
+      ? "Arrows"
+      : moves.map((code) => (code ? keyLabel(code) : "?")).join("/");
+    return `${move}: move  |  ${keys("Retract")}: retract  |  ${keys("Pause")}: pause  |  ${keys("Mute")}: mute`;
+  }
+
+  // Pills under the control hint for the active shield and banked repair kits.
+  renderPowerUpStatus(ctx, session, y) {
+    const pills = [];
+    if (session.shieldTimer > 0) {
+      pills.push({ label: `SHIELD ${Math.ceil(session.shieldTimer)}s`, color: POWER_UP_COLORS.S });
+    }
+    if (session.repairKits > 0) {
+      pills.push({ label: `REPAIR ×${session.repairKits}`, color: POWER_UP_COLORS.R });
+    }
+
+    ctx.font = "bold 12px 'Segoe UI', sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    let x = 20;
+    for (const pill of pills) {
+      const width = ctx.measureText(pill.label).width + 20;
+      const path = new Path2D();
+      addRoundedRectPath(path, x, y - 10, width, 20, { tl: 10, tr: 10, br: 10, bl: 10 });
+      ctx.fillStyle = "rgba(0,0,0,0.45)";
+      ctx.fill(path);
+      ctx.strokeStyle = pill.color;
+      ctx.lineWidth = 1.5;
+      ctx.stroke(path);
+      ctx.fillStyle = pill.color;
+      ctx.fillText(pill.label, x + width / 2, y + 1);
+      x += width + 8;
+    }
+  }
+
+  renderWell(ctx, session) {
+    const well = session.wellPosition;
+    ctx.save();
+    ctx.translate(well.x, well.y);
+    const platformWidth = 60;
+    const platformHeight = 18;
+    const platformGrad = ctx.createLinearGradient(-platformWidth / 2, 0, platformWidth / 2, 0);
+    platformGrad.addColorStop(0, "#403f46");
+    platformGrad.addColorStop(1, "#9f9fab");
+    ctx.fillStyle = platformGrad;
+    ctx.fillRect(-platformWidth / 2, -platformHeight / 2, platformWidth, platformHeight);
+
+    ctx.strokeStyle = "#1e1f29";
+    ctx.lineWidth = 3;
+    ctx.strokeRect(-platformWidth / 2, -platformHeight / 2, platformWidth, platformHeight);
+
+    const mastHeight = session.level.tileSize * 0.9;
+    ctx.fillStyle = "#4c5563";
+    ctx.fillRect(-6, -mastHeight, 12, mastHeight);
+    ctx.fillRect(-2, -mastHeight * 1.2, 4, mastHeight * 0.3);
+
+    ctx.strokeStyle = "#1f2a33";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(-platformWidth / 2, -platformHeight / 2);
+    ctx.lineTo(-platformWidth / 2 + 8, -platformHeight / 2 - 16);
+    ctx.lineTo(-platformWidth / 2 + 16, -platformHeight / 2);
+    ctx.moveTo(platformWidth / 2, -platformHeight / 2);
+    ctx.lineTo(platformWidth / 2 - 8, -platformHeight / 2 - 16);
+    ctx.lineTo(platformWidth / 2 - 16, -platformHeight / 2);
+    ctx.stroke();
+
+    ctx.fillStyle = "#f0c169";
+    ctx.fillRect(-platformWidth / 2 - 6, -platformHeight / 2 - 10, platformWidth + 12, 8);
+    ctx.restore();
+  }
 }
 
 class MenuState {
-  constructor(game) {
+  constructor(game, notice = null) {
     this.game = game;
+    this.notice = notice;
     this.animTime = 0;
+    this.attractTime = 0;
     this.sunPulse = 0;
     this.cableOffset = 0;
 
@@ -1715,8 +1794,8 @@ class MenuState {
     this.particles = [];
     for (let i = 0; i < 30; i++) {
       this.particles.push({
-        x: Math.random() * game.canvas.width,
-        y: Math.random() * game.canvas.height * 0.5,
+        x: Math.random() * game.width,
+        y: Math.random() * game.height * 0.5,
         size: Math.random() * 2 + 0.5,
         speed: Math.random() * 15 + 5,
         opacity: Math.random() * 0.4 + 0.1,
@@ -1728,8 +1807,8 @@ class MenuState {
     this.stars = [];
     for (let i = 0; i < 50; i++) {
       this.stars.push({
-        x: Math.random() * game.canvas.width,
-        y: Math.random() * game.canvas.height * 0.35,
+        x: Math.random() * game.width,
+        y: Math.random() * game.height * 0.35,
         size: Math.random() * 1.5 + 0.5,
         brightness: Math.random(),
         twinkleSpeed: Math.random() * 3 + 1,
@@ -1738,6 +1817,11 @@ class MenuState {
   }
 
   update(dt) {
+    this.attractTime = (this.attractTime + dt) % (MENU_ATTRACT_SECONDS + MENU_SCORES_SECONDS);
+    // Reduced effects holds the scenery still.
+    if (playerSettings.reducedEffects) {
+      return;
+    }
     this.animTime += dt;
     this.sunPulse = Math.sin(this.animTime * 0.8) * 0.1 + 1;
     this.cableOffset = (this.cableOffset + dt * 30) % 50;
@@ -1746,14 +1830,14 @@ class MenuState {
     for (const particle of this.particles) {
       particle.y -= particle.speed * dt;
       if (particle.y < 0) {
-        particle.y = this.game.canvas.height * 0.5;
-        particle.x = Math.random() * this.game.canvas.width;
+        particle.y = this.game.height * 0.5;
+        particle.x = Math.random() * this.game.width;
       }
     }
   }
 
   render(ctx) {
-    const { width, height } = this.game.canvas;
+    const { width, height } = this.game;
     const skyHeight = height * 0.5;
 
     // Enhanced sky gradient with deeper colors
@@ -1949,26 +2033,56 @@ class MenuState {
     ctx.fillStyle = titleGrad;
     ctx.fillText("Sats Miner", width / 2, titleY);
 
-    // Instruction text with pulsing animation - in darker section
-    const pulseOpacity = Math.sin(this.animTime * 2) * 0.2 + 0.8;
-    ctx.font = "28px 'Segoe UI', Arial, sans-serif";
+    if (this.isShowingScores()) {
+      renderHighScoreTable(ctx, highScores.entries, width / 2, skyHeight + 12);
+    } else {
+      // Instruction text with pulsing animation - in darker section
+      const pulseOpacity = Math.sin(this.animTime * 2) * 0.2 + 0.8;
+      ctx.font = "28px 'Segoe UI', Arial, sans-serif";
+      ctx.shadowColor = "rgba(0, 0, 0, 0.6)";
+      ctx.shadowBlur = 12;
+      ctx.shadowOffsetY = 3;
+      ctx.fillStyle = `rgba(240, 242, 246, ${pulseOpacity})`;
+      const confirm = actionKeys(this.game.controls, "Confirm", { first: true });
+      ctx.fillText(`Press ${confirm} or tap to descend`, width / 2, skyHeight + height * 0.25);
+
+      // Down arrow indicator (animated)
+      const arrowY = skyHeight + height * 0.3 + Math.sin(this.animTime * 3) * 5;
+      ctx.strokeStyle = `rgba(240, 242, 246, ${pulseOpacity * 0.8})`;
+      ctx.lineWidth = 3;
+      ctx.lineCap = "round";
+      ctx.lineJoin = "round";
+      ctx.beginPath();
+      ctx.moveTo(width / 2 - 12, arrowY);
+      ctx.lineTo(width / 2, arrowY + 12);
+      ctx.lineTo(width / 2 + 12, arrowY);
+      ctx.stroke();
+
+      this.renderDifficulty(ctx, width / 2, this.difficultyY());
+    }
+
+    ctx.font = "14px 'Segoe UI', Arial, sans-serif";
     ctx.shadowColor = "rgba(0, 0, 0, 0.6)";
-    ctx.shadowBlur = 12;
+    ctx.shadowBlur = 6;
     ctx.shadowOffsetY = 3;
-    ctx.fillStyle = `rgba(240, 242, 246, ${pulseOpacity})`;
-    ctx.fillText("Press Enter to descend", width / 2, skyHeight + height * 0.25);
+    ctx.fillStyle = "rgba(240, 242, 246, 0.55)";
+    const key = (name) => shortcutLabel(this.game.controls, name);
+    ctx.fillText(
+      `${moveKeys(this.game.controls, "MoveLeft", "MoveRight")}: difficulty  |  ${key("D")}: daily  |  ${key("N")}: endless  |  ${key("E")}: level editor  |  ${key("R")}: last replay  |  ${key("H")}: high scores`,
+      width / 2,
+      height - 52
+    );
+    ctx.fillText(
+      `${key("C")}: controls  |  ${key("S")}: settings  |  ${key("F")}: fullscreen  |  Drop a level or replay .json here`,
+      width / 2,
+      height - 30
+    );
 
-    // Down arrow indicator (animated)
-    const arrowY = skyHeight + height * 0.3 + Math.sin(this.animTime * 3) * 5;
-    ctx.strokeStyle = `rgba(240, 242, 246, ${pulseOpacity * 0.8})`;
-    ctx.lineWidth = 3;
-    ctx.lineCap = "round";
-    ctx.lineJoin = "round";
-    ctx.beginPath();
-    ctx.moveTo(width / 2 - 12, arrowY);
-    ctx.lineTo(width / 2, arrowY + 12);
-    ctx.lineTo(width / 2 + 12, arrowY);
-    ctx.stroke();
+    if (this.notice) {
+      ctx.font = "16px 'Segoe UI', Arial, sans-serif";
+      ctx.fillStyle = "#ff8a80";
+      ctx.fillText(this.notice, width / 2, height - 80);
+    }
 
     ctx.restore();
 
@@ -1987,6 +2101,36 @@ class MenuState {
     ctx.fillRect(0, 0, width, height);
   }
 
+  difficultyY() {
+    const { height } = this.game;
+    return height * 0.5 + height * 0.38;
+  }
+
+  renderDifficulty(ctx, x, y) {
+    const preset = DIFFICULTY_PRESETS[playerSettings.difficulty];
+    ctx.save();
+    ctx.textAlign = "center";
+    ctx.shadowBlur = 6;
+    ctx.font = "20px 'Segoe UI', Arial, sans-serif";
+    ctx.fillStyle = "#f4d67c";
+    ctx.fillText(`◀  ${preset.label}  ▶`, x, y);
+    ctx.font = "13px 'Segoe UI', Arial, sans-serif";
+    ctx.fillStyle = "rgba(240, 242, 246, 0.7)";
+    const lives = preset.lives === 1 ? "1 life" : `${preset.lives} lives`;
+    ctx.fillText(
+      `${lives}  |  ${Math.round(preset.timeScale * 100)}% time  |  ${preset.enemySpeed}× enemy speed`,
+      x,
+      y + 24
+    );
+    ctx.restore();
+  }
+
+  // The leaderboard takes over from the cover art for part of each attract
+  // cycle once anyone has a score on it.
+  isShowingScores() {
+    return highScores.entries.length > 0 && this.attractTime >= MENU_ATTRACT_SECONDS;
+  }
+
   renderChristmasTree(ctx, width, height, skyHeight) {
     // Australian summer Christmas tree on the hill
     const treeX = width * 0.75;
@@ -2162,142 +2306,571 @@ class MenuState {
   }
 
   onKeyDown(event) {
-    if (event.key === "Enter") {
+    if (event.is("Confirm")) {
       soundManager.playMenuSelect();
       this.game.setState(new PlayState(this.game));
-    } else if (event.key === "m" || event.key === "M") {
+    } else if ((event.is("MoveLeft") || event.is("MoveRight")) && !event.shiftKey) {
+      this.cycleDifficulty(event.is("MoveLeft") ? -1 : 1);
+    } else if (event.is("Mute")) {
       soundManager.toggleMute();
+    } else if (event.isShortcut("E")) {
+      soundManager.playMenuSelect();
+      this.game.setState(new EditorState(this.game));
+    } else if (event.isShortcut("R")) {
+      const replay = loadLastReplay();
+      if (replay) {
+        soundManager.playMenuSelect();
+        this.game.setState(new ReplayState(this.game, replay));
+      } else {
+        this.notice = "No replay recorded yet. Finish a run first.";
+      }
+    } else if (event.isShortcut("D")) {
+      soundManager.playMenuSelect();
+      const seed = dailySeed();
+      const campaign = new GeneratedCampaign(seed, { levelCount: 1, label: "Daily" });
+      this.game.setState(new PlayState(this.game, campaign, { seed }));
+    } else if (event.isShortcut("N")) {
+      soundManager.playMenuSelect();
+      const seed = Math.floor(Math.random() * 1000000);
+      this.game.setState(new PlayState(this.game, new GeneratedCampaign(seed), { seed }));
+    } else if (event.isShortcut("C")) {
+      soundManager.playMenuSelect();
+      this.game.setState(new ControlsState(this.game, this));
+    } else if (event.isShortcut("S")) {
+      soundManager.playMenuSelect();
+      this.game.setState(new SettingsState(this.game, this));
+    } else if (event.isShortcut("F")) {
+      this.game.viewport.toggleFullscreen();
+    } else if (event.isShortcut("H")) {
+      this.attractTime = this.isShowingScores() ? 0 : MENU_ATTRACT_SECONDS;
     }
   }
-}
 
-class PlayState {
-  constructor(game) {
-    this.game = game;
-    this.level = new Level(game.canvas.width, game.canvas.height);
-    this.score = 0;
-    this.levelComplete = false;
-    this.lives = 3;
-    this.levelTimeLimit = 150;
-    this.remainingTime = this.levelTimeLimit;
-    this.timeExpired = false;
-    this.lastWarningTime = 0;
-    this.startTile = this.level.getEntryTile();
-    this.wellPosition = this.level.getWellPosition();
-    this.drill = this.createDrill();
-    const laneInfos = this.level.getEnemyLanes();
-    const sortedLanes = [...laneInfos].sort((a, b) => a.y - b.y);
-    const hazardLaneCount = Math.max(1, Math.round(sortedLanes.length * 0.2));
-    const hazardLaneKeys = new Set(
-      sortedLanes
-        .slice(sortedLanes.length - hazardLaneCount)
-        .map((lane) => lane.y)
-    );
+  // Tapping the difficulty arrows cycles the preset; a tap anywhere else
+  // starts the game.
+  onTap(x, y) {
+    const centerX = this.game.width / 2;
+    const onSelector = Math.abs(y - (this.difficultyY() - 7)) < 24 && Math.abs(x - centerX) < 120;
+    if (onSelector && !this.isShowingScores()) {
+      this.cycleDifficulty(x < centerX ? -1 : 1);
+      return;
+    }
+    soundManager.playMenuSelect();
+    this.game.setState(new PlayState(this.game));
+  }
 
-    const enemyConfigs = [];
-    sortedLanes.forEach((lane, index) => {
-      const laneType = hazardLaneKeys.has(lane.y) ? "02" : "01";
-      enemyConfigs.push({
-        spawn: { x: lane.leftX, y: lane.y },
-        direction: 1,
-        delay: (index % 4) * 1.5 + Math.random(),
-        type: laneType,
-      });
-      enemyConfigs.push({
-        spawn: { x: lane.rightX, y: lane.y },
-        direction: -1,
-        delay: 3 + (index % 3) * 1.2 + Math.random(),
-        type: laneType,
-      });
-    });
+  // A dropped replay starts playback; anything else is played as a level.
+  onFileDropped(file) {
+    return this.game.openFile(file);
+  }
 
-    this.enemies = enemyConfigs.map((config) => {
-      return new Enemy(
-        this.level,
-        config.spawn,
-        config.direction,
-        60 + Math.random() * 40,
-        this.game.canvas.width,
-        config.type,
-        config.delay
-      );
-    });
+  cycleDifficulty(step) {
+    const index = DIFFICULTY_IDS.indexOf(playerSettings.difficulty);
+    const count = DIFFICULTY_IDS.length;
+    playerSettings.setDifficulty(DIFFICULTY_IDS[(index + step + count) % count]);
+    this.attractTime = 0;
+    soundManager.playMenuSelect();
   }
+}
 
-  update(dt) {
-    if (!this.levelComplete) {
-      this.remainingTime = Math.max(0, this.remainingTime - dt);
-
-      // Play warning sound when time < 30 seconds (every second)
-      if (this.remainingTime < 30 && this.remainingTime > 0) {
-        const currentSecond = Math.floor(this.remainingTime);
-        if (currentSecond !== this.lastWarningTime) {
-          this.lastWarningTime = currentSecond;
-          soundManager.playTimeWarning();
-        }
-      }
+/**
+ * Touch input for a PlayState. Swiping steers the drill, and holding a finger
+ * still retracts it until it lifts. With the on-screen pad turned on, a D-pad
+ * and a retract button sit in the bottom corners too. Everything goes through
+ * session.applyInput, so touch runs record and replay like keyboard ones.
+ */
+class TouchControls {
+  constructor(game, playState) {
+    this.game = game;
+    this.playState = playState;
+    // Fingers currently down, by touch identifier. `role` is "dpad",
+    // "retract" or "gesture"; gestures also track where the last swipe
+    // started and how long the finger has been still.
+    this.touches = new Map();
+  }
 
-      if (this.remainingTime <= 0 && !this.timeExpired) {
-        this.timeExpired = true;
-        soundManager.stopDrillExtend();
-        this.game.setState(new GameOverState(this.game, this.score));
-        return;
+  get session() {
+    return this.playState.session;
+  }
+
+  layout() {
+    const { width, height } = this.game;
+    return {
+      dpad: { x: 120, y: height - 120, radius: 84 },
+      retract: { x: width - 110, y: height - 110, radius: 56 },
+      pause: { x: width - 64, y: 84, size: 40 },
+    };
+  }
+
+  onTouchStart(id, x, y) {
+    const { dpad, retract, pause } = this.layout();
+    if (x >= pause.x && x <= pause.x + pause.size && y >= pause.y && y <= pause.y + pause.size) {
+      this.playState.pause();
+      return;
+    }
+    if (playerSettings.touchPad && Math.hypot(x - dpad.x, y - dpad.y) <= dpad.radius) {
+      const touch = { role: "dpad", dx: 0, dy: 0 };
+      this.touches.set(id, touch);
+      this.steerWithPad(touch, x, y);
+    } else if (playerSettings.touchPad && Math.hypot(x - retract.x, y - retract.y) <= retract.radius) {
+      this.touches.set(id, { role: "retract", retracting: true });
+      this.startRetract();
+    } else {
+      this.touches.set(id, {
+        role: "gesture",
+        anchorX: x,
+        anchorY: y,
+        stillX: x,
+        stillY: y,
+        stillTime: 0,
+        retracting: false,
+      });
+    }
+  }
+
+  onTouchMove(id, x, y) {
+    const touch = this.touches.get(id);
+    if (!touch) {
+      return;
+    }
+    if (touch.role === "dpad") {
+      this.steerWithPad(touch, x, y);
+    } else if (touch.role === "gesture") {
+      if (Math.hypot(x - touch.stillX, y - touch.stillY) > TAP_SLOP) {
+        touch.stillX = x;
+        touch.stillY = y;
+        touch.stillTime = 0;
+      }
+      const dx = x - touch.anchorX;
+      const dy = y - touch.anchorY;
+      if (!touch.retracting && Math.max(Math.abs(dx), Math.abs(dy)) >= SWIPE_DISTANCE) {
+        // Re-anchor so a finger that keeps moving can chain turns.
+        touch.anchorX = x;
+        touch.anchorY = y;
+        if (Math.abs(dx) > Math.abs(dy)) {
+          this.steer(Math.sign(dx), 0);
+        } else {
+          this.steer(0, Math.sign(dy));
+        }
       }
     }
-    this.level.update(dt);
-    this.drill.update(dt);
-    for (const enemy of this.enemies) {
-      enemy.update(dt);
+  }
+
+  onTouchEnd(id) {
+    const touch = this.touches.get(id);
+    this.touches.delete(id);
+    if (touch && touch.retracting && !this.isRetractHeld()) {
+      this.stopRetract();
+    }
+  }
+
+  update(dt) {
+    for (const touch of this.touches.values()) {
+      if (touch.role !== "gesture" || touch.retracting) {
+        continue;
+      }
+      touch.stillTime += dt;
+      if (touch.stillTime >= RETRACT_HOLD_SECONDS) {
+        touch.retracting = true;
+        this.startRetract();
+      }
+    }
+  }
+
+  // Forgets every finger, e.g. when the game pauses mid-gesture.
+  release() {
+    this.touches.clear();
+  }
+
+  isRetractHeld() {
+    for (const touch of this.touches.values()) {
+      if (touch.retracting) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Points the drill the way the finger sits from the pad's center, ignoring
+  // a small dead zone in the middle.
+  steerWithPad(touch, x, y) {
+    const { dpad } = this.layout();
+    const offsetX = x - dpad.x;
+    const offsetY = y - dpad.y;
+    if (Math.hypot(offsetX, offsetY) < dpad.radius * 0.25) {
+      return;
+    }
+    const dx = Math.abs(offsetX) > Math.abs(offsetY) ? Math.sign(offsetX) : 0;
+    const dy = dx === 0 ? Math.sign(offsetY) : 0;
+    if (dx !== touch.dx || dy !== touch.dy) {
+      touch.dx = dx;
+      touch.dy = dy;
+      this.steer(dx, dy);
+    }
+  }
+
+  // The drill is parked while the next level loads.
+  steer(dx, dy) {
+    if (!this.session.levelComplete) {
+      this.session.applyInput({ action: "setDirection", dx, dy });
+    }
+  }
+
+  startRetract() {
+    if (!this.session.levelComplete) {
+      this.session.applyInput({ action: "startRetract" });
+    }
+  }
+
+  stopRetract() {
+    if (this.session.drill.isRetracting) {
+      this.session.applyInput({ action: "stopRetract" });
+    }
+  }
+
+  render(ctx) {
+    if (!this.game.touchActive && !playerSettings.touchPad) {
+      return;
+    }
+    const { dpad, retract, pause } = this.layout();
+    ctx.save();
+    ctx.fillStyle = "rgba(255, 255, 255, 0.12)";
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.45)";
+    ctx.lineWidth = 2;
+    ctx.fillRect(pause.x, pause.y, pause.size, pause.size);
+    ctx.strokeRect(pause.x, pause.y, pause.size, pause.size);
+    ctx.fillStyle = "rgba(255, 255, 255, 0.8)";
+    ctx.fillRect(pause.x + 13, pause.y + 11, 5, 18);
+    ctx.fillRect(pause.x + 22, pause.y + 11, 5, 18);
+
+    if (playerSettings.touchPad) {
+      this.renderDpad(ctx, dpad);
+      ctx.beginPath();
+      ctx.arc(retract.x, retract.y, retract.radius, 0, Math.PI * 2);
+      ctx.fillStyle = this.session.drill.isRetracting
+        ? "rgba(244, 214, 124, 0.35)"
+        : "rgba(255, 255, 255, 0.12)";
+      ctx.fill();
+      ctx.strokeStyle = "rgba(255, 255, 255, 0.45)";
+      ctx.stroke();
+      ctx.fillStyle = "rgba(255, 255, 255, 0.85)";
+      ctx.font = "bold 14px 'Segoe UI', sans-serif";
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText("RETRACT", retract.x, retract.y);
+    }
+    ctx.restore();
+  }
+
+  renderDpad(ctx, dpad) {
+    let pressed = null;
+    for (const touch of this.touches.values()) {
+      if (touch.role === "dpad") {
+        pressed = touch;
+      }
+    }
+    ctx.beginPath();
+    ctx.arc(dpad.x, dpad.y, dpad.radius, 0, Math.PI * 2);
+    ctx.fillStyle = "rgba(255, 255, 255, 0.1)";
+    ctx.fill();
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.45)";
+    ctx.stroke();
+    for (const [dx, dy] of [[0, -1], [0, 1], [-1, 0], [1, 0]]) {
+      const active = pressed && pressed.dx === dx && pressed.dy === dy;
+      const tipX = dpad.x + dx * dpad.radius * 0.8;
+      const tipY = dpad.y + dy * dpad.radius * 0.8;
+      const baseX = dpad.x + dx * dpad.radius * 0.45;
+      const baseY = dpad.y + dy * dpad.radius * 0.45;
+      const spread = dpad.radius * 0.22;
+      ctx.beginPath();
+      ctx.moveTo(tipX, tipY);
+      ctx.lineTo(baseX - dy * spread, baseY - dx * spread);
+      ctx.lineTo(baseX + dy * spread, baseY + dx * spread);
+      ctx.closePath();
+      ctx.fillStyle = active ? "#f4d67c" : "rgba(255, 255, 255, 0.6)";
+      ctx.fill();
+    }
+  }
+}
+
+/**
+ * In-play feedback hung off a session's events: debris when an enemy is
+ * destroyed, a sparkle and floating score when a pellet is collected, and a
+ * flash plus screen shake where the pipe is hit. Particles come from a fixed
+ * pool, so a busy moment never allocates. Reduced effects drops the particles
+ * and shake and keeps the text and flash still.
+ */
+class EffectsSystem {
+  constructor(size = EFFECT_POOL_SIZE) {
+    this.pool = [];
+    for (let i = 0; i < size; i += 1) {
+      this.pool.push({
+        active: false,
+        kind: null,
+        x: 0,
+        y: 0,
+        vx: 0,
+        vy: 0,
+        age: 0,
+        life: 0,
+        size: 0,
+        color: "",
+        text: "",
+      });
+    }
+    // Where the search for a free particle starts; also the oldest one.
+    this.next = 0;
+    this.shakeTime = 0;
+    this.shakeX = 0;
+    this.shakeY = 0;
+  }
+
+  listenTo(session) {
+    const { events } = session;
+    events.on("enemyDestroyed", ({ type, x, y, score, chain }) => {
+      this.burst(x, y, DEBRIS_COLORS[ENEMY_TYPES[type].sprite], DEBRIS_PARTICLES, 160);
+      if (score > 0) {
+        this.floatText(x, y, chain > 1 ? `+${score} ×${chain}` : `+${score}`, "#f4f6f8");
+      }
+    });
+    events.on("extraLife", () => {
+      this.floatText(session.drill.x, session.drill.y - 20, "EXTRA LIFE", "#7cf49a");
+    });
+    events.on("pelletCollected", ({ tileX, tileY, score }) => {
+      const { x, y } = session.level.tileToPixelCenter(tileX, tileY);
+      this.burst(x, y, SPARKLE_COLORS, SPARKLE_PARTICLES, 90);
+      this.floatText(x, y, `+${score}`, PELLET_SCORE_COLOR);
+    });
+    // Fired before the drill resets, so the pipe is still there to mark.
+    events.on("pipeHit", ({ x, y }) => {
+      const point = closestPointOnPath(session.drill.pipePoints, x, y) || { x, y };
+      this.pipeFlash(point.x, point.y);
+      this.shake();
+    });
+  }
+
+  acquire() {
+    const count = this.pool.length;
+    for (let i = 0; i < count; i += 1) {
+      const particle = this.pool[(this.next + i) % count];
+      if (!particle.active) {
+        this.next = (this.next + i + 1) % count;
+        return particle;
+      }
     }
-    if (this.handleEnemyInteractions()) {
+    const oldest = this.pool[this.next];
+    this.next = (this.next + 1) % count;
+    return oldest;
+  }
+
+  spawn(kind, x, y, { vx = 0, vy = 0, life, size = 0, color = "", text = "" }) {
+    const particle = this.acquire();
+    Object.assign(particle, { active: true, kind, x, y, vx, vy, age: 0, life, size, color, text });
+  }
+
+  burst(x, y, colors, count, speed) {
+    if (playerSettings.reducedEffects) {
       return;
     }
+    for (let i = 0; i < count; i += 1) {
+      const angle = Math.random() * Math.PI * 2;
+      const velocity = speed * (0.4 + Math.random() * 0.6);
+      this.spawn("spark", x, y, {
+        vx: Math.cos(angle) * velocity,
+        vy: Math.sin(angle) * velocity,
+        life: 0.4 + Math.random() * 0.4,
+        size: 1.5 + Math.random() * 2,
+        color: colors[i % colors.length],
+      });
+    }
+  }
+
+  floatText(x, y, text, color) {
+    const vy = playerSettings.reducedEffects ? 0 : -40;
+    this.spawn("text", x, y - 12, { vy, life: SCORE_TEXT_SECONDS, color, text });
+  }
+
+  pipeFlash(x, y) {
+    this.spawn("flash", x, y, { life: PIPE_FLASH_SECONDS, size: 34 });
+  }
+
+  shake() {
+    if (playerSettings.screenShake && !playerSettings.reducedEffects) {
+      this.shakeTime = SHAKE_SECONDS;
+    }
+  }
+
+  update(dt) {
+    for (const particle of this.pool) {
+      if (!particle.active) {
+        continue;
+      }
+      particle.age += dt;
+      if (particle.age >= particle.life) {
+        particle.active = false;
+        continue;
+      }
+      particle.x += particle.vx * dt;
+      particle.y += particle.vy * dt;
+      if (particle.kind === "spark") {
+        // Debris arcs down under a little gravity.
+        particle.vy += 300 * dt;
+      }
+    }
+
+    this.shakeTime = Math.max(0, this.shakeTime - dt);
+    // Rolled here rather than in render so a paused frame holds still.
+    const magnitude = SHAKE_PIXELS * (this.shakeTime / SHAKE_SECONDS);
+    this.shakeX = (Math.random() * 2 - 1) * magnitude;
+    this.shakeY = (Math.random() * 2 - 1) * magnitude;
   }
 
   render(ctx) {
-    this.level.render(ctx);
-    this.renderWell(ctx);
-    this.drill.renderPipe(ctx);
-    for (const enemy of this.enemies) {
-      enemy.render(ctx);
+    ctx.save();
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.font = "bold 16px 'Segoe UI', sans-serif";
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = "rgba(0, 0, 0, 0.6)";
+    for (const particle of this.pool) {
+      if (!particle.active) {
+        continue;
+      }
+      const fade = 1 - particle.age / particle.life;
+      ctx.globalAlpha = fade;
+      if (particle.kind === "spark") {
+        ctx.fillStyle = particle.color;
+        ctx.fillRect(particle.x - particle.size / 2, particle.y - particle.size / 2, particle.size, particle.size);
+      } else if (particle.kind === "text") {
+        ctx.strokeText(particle.text, particle.x, particle.y);
+        ctx.fillStyle = particle.color;
+        ctx.fillText(particle.text, particle.x, particle.y);
+      } else {
+        this.renderPipeFlash(ctx, particle, fade);
+      }
+    }
+    ctx.restore();
+  }
+
+  // A white-hot burst that swells and fades; under reduced effects a steady
+  // red ring that just fades.
+  renderPipeFlash(ctx, particle, fade) {
+    const { x, y } = particle;
+    if (playerSettings.reducedEffects) {
+      ctx.strokeStyle = "#ff6868";
+      ctx.beginPath();
+      ctx.arc(x, y, particle.size * 0.4, 0, Math.PI * 2);
+      ctx.stroke();
+      return;
+    }
+    const radius = particle.size * (0.3 + 0.7 * (1 - fade));
+    const glow = ctx.createRadialGradient(x, y, 0, x, y, radius);
+    glow.addColorStop(0, "rgba(255, 255, 255, 1)");
+    glow.addColorStop(0.4, "rgba(255, 176, 96, 0.8)");
+    glow.addColorStop(1, "rgba(255, 80, 60, 0)");
+    ctx.fillStyle = glow;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
+
+class PlayState {
+  /**
+   * options.exitState - state to return to instead of the menu when the run
+   * ends or Escape is pressed (used by the editor's play-test).
+   * options.seed - seed for the run's random stream; the same seed and inputs
+   * reproduce the same run.
+   * options.record - record drill inputs for a replay (default true).
+   * options.difficulty - preset id; defaults to the one picked on the menu.
+   * options.onRunEnd(outcome) - replaces the game over / campaign cleared
+   * transition; outcome is "gameOver" or "campaignComplete".
+   */
+  constructor(game, campaign = new LevelCampaign(CAMPAIGN_LEVELS), options = {}) {
+    this.game = game;
+    this.exitState = options.exitState || null;
+    this.session = new GameSession({
+      campaign,
+      seed: options.seed,
+      record: options.record !== false,
+      difficulty: options.difficulty || playerSettings.difficulty,
+      width: game.width,
+      height: game.height,
+      onRunEnd: options.onRunEnd || ((outcome) => this.handleRunEnd(outcome)),
+    });
+    soundManager.listenTo(this.session.events);
+    this.effects = new EffectsSystem();
+    this.effects.listenTo(this.session);
+    this.renderer = new PlayRenderer(game);
+    this.touchControls = new TouchControls(game, this);
+  }
+
+  handleRunEnd(outcome) {
+    const { session } = this;
+    const replay = session.buildReplay(outcome);
+    if (replay) {
+      saveLastReplay(replay);
     }
-    this.drill.render(ctx);
+    // Editor play-tests don't go on the leaderboard.
+    const scoreEntry = this.exitState
+      ? null
+      : {
+          score: session.score,
+          level: session.levelIndex + 1,
+          timeRemaining: Math.ceil(session.remainingTime),
+          difficulty: session.difficulty,
+        };
+    const options = { exitState: this.exitState, replay, scoreEntry, timedOut: session.timeExpired };
+    if (outcome === "campaignComplete") {
+      this.game.setState(new CampaignCompleteState(this.game, session.score, session.lives, options));
+    } else {
+      this.game.setState(new GameOverState(this.game, session.score, options));
+    }
+  }
 
-    this.renderHud(ctx);
+  update(dt) {
+    this.touchControls.update(dt);
+    this.session.update(dt);
+    this.effects.update(dt);
+  }
+
+  render(ctx) {
+    this.renderer.render(ctx, this.session, this.effects);
+    this.touchControls.render(ctx);
   }
 
   onKeyDown(event) {
     let handled = false;
 
-    // M key to toggle mute (global across all states)
-    if (event.key === "m" || event.key === "M") {
+    // Mute works everywhere, including between levels.
+    if (event.is("Mute")) {
       soundManager.toggleMute();
       handled = true;
     }
 
-    switch (event.key) {
-      case "ArrowUp":
-        this.drill.setDirection(0, -1);
-        handled = true;
-        break;
-      case "ArrowDown":
-        this.drill.setDirection(0, 1);
-        handled = true;
-        break;
-      case "ArrowLeft":
-        this.drill.setDirection(-1, 0);
-        handled = true;
-        break;
-      case "ArrowRight":
-        this.drill.setDirection(1, 0);
-        handled = true;
-        break;
-      default:
-        break;
+    if (event.is("Pause")) {
+      this.pause();
+      event.preventDefault();
+      return;
+    }
+
+    // The drill is parked while the next level loads.
+    if (this.session.levelComplete) {
+      if (handled) {
+        event.preventDefault();
+      }
+      return;
     }
 
-    if (event.code === "Space") {
-      this.drill.startRetract();
+    const move = event.actions.find((action) => MOVE_DIRECTIONS[action]);
+    if (move) {
+      const { dx, dy } = MOVE_DIRECTIONS[move];
+      this.session.applyInput({ action: "setDirection", dx, dy });
+      handled = true;
+    }
+
+    if (event.is("Retract")) {
+      this.session.applyInput({ action: "startRetract" });
       handled = true;
     }
 
@@ -2307,243 +2880,1501 @@ class PlayState {
   }
 
   onKeyUp(event) {
-    if (event.code === "Space") {
-      this.drill.stopRetract();
+    if (event.is("Retract")) {
+      this.session.applyInput({ action: "stopRetract" });
       event.preventDefault();
     }
   }
 
-  handlePelletCollected() {
-    this.score += 50;
-    soundManager.playCoinCollect();
-    if (!this.levelComplete && this.level.pelletCount === 0) {
-      this.levelComplete = true;
-      this.score += LEVEL_COMPLETE_BONUS;
-      soundManager.playLevelComplete();
+  // A pulled trigger retracts at a speed set by how far it's pulled.
+  onRetractTrigger(value) {
+    // The drill is parked while the next level loads.
+    if (this.session.levelComplete) {
+      return;
+    }
+    if (value > 0) {
+      this.session.applyInput({ action: "setRetractThrottle", amount: value });
+      if (!this.session.drill.isRetracting) {
+        this.session.applyInput({ action: "startRetract" });
+      }
+    } else {
+      this.session.applyInput({ action: "setRetractThrottle", amount: null });
+      this.session.applyInput({ action: "stopRetract" });
+    }
+  }
+
+  onTouchStart(id, x, y) {
+    this.touchControls.onTouchStart(id, x, y);
+  }
+
+  onTouchMove(id, x, y) {
+    this.touchControls.onTouchMove(id, x, y);
+  }
+
+  onTouchEnd(id) {
+    this.touchControls.onTouchEnd(id);
+  }
+
+  onFocusLost() {
+    this.pause();
+  }
+
+  // Freezes the run behind the pause menu. A held retract is released so the
+  // key-up or touch-end that happens while paused can't leave it stuck on.
+  pause() {
+    if (this.session.drill.isRetracting) {
+      this.session.applyInput({ action: "stopRetract" });
+    }
+    this.touchControls.release();
+    soundManager.stopDrillExtend();
+    this.game.setState(new PauseState(this.game, this));
+  }
+
+  resume() {
+    if (this.session.drill.destinationTile) {
+      soundManager.playDrillExtend();
     }
+    this.game.setState(this);
+  }
+
+  quit() {
+    soundManager.stopDrillExtend();
+    this.game.setState(this.exitState || new MenuState(this.game));
+  }
+}
+
+/**
+ * Pause menu drawn over a frozen PlayState. Nothing in the run updates while
+ * this state is active, so the timer, enemies and drill all hold still.
+ */
+class PauseState {
+  constructor(game, playState) {
+    this.game = game;
+    this.playState = playState;
+    this.selectedIndex = 0;
+    this.items = [
+      { label: "Resume", action: () => this.playState.resume() },
+      {
+        label: "Restart Level",
+        action: () => {
+          this.playState.session.applyInput({ action: "restartLevel" });
+          this.playState.resume();
+        },
+      },
+      {
+        label: "Settings",
+        action: () => this.game.setState(new SettingsState(this.game, this)),
+      },
+      {
+        label: playState.exitState ? "Quit to Editor" : "Quit to Menu",
+        action: () => this.playState.quit(),
+      },
+    ];
+  }
+
+  update(dt) {}
+
+  itemsTop() {
+    return this.game.height / 2 - 30;
   }
 
-  renderHud(ctx) {
+  render(ctx) {
+    this.playState.render(ctx);
+
+    const { width, height } = this.game;
     ctx.save();
-    const hudCenterY = 28;
-    ctx.fillStyle = "#f4f6f8";
-    ctx.font = "14px 'Segoe UI', sans-serif";
+    ctx.fillStyle = "rgba(0,0,0,0.65)";
+    ctx.fillRect(0, 0, width, height);
+    ctx.fillStyle = "#ffffff";
+    ctx.textAlign = "center";
     ctx.textBaseline = "middle";
-    ctx.textAlign = "left";
-    ctx.fillText(`Score: ${this.score}`, 20, hudCenterY);
+    ctx.font = "48px 'Segoe UI', sans-serif";
+    ctx.shadowColor = "rgba(0,0,0,0.6)";
+    ctx.shadowBlur = 14;
+    ctx.fillText("PAUSED", width / 2, height / 2 - 110);
+    ctx.restore();
 
-    ctx.font = "12px 'Segoe UI', sans-serif";
-    ctx.textAlign = "left";
-    ctx.fillStyle = "#f4f6f8aa";
-    ctx.fillText("Arrows: move  |  Space: retract  |  M: mute", 20, hudCenterY + 18);
+    renderMenuItems(ctx, this.items.map((item) => item.label), this.selectedIndex, width / 2, this.itemsTop());
 
+    ctx.save();
     ctx.font = "14px 'Segoe UI', sans-serif";
-    ctx.textAlign = "right";
-    ctx.fillStyle = "#f4f6f8";
-    ctx.fillText(`Lives: ${this.lives}`, this.game.canvas.width - 20, hudCenterY);
+    ctx.textAlign = "center";
+    ctx.fillStyle = "#f4f6f8aa";
+    const { controls } = this.game;
+    ctx.fillText(
+      `${moveKeys(controls, "MoveUp", "MoveDown")}: choose  |  ${actionKeys(controls, "Confirm", { first: true })}: select  |  ${actionKeys(controls, "Pause")}: resume`,
+      width / 2,
+      height / 2 + 150
+    );
+    ctx.restore();
+  }
 
-    // Timer underneath Lives on the right
-    const time = Math.max(0, this.remainingTime);
-    const minutes = Math.floor(time / 60);
-    const seconds = Math.floor(time % 60)
-      .toString()
-      .padStart(2, "0");
-    const timeColor = time < 30 ? "#ff6868" : "#f4f6f8";
-    ctx.fillStyle = timeColor;
-    ctx.fillText(`Time: ${minutes}:${seconds}`, this.game.canvas.width - 20, hudCenterY + 18);
+  onKeyDown(event) {
+    if (event.is("Pause") || event.is("Back")) {
+      this.playState.resume();
+    } else if (event.is("MoveUp") || event.is("MoveDown")) {
+      const step = event.is("MoveUp") ? -1 : 1;
+      this.selectedIndex = (this.selectedIndex + step + this.items.length) % this.items.length;
+      soundManager.playMenuSelect();
+    } else if (event.is("Confirm")) {
+      soundManager.playMenuSelect();
+      this.items[this.selectedIndex].action();
+    } else if (event.is("Mute")) {
+      soundManager.toggleMute();
+    } else {
+      return;
+    }
+    event.preventDefault();
+  }
 
-    // Mute indicator underneath timer
-    if (soundManager.muted) {
-      ctx.fillStyle = "#ff6868";
-      ctx.fillText("🔇 MUTED", this.game.canvas.width - 20, hudCenterY + 36);
+  onTap(x, y) {
+    const index = menuItemAt(this.items.length, this.game.width / 2, this.itemsTop(), x, y);
+    if (index >= 0) {
+      this.selectedIndex = index;
+      soundManager.playMenuSelect();
+      this.items[index].action();
+    }
+  }
+}
+
+/**
+ * Game settings, opened from the pause menu or the home screen: volumes,
+ * sound, effects, controls and display. ←/→ move a volume slider or
+ * flip a switch. Returns to `returnState` when closed.
+ */
+class SettingsState {
+  constructor(game, returnState) {
+    this.game = game;
+    this.returnState = returnState;
+    this.selectedIndex = 0;
+    const onOff = (enabled) => (enabled ? "On" : "Off");
+    // Switches change on Enter or ←/→; volume rows only step with ←/→.
+    this.rows = [
+      { label: "Master Volume", volume: "master" },
+      { label: "Effects Volume", volume: "sfx" },
+      { label: "Drill Volume", volume: "drillLoop" },
+      { label: "Sound", value: () => onOff(!soundManager.muted), toggle: () => soundManager.toggleMute() },
+      {
+        label: "Reduced Effects",
+        value: () => onOff(playerSettings.reducedEffects),
+        toggle: () => playerSettings.setReducedEffects(!playerSettings.reducedEffects),
+      },
+      {
+        label: "Screen Shake",
+        value: () => onOff(playerSettings.screenShake),
+        toggle: () => playerSettings.setScreenShake(!playerSettings.screenShake),
+      },
+      { label: "Controls", open: () => this.game.setState(new ControlsState(this.game, this)) },
+      {
+        label: "Trigger",
+        value: () => (playerSettings.analogTrigger ? "Analog" : "Button"),
+        toggle: () => this.game.setAnalogTrigger(!playerSettings.analogTrigger),
+      },
+      {
+        label: "Fullscreen",
+        value: () => onOff(this.game.viewport.isFullscreen),
+        toggle: () => this.game.viewport.toggleFullscreen(),
+      },
+      {
+        label: "On-screen Pad",
+        value: () => onOff(playerSettings.touchPad),
+        toggle: () => playerSettings.setTouchPad(!playerSettings.touchPad),
+      },
+      { label: "Back", open: () => this.close() },
+    ];
+  }
+
+  close() {
+    this.game.setState(this.returnState);
+  }
+
+  update(dt) {}
+
+  rowsTop() {
+    return 150;
+  }
+
+  activate(row) {
+    if (row.toggle) {
+      row.toggle();
+    } else if (row.open) {
+      row.open();
+    }
+    soundManager.playMenuSelect();
+  }
+
+  adjust(row, step) {
+    if (row.volume) {
+      soundManager.stepVolume(row.volume, step);
+    } else if (row.toggle) {
+      row.toggle();
+    } else {
+      return;
+    }
+    soundManager.playMenuSelect();
+  }
+
+  render(ctx) {
+    this.returnState.render(ctx);
+
+    const { width, height } = this.game;
+    const x = width / 2;
+    ctx.save();
+    ctx.fillStyle = "rgba(0,0,0,0.8)";
+    ctx.fillRect(0, 0, width, height);
+    ctx.fillStyle = "#ffffff";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.font = "40px 'Segoe UI', sans-serif";
+    ctx.fillText("SETTINGS", x, 90);
+
+    ctx.font = "22px 'Segoe UI', sans-serif";
+    this.rows.forEach((row, index) => {
+      const y = this.rowsTop() + index * MENU_ITEM_SPACING;
+      const selected = index === this.selectedIndex;
+      if (selected) {
+        ctx.fillStyle = "rgba(244, 214, 124, 0.18)";
+        ctx.fillRect(
+          x - OPTION_ROW_HALF_WIDTH,
+          y - MENU_ITEM_SPACING / 2 + 4,
+          OPTION_ROW_HALF_WIDTH * 2,
+          MENU_ITEM_SPACING - 8
+        );
+      }
+      ctx.fillStyle = selected ? "#f4d67c" : "#f4f6f8";
+      if (row.open) {
+        ctx.textAlign = "center";
+        ctx.fillText(selected ? `▶  ${row.label}  ◀` : row.label, x, y);
+        return;
+      }
+      ctx.textAlign = "left";
+      ctx.fillText(row.label, x - OPTION_ROW_HALF_WIDTH + 20, y);
+      ctx.textAlign = "right";
+      if (row.volume) {
+        const volume = playerSettings.volumes[row.volume];
+        ctx.fillText(`${Math.round(volume * 100)}%`, x + OPTION_ROW_HALF_WIDTH - 20, y);
+        this.renderSlider(ctx, x + VOLUME_SLIDER_LEFT, y, volume, selected);
+      } else {
+        ctx.fillText(row.value(), x + OPTION_ROW_HALF_WIDTH - 20, y);
+      }
+    });
+
+    ctx.font = "14px 'Segoe UI', sans-serif";
+    ctx.textAlign = "center";
+    ctx.fillStyle = "#f4f6f8aa";
+    const { controls } = this.game;
+    ctx.fillText(
+      `${moveKeys(controls, "MoveUp", "MoveDown")}: choose  |  ${moveKeys(controls, "MoveLeft", "MoveRight")}: adjust  |  ${actionKeys(controls, "Confirm", { first: true })}: change  |  ${actionKeys(controls, "Back")}: back`,
+      x,
+      this.rowsTop() + this.rows.length * MENU_ITEM_SPACING + 10
+    );
+    ctx.restore();
+  }
+
+  renderSlider(ctx, left, y, volume, selected) {
+    ctx.fillStyle = "rgba(244, 246, 248, 0.2)";
+    ctx.fillRect(left, y - 3, VOLUME_SLIDER_WIDTH, 6);
+    ctx.fillStyle = selected ? "#f4d67c" : "#f4f6f8";
+    ctx.fillRect(left, y - 3, VOLUME_SLIDER_WIDTH * volume, 6);
+    ctx.beginPath();
+    ctx.arc(left + VOLUME_SLIDER_WIDTH * volume, y, 7, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  onKeyDown(event) {
+    if (event.is("Back")) {
+      this.close();
+    } else if (event.is("MoveUp") || event.is("MoveDown")) {
+      const step = event.is("MoveUp") ? -1 : 1;
+      this.selectedIndex = (this.selectedIndex + step + this.rows.length) % this.rows.length;
+      soundManager.playMenuSelect();
+    } else if (event.is("MoveLeft") || event.is("MoveRight")) {
+      this.adjust(this.rows[this.selectedIndex], event.is("MoveLeft") ? -1 : 1);
+    } else if (event.is("Confirm")) {
+      this.activate(this.rows[this.selectedIndex]);
+    } else if (event.is("Mute")) {
+      soundManager.toggleMute();
+    } else {
+      return;
+    }
+    event.preventDefault();
+  }
+
+  // Tapping a slider sets its volume to the tapped point.
+  onTap(x, y) {
+    const centerX = this.game.width / 2;
+    const index = menuItemAt(this.rows.length, centerX, this.rowsTop(), x, y, OPTION_ROW_HALF_WIDTH);
+    if (index < 0) {
+      return;
+    }
+    this.selectedIndex = index;
+    const row = this.rows[index];
+    if (row.volume) {
+      const fraction = (x - centerX - VOLUME_SLIDER_LEFT) / VOLUME_SLIDER_WIDTH;
+      if (fraction > -0.1 && fraction < 1.1) {
+        soundManager.setVolume(row.volume, Math.round(fraction / VOLUME_STEP) * VOLUME_STEP);
+        soundManager.playMenuSelect();
+      }
+    } else {
+      this.activate(row);
+    }
+  }
+}
+
+/**
+ * Keyboard bindings screen, opened from the menu or Settings. Pick an action
+ * and press the key to bind to it, or cycle the presets. The screen also
+ * answers to the arrow keys, Enter and Escape whatever they're bound to, so a
+ * bad binding can always be undone here.
+ */
+class ControlsState {
+  constructor(game, returnState) {
+    this.game = game;
+    this.returnState = returnState;
+    this.selectedIndex = 0;
+    // The action waiting for a key, if any.
+    this.listeningFor = null;
+    // Says which actions a rebind swapped onto other keys.
+    this.notice = "";
+    this.rows = [
+      ...INPUT_ACTIONS.map((action) => ({ action })),
+      { preset: true },
+      { back: true },
+    ];
+  }
+
+  close() {
+    this.game.setState(this.returnState);
+  }
+
+  update(dt) {}
+
+  rowsTop() {
+    return 150;
+  }
+
+  cyclePreset(step) {
+    const { controls } = this.game;
+    const index = CONTROL_PRESET_IDS.indexOf(controls.preset);
+    const count = CONTROL_PRESET_IDS.length;
+    // From custom bindings, stepping forward starts at the first preset.
+    const next = index === -1 ? (step > 0 ? 0 : count - 1) : (index + step + count) % count;
+    controls.applyPreset(CONTROL_PRESET_IDS[next]);
+    this.notice = "";
+    soundManager.playMenuSelect();
+  }
+
+  activate(row) {
+    if (row.action) {
+      this.listeningFor = row.action;
+      this.notice = "";
+    } else if (row.preset) {
+      this.cyclePreset(1);
+    } else {
+      this.close();
+    }
+    soundManager.playMenuSelect();
+  }
+
+  render(ctx) {
+    this.returnState.render(ctx);
+
+    const { width, height } = this.game;
+    const { controls } = this.game;
+    const x = width / 2;
+    ctx.save();
+    ctx.fillStyle = "rgba(0,0,0,0.8)";
+    ctx.fillRect(0, 0, width, height);
+    ctx.fillStyle = "#ffffff";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.font = "40px 'Segoe UI', sans-serif";
+    ctx.fillText("CONTROLS", x, 90);
+
+    ctx.font = "22px 'Segoe UI', sans-serif";
+    this.rows.forEach((row, index) => {
+      const y = this.rowsTop() + index * MENU_ITEM_SPACING;
+      const selected = index === this.selectedIndex;
+      if (selected) {
+        ctx.fillStyle = "rgba(244, 214, 124, 0.18)";
+        ctx.fillRect(
+          x - OPTION_ROW_HALF_WIDTH,
+          y - MENU_ITEM_SPACING / 2 + 4,
+          OPTION_ROW_HALF_WIDTH * 2,
+          MENU_ITEM_SPACING - 8
+        );
+      }
+      ctx.fillStyle = selected ? "#f4d67c" : "#f4f6f8";
+      if (row.action) {
+        const listening = this.listeningFor === row.action;
+        const keys = controls.keysFor(row.action).map(keyLabel).join("  /  ") || "—";
+        ctx.textAlign = "left";
+        ctx.fillText(ACTION_LABELS[row.action], x - OPTION_ROW_HALF_WIDTH + 20, y);
+        ctx.textAlign = "right";
+        ctx.fillText(listening ? "Press a key…" : keys, x + OPTION_ROW_HALF_WIDTH - 20, y);
+      } else {
+        ctx.textAlign = "center";
+        const preset = CONTROL_PRESETS[controls.preset];
+        const label = row.preset ? `Preset: ${preset ? preset.label : "Custom"}` : "Back";
+        ctx.fillText(selected ? `▶  ${label}  ◀` : label, x, y);
+      }
+    });
+
+    ctx.font = "14px 'Segoe UI', sans-serif";
+    ctx.textAlign = "center";
+    ctx.fillStyle = "#f4f6f8aa";
+    ctx.fillText(
+      this.listeningFor
+        ? "Press the new key  |  Esc: cancel"
+        : "↑/↓: choose  |  Enter: rebind  |  ←/→: preset  |  Esc: back",
+      x,
+      this.rowsTop() + this.rows.length * MENU_ITEM_SPACING + 10
+    );
+    if (this.notice) {
+      ctx.fillStyle = "#f4d67c";
+      ctx.fillText(this.notice, x, this.rowsTop() + this.rows.length * MENU_ITEM_SPACING + 32);
+    }
+    ctx.restore();
+  }
+
+  onKeyDown(event) {
+    if (this.listeningFor) {
+      // Only real keys can be bound; gamepad buttons arrive without a code.
+      if (!event.code) {
+        return;
+      }
+      if (event.code !== "Escape") {
+        const swaps = this.game.controls.bind(this.listeningFor, event.code);
+        this.notice = swaps
+          .map(({ action, code }) => `${ACTION_LABELS[action]} moved to ${keyLabel(code)}`)
+          .join("  |  ");
+      }
+      this.listeningFor = null;
+      soundManager.playMenuSelect();
+      event.preventDefault();
+      return;
+    }
+    const is = (action, code) => event.is(action) || event.code === code;
+    if (is("Back", "Escape")) {
+      this.close();
+    } else if (is("MoveUp", "ArrowUp") || is("MoveDown", "ArrowDown")) {
+      const step = is("MoveUp", "ArrowUp") ? -1 : 1;
+      this.selectedIndex = (this.selectedIndex + step + this.rows.length) % this.rows.length;
+      soundManager.playMenuSelect();
+    } else if (is("MoveLeft", "ArrowLeft") || is("MoveRight", "ArrowRight")) {
+      this.cyclePreset(is("MoveLeft", "ArrowLeft") ? -1 : 1);
+    } else if (is("Confirm", "Enter")) {
+      this.activate(this.rows[this.selectedIndex]);
+    } else {
+      return;
+    }
+    event.preventDefault();
+  }
+
+  onTap(x, y) {
+    const { width } = this.game;
+    const index = menuItemAt(this.rows.length, width / 2, this.rowsTop(), x, y, OPTION_ROW_HALF_WIDTH);
+    if (index >= 0) {
+      this.selectedIndex = index;
+      this.activate(this.rows[index]);
+    }
+  }
+}
+
+/**
+ * Arcade-style initials entry for a run that made the high-score table:
+ * ↑/↓ cycle the letter under the cursor, ←/→ move the cursor, typing a letter
+ * fills it in, and Enter saves the entry to the global `highScores` table.
+ */
+class InitialsEntry {
+  // Returns null when there's nothing to enter (no run, or no qualifying score).
+  static forRun(scoreEntry) {
+    if (!scoreEntry || !highScores.qualifies(scoreEntry.score)) {
+      return null;
+    }
+    return new InitialsEntry(scoreEntry);
+  }
+
+  constructor(scoreEntry) {
+    this.scoreEntry = scoreEntry;
+    this.letters = ["A", "A", "A"];
+    this.cursor = 0;
+    this.rank = null;
+  }
+
+  get active() {
+    return this.rank === null;
+  }
+
+  // Typed letters win over Move bindings, so WASD players can still spell.
+  onKeyDown(event) {
+    const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+    if (event.is("Confirm")) {
+      this.save();
+    } else if (event.key.length === 1 && alphabet.includes(event.key.toUpperCase())) {
+      this.letters[this.cursor] = event.key.toUpperCase();
+      this.cursor = Math.min(this.letters.length - 1, this.cursor + 1);
+    } else if (event.is("MoveUp") || event.is("MoveDown")) {
+      const step = event.is("MoveUp") ? 1 : -1;
+      const index = alphabet.indexOf(this.letters[this.cursor]);
+      this.letters[this.cursor] = alphabet[(index + step + alphabet.length) % alphabet.length];
+    } else if (event.is("MoveLeft") || event.key === "Backspace") {
+      this.cursor = Math.max(0, this.cursor - 1);
+    } else if (event.is("MoveRight")) {
+      this.cursor = Math.min(this.letters.length - 1, this.cursor + 1);
+    } else {
+      return;
+    }
+    event.preventDefault();
+  }
+
+  // Tapping a letter moves the cursor to it, tapping the letter under the
+  // cursor steps it forward, and tapping anywhere else saves. x and y are the
+  // position passed to render().
+  onTap(tapX, tapY, x, y) {
+    const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+    const index = this.letters.findIndex((letter, i) => {
+      const box = this.letterBox(i, x, y);
+      return tapX >= box.x && tapX <= box.x + box.width && tapY >= box.y && tapY <= box.y + box.height;
+    });
+    if (index < 0) {
+      this.save();
+      return;
+    }
+    if (index === this.cursor) {
+      const next = (alphabet.indexOf(this.letters[index]) + 1) % alphabet.length;
+      this.letters[index] = alphabet[next];
+    }
+    this.cursor = index;
+  }
+
+  save() {
+    this.rank = highScores.add({ ...this.scoreEntry, name: this.letters.join("") });
+    soundManager.playMenuSelect();
+  }
+
+  letterBox(index, x, y) {
+    const width = 48;
+    const gap = 12;
+    const left = x - (this.letters.length * width + (this.letters.length - 1) * gap) / 2;
+    return { x: left + index * (width + gap), y: y + 28, width, height: 58 };
+  }
+
+  // `controls` names the keys in the hint under the letters.
+  render(ctx, x, y, controls) {
+    ctx.save();
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.shadowBlur = 0;
+    ctx.fillStyle = "#f4d67c";
+    ctx.font = "24px 'Segoe UI', sans-serif";
+    ctx.fillText("NEW HIGH SCORE! Enter your initials", x, y);
+
+    ctx.font = "bold 36px 'Segoe UI', sans-serif";
+    this.letters.forEach((letter, index) => {
+      const box = this.letterBox(index, x, y);
+      const selected = index === this.cursor;
+      ctx.fillStyle = selected ? "rgba(244, 214, 124, 0.25)" : "rgba(255, 255, 255, 0.08)";
+      ctx.fillRect(box.x, box.y, box.width, box.height);
+      ctx.strokeStyle = selected ? "#f4d67c" : "rgba(255, 255, 255, 0.3)";
+      ctx.lineWidth = 2;
+      ctx.strokeRect(box.x, box.y, box.width, box.height);
+      ctx.fillStyle = selected ? "#f4d67c" : "#ffffff";
+      ctx.fillText(letter, box.x + box.width / 2, box.y + box.height / 2);
+    });
+
+    ctx.font = "14px 'Segoe UI', sans-serif";
+    ctx.fillStyle = "#f4f6f8aa";
+    ctx.fillText(
+      `Type or ${moveKeys(controls, "MoveUp", "MoveDown")} to pick letters  |  ${moveKeys(controls, "MoveLeft", "MoveRight")}: move  |  ${actionKeys(controls, "Confirm", { first: true })}: save`,
+      x,
+      y + 112
+    );
+    ctx.fillText("Tap a letter to change it, or tap elsewhere to save", x, y + 134);
+    ctx.restore();
+  }
+
+  renderResult(ctx, x, y) {
+    if (this.active || this.rank < 0) {
+      return;
+    }
+    ctx.save();
+    ctx.textAlign = "center";
+    ctx.shadowBlur = 0;
+    ctx.font = "18px 'Segoe UI', sans-serif";
+    ctx.fillStyle = "#f4d67c";
+    ctx.fillText(`${this.letters.join("")} saved at #${this.rank + 1} on the high score table`, x, y);
+    ctx.restore();
+  }
+}
+
+class GameOverState {
+  /**
+   * options.scoreEntry - { score, level, timeRemaining } for the leaderboard;
+   * players are asked for initials when it qualifies.
+   * options.timedOut - the clock running out ended the run.
+   */
+  constructor(game, finalScore, { exitState = null, replay = null, scoreEntry = null, timedOut = false } = {}) {
+    this.game = game;
+    this.finalScore = finalScore;
+    this.exitState = exitState;
+    this.replay = replay;
+    this.timedOut = timedOut;
+    this.initials = InitialsEntry.forRun(scoreEntry);
+    soundManager.playGameOver();
+  }
+
+  update(dt) {}
+
+  render(ctx) {
+    ctx.save();
+    ctx.fillStyle = "rgba(0,0,0,0.65)";
+    ctx.fillRect(0, 0, this.game.width, this.game.height);
+    ctx.fillStyle = "#ffffff";
+    ctx.textAlign = "center";
+    ctx.font = "54px 'Segoe UI', sans-serif";
+    ctx.shadowColor = "rgba(0,0,0,0.6)";
+    ctx.shadowBlur = 14;
+    ctx.fillText("GAME OVER", this.game.width / 2, this.game.height / 2 - 40);
+    if (this.timedOut) {
+      ctx.font = "22px 'Segoe UI', sans-serif";
+      ctx.fillStyle = "#ff6868";
+      ctx.fillText("Out of time", this.game.width / 2, this.game.height / 2 - 100);
+      ctx.fillStyle = "#ffffff";
+    }
+    ctx.font = "26px 'Segoe UI', sans-serif";
+    ctx.fillText(`Final Score: ${this.finalScore}`, this.game.width / 2, this.game.height / 2 + 10);
+    if (this.initials && this.initials.active) {
+      this.initials.render(ctx, this.game.width / 2, this.game.height / 2 + 60, this.game.controls);
+      ctx.restore();
+      return;
+    }
+    ctx.font = "20px 'Segoe UI', sans-serif";
+    const confirm = actionKeys(this.game.controls, "Confirm", { first: true });
+    ctx.fillText(
+      this.exitState ? `Press ${confirm} or tap to continue` : `Press ${confirm} or tap to return to menu`,
+      this.game.width / 2,
+      this.game.height / 2 + 50
+    );
+    if (this.replay) {
+      ctx.font = "16px 'Segoe UI', sans-serif";
+      ctx.fillStyle = "#f4f6f8aa";
+      ctx.fillText(
+        `${shortcutLabel(this.game.controls, "R")}: watch replay  |  ${shortcutLabel(this.game.controls, "X")}: copy replay JSON`,
+        this.game.width / 2,
+        this.game.height / 2 + 84
+      );
+    }
+    if (this.initials) {
+      this.initials.renderResult(ctx, this.game.width / 2, this.game.height / 2 + 124);
+    }
+    ctx.restore();
+  }
+
+  onKeyDown(event) {
+    if (this.initials && this.initials.active) {
+      this.initials.onKeyDown(event);
+      return;
+    }
+    if (event.is("Confirm")) {
+      soundManager.playMenuSelect();
+      this.game.setState(this.exitState || new MenuState(this.game));
+    } else if (event.isShortcut("R") && this.replay) {
+      soundManager.playMenuSelect();
+      this.game.setState(new ReplayState(this.game, this.replay, this));
+    } else if (event.isShortcut("X") && this.replay) {
+      copyJsonToClipboard("replay", this.replay);
+    } else if (event.is("Mute")) {
+      soundManager.toggleMute();
+    }
+  }
+
+  onTap(x, y) {
+    const { width, height } = this.game;
+    if (this.initials && this.initials.active) {
+      this.initials.onTap(x, y, width / 2, height / 2 + 60);
+      return;
+    }
+    soundManager.playMenuSelect();
+    this.game.setState(this.exitState || new MenuState(this.game));
+  }
+}
+
+class CampaignCompleteState {
+  constructor(
+    game,
+    finalScore,
+    livesRemaining,
+    { exitState = null, replay = null, scoreEntry = null } = {}
+  ) {
+    this.game = game;
+    this.finalScore = finalScore;
+    this.livesRemaining = livesRemaining;
+    this.exitState = exitState;
+    this.replay = replay;
+    this.initials = InitialsEntry.forRun(scoreEntry);
+  }
+
+  update(dt) {}
+
+  render(ctx) {
+    ctx.save();
+    ctx.fillStyle = "rgba(0,0,0,0.65)";
+    ctx.fillRect(0, 0, this.game.width, this.game.height);
+    ctx.fillStyle = "#f4d67c";
+    ctx.textAlign = "center";
+    ctx.font = "54px 'Segoe UI', sans-serif";
+    ctx.shadowColor = "rgba(0,0,0,0.6)";
+    ctx.shadowBlur = 14;
+    ctx.fillText("CAMPAIGN CLEARED!", this.game.width / 2, this.game.height / 2 - 60);
+    ctx.fillStyle = "#ffffff";
+    ctx.font = "26px 'Segoe UI', sans-serif";
+    ctx.fillText(`Final Score: ${this.finalScore}`, this.game.width / 2, this.game.height / 2);
+    ctx.font = "20px 'Segoe UI', sans-serif";
+    ctx.fillText(
+      `Lives remaining: ${this.livesRemaining}`,
+      this.game.width / 2,
+      this.game.height / 2 + 36
+    );
+    if (this.initials && this.initials.active) {
+      this.initials.render(ctx, this.game.width / 2, this.game.height / 2 + 86, this.game.controls);
+      ctx.restore();
+      return;
+    }
+    const confirm = actionKeys(this.game.controls, "Confirm", { first: true });
+    ctx.fillText(
+      this.exitState ? `Press ${confirm} or tap to continue` : `Press ${confirm} or tap to return to menu`,
+      this.game.width / 2,
+      this.game.height / 2 + 76
+    );
+    if (this.replay) {
+      ctx.font = "16px 'Segoe UI', sans-serif";
+      ctx.fillStyle = "#f4f6f8aa";
+      ctx.fillText(
+        `${shortcutLabel(this.game.controls, "R")}: watch replay  |  ${shortcutLabel(this.game.controls, "X")}: copy replay JSON`,
+        this.game.width / 2,
+        this.game.height / 2 + 110
+      );
+    }
+    if (this.initials) {
+      this.initials.renderResult(ctx, this.game.width / 2, this.game.height / 2 + 150);
+    }
+    ctx.restore();
+  }
+
+  onKeyDown(event) {
+    if (this.initials && this.initials.active) {
+      this.initials.onKeyDown(event);
+      return;
+    }
+    if (event.is("Confirm")) {
+      soundManager.playMenuSelect();
+      this.game.setState(this.exitState || new MenuState(this.game));
+    } else if (event.isShortcut("R") && this.replay) {
+      soundManager.playMenuSelect();
+      this.game.setState(new ReplayState(this.game, this.replay, this));
+    } else if (event.isShortcut("X") && this.replay) {
+      copyJsonToClipboard("replay", this.replay);
+    } else if (event.is("Mute")) {
+      soundManager.toggleMute();
+    }
+  }
+
+  onTap(x, y) {
+    const { width, height } = this.game;
+    if (this.initials && this.initials.active) {
+      this.initials.onTap(x, y, width / 2, height / 2 + 86);
+      return;
+    }
+    soundManager.playMenuSelect();
+    this.game.setState(this.exitState || new MenuState(this.game));
+  }
+}
+
+/**
+ * Plays a recorded run back through a fresh GameSession: same seed, same
+ * campaign, and the recorded drill inputs applied on their original ticks.
+ * Scrubbing backwards re-simulates silently from the start.
+ */
+class ReplayState {
+  constructor(game, replay, exitState = null) {
+    this.game = game;
+    this.replay = replay;
+    this.exitState = exitState;
+    this.paused = false;
+    this.speedIndex = 0;
+    this.renderer = new PlayRenderer(game);
+    this.restart();
+  }
+
+  restart() {
+    this.finished = false;
+    this.playback = new InputPlayback(this.replay.inputs);
+    this.session = new GameSession({
+      campaign: campaignFromDescriptor(this.replay.campaign),
+      seed: this.replay.seed,
+      difficulty: this.replay.difficulty,
+      record: false,
+      width: this.game.width,
+      height: this.game.height,
+      onRunEnd: () => {
+        this.finished = true;
+      },
+    });
+    soundManager.listenTo(this.session.events);
+  }
+
+  step() {
+    this.playback.applyDue(this.session);
+    this.session.update(FIXED_TIMESTEP);
+    if (this.session.tick >= this.replay.ticks) {
+      this.finished = true;
+    }
+  }
+
+  seekTo(targetTick) {
+    const target = Math.max(0, Math.min(this.replay.ticks, targetTick));
+    soundManager.runSilently(() => {
+      if (target < this.session.tick) {
+        this.restart();
+      }
+      while (!this.finished && this.session.tick < target) {
+        this.step();
+      }
+    });
+    soundManager.stopDrillExtend();
+  }
+
+  onFocusLost() {
+    this.paused = true;
+  }
+
+  update(dt) {
+    if (this.paused || this.finished) {
+      return;
+    }
+    const steps = REPLAY_SPEEDS[this.speedIndex];
+    for (let i = 0; i < steps && !this.finished; i += 1) {
+      this.step();
+    }
+    if (this.finished) {
+      soundManager.stopDrillExtend();
+    }
+  }
+
+  render(ctx) {
+    this.renderer.render(ctx, this.session);
+
+    const { width, height } = this.game;
+    const barHeight = 56;
+    const top = height - barHeight;
+    const progress = this.replay.ticks > 0 ? this.session.tick / this.replay.ticks : 1;
+    const formatTicks = (ticks) => {
+      const seconds = Math.floor(ticks * FIXED_TIMESTEP);
+      return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+    };
+    let status = `${REPLAY_SPEEDS[this.speedIndex]}x`;
+    if (this.finished) {
+      status = "FINISHED";
+    } else if (this.paused) {
+      status = "PAUSED";
+    }
+
+    ctx.save();
+    ctx.fillStyle = "rgba(8, 8, 12, 0.8)";
+    ctx.fillRect(0, top, width, barHeight);
+    ctx.fillStyle = "rgba(255,255,255,0.15)";
+    ctx.fillRect(20, top + 10, width - 40, 6);
+    ctx.fillStyle = "#f4d67c";
+    ctx.fillRect(20, top + 10, (width - 40) * Math.min(1, progress), 6);
+
+    ctx.font = "14px 'Segoe UI', sans-serif";
+    ctx.textBaseline = "middle";
+    ctx.textAlign = "left";
+    ctx.fillStyle = "#f4d67c";
+    ctx.fillText(`REPLAY  ${status}`, 20, top + 36);
+    ctx.textAlign = "center";
+    ctx.fillStyle = "#f4f6f8aa";
+    const { controls } = this.game;
+    const key = (name) => shortcutLabel(controls, name);
+    ctx.fillText(
+      `${actionKeys(controls, "Retract")}: pause  |  ${moveKeys(controls, "MoveLeft", "MoveRight")}: scrub  |  ${REPLAY_SPEEDS.map((speed) => key(String(speed))).join("/")}: speed  |  ${key("Home")}: restart  |  ${actionKeys(controls, "Back")}: exit`,
+      width / 2,
+      top + 36
+    );
+    ctx.textAlign = "right";
+    ctx.fillStyle = "#f4f6f8";
+    ctx.fillText(
+      `${formatTicks(this.session.tick)} / ${formatTicks(this.replay.ticks)}`,
+      width - 20,
+      top + 36
+    );
+    ctx.restore();
+  }
+
+  // Back is checked before Pause since Escape is bound to both by default.
+  onKeyDown(event) {
+    const scrubTicks = Math.round(REPLAY_SCRUB_SECONDS / FIXED_TIMESTEP);
+    if (event.is("Back") || event.is("Confirm")) {
+      soundManager.stopDrillExtend();
+      soundManager.playMenuSelect();
+      this.game.setState(this.exitState || new MenuState(this.game));
+    } else if (event.is("Pause") || event.is("Retract")) {
+      if (this.finished) {
+        this.seekTo(0);
+        this.paused = false;
+      } else {
+        this.paused = !this.paused;
+        soundManager.stopDrillExtend();
+      }
+    } else if (event.is("MoveLeft")) {
+      this.seekTo(this.session.tick - scrubTicks);
+    } else if (event.is("MoveRight")) {
+      this.seekTo(this.session.tick + scrubTicks);
+    } else if (event.isShortcut("Home")) {
+      this.seekTo(0);
+    } else if (REPLAY_SPEEDS.some((speed) => event.isShortcut(String(speed)))) {
+      this.speedIndex = REPLAY_SPEEDS.findIndex((speed) => event.isShortcut(String(speed)));
+    } else if (event.is("Mute")) {
+      soundManager.toggleMute();
+    } else {
+      return;
+    }
+    event.preventDefault();
+  }
+}
+
+// Letter keys the editor answers to besides its tool digits.
+const EDITOR_SHORTCUTS = ["X", "I", "N", "G", "R", "T", "O"];
+
+// How the editor names each level timeOut rule.
+const TIME_OUT_LABELS = {
+  suddenDeath: "sudden death",
+  refill: "refill",
+  gameOver: "game over",
+};
+
+const EDITOR_TOOLS = [
+  { key: "1", tile: "#", label: "Rock" },
+  { key: "2", tile: ".", label: "Tunnel" },
+  { key: "3", tile: "O", label: "Pellet" },
+  { key: "4", tile: "E", label: "Enemy spawn" },
+  { key: "5", tile: null, label: "Entry column" },
+  { key: "6", tile: "S", label: "Shield" },
+  { key: "7", tile: "T", label: "Clock" },
+  { key: "8", tile: "R", label: "Repair kit" },
+];
+
+/**
+ * Paints a level layout with the mouse on top of the live Level renderer,
+ * then play-tests it in a PlayState or round-trips it as level JSON.
+ */
+class EditorState {
+  constructor(game, definition = CAMPAIGN_LEVELS[0]) {
+    this.game = game;
+    this.toolIndex = 1;
+    this.painting = false;
+    this.paintTile = null;
+    this.hoverTile = null;
+    this.errorTile = null;
+    this.status = "";
+    this.statusIsError = false;
+    this.statusTimer = 0;
+    this.levelRenderer = new LevelRenderer();
+    this.loadDefinition(definition);
+  }
+
+  loadDefinition(definition) {
+    this.name = definition.name || "Untitled";
+    this.timeLimit = definition.timeLimit || DEFAULT_LEVEL_TIME_LIMIT;
+    this.timeOut = definition.timeOut || DEFAULT_TIME_OUT_RULE;
+    this.entryColumn = definition.entryColumn ?? null;
+    this.enemyLanes = definition.enemyLanes ? [...definition.enemyLanes] : null;
+    // Spawn schedules aren't editable here; they're kept so an imported
+    // level exports and play-tests with its schedule intact.
+    this.spawns = definition.spawns || null;
+    this.ramps = definition.ramps || null;
+    this.rows = definition.map.map((row) => row.split(""));
+    this.errorTile = null;
+    this.rebuildPreview();
+  }
+
+  toDefinition() {
+    const definition = { name: this.name, timeLimit: this.timeLimit, timeOut: this.timeOut };
+    if (this.entryColumn !== null) {
+      definition.entryColumn = this.entryColumn;
+    }
+    if (this.enemyLanes) {
+      definition.enemyLanes = [...this.enemyLanes];
+    }
+    if (this.spawns) {
+      definition.spawns = this.spawns;
+    }
+    if (this.ramps) {
+      definition.ramps = this.ramps;
+    }
+    definition.map = this.rows.map((row) => row.join(""));
+    return definition;
+  }
+
+  // The preview is built without validation so half-finished layouts still render.
+  rebuildPreview() {
+    this.level = new Level(this.game.width, this.game.height, this.toDefinition());
+  }
+
+  validate() {
+    try {
+      return parseLevelDefinition(this.toDefinition());
+    } catch (e) {
+      if (!(e instanceof LevelFormatError)) {
+        throw e;
+      }
+      this.errorTile = e.row === null ? null : { x: e.column, y: e.row };
+      this.showStatus(e.message, true);
+      return null;
+    }
+  }
+
+  showStatus(message, isError = false) {
+    this.status = message;
+    this.statusIsError = isError;
+    this.statusTimer = 6;
+  }
+
+  newLayout() {
+    const width = this.rows[0].length;
+    const height = this.rows.length;
+    const map = [];
+    for (let y = 0; y < height; y += 1) {
+      map.push((y === 1 ? "." : "#").repeat(width));
+    }
+    this.loadDefinition({ name: "Untitled", timeLimit: DEFAULT_LEVEL_TIME_LIMIT, map });
+    this.showStatus("Started a blank layout");
+  }
+
+  playTest() {
+    const definition = this.validate();
+    if (!definition) {
+      return;
+    }
+    soundManager.playMenuSelect();
+    this.painting = false;
+    this.game.setState(
+      new PlayState(this.game, new LevelCampaign([definition]), { exitState: this })
+    );
+  }
+
+  exportLayout() {
+    if (!this.validate()) {
+      return;
+    }
+    copyJsonToClipboard("level", this.toDefinition()).then((copied) => {
+      if (copied) {
+        this.showStatus("Level JSON copied to clipboard");
+      }
+    });
+  }
+
+  importText(text) {
+    try {
+      this.loadDefinition(parseLevelDefinition(text));
+      this.showStatus(`Imported "${this.name}"`);
+    } catch (e) {
+      if (!(e instanceof LevelFormatError)) {
+        throw e;
+      }
+      this.showStatus(`Import failed: ${e.message}`, true);
+    }
+  }
+
+  onFileDropped(file) {
+    return file.text().then((text) => this.importText(text));
+  }
+
+  setEntryColumn(tile) {
+    const entryRow = 1;
+    if (tile.y !== entryRow) {
+      this.showStatus("The entry column is picked on row 1", true);
+      return;
+    }
+    if (this.entryColumn === tile.x) {
+      this.entryColumn = null;
+      this.showStatus("Entry column reset to automatic");
+    } else if (this.rows[tile.y][tile.x] === "#") {
+      this.showStatus("The entry tile must be open tunnel", true);
+      return;
+    } else {
+      this.entryColumn = tile.x;
+      this.showStatus(`Entry column set to ${tile.x}`);
+    }
+    this.rebuildPreview();
+  }
+
+  paintAt(x, y) {
+    const tile = this.level.pixelToTile(x, y);
+    if (!tile || this.rows[tile.y][tile.x] === this.paintTile) {
+      return;
+    }
+    this.rows[tile.y][tile.x] = this.paintTile;
+    if (this.paintTile === "#" && tile.y === 1 && tile.x === this.entryColumn) {
+      this.entryColumn = null;
+    }
+    this.errorTile = null;
+    this.rebuildPreview();
+  }
+
+  toolRects() {
+    return EDITOR_TOOLS.map((tool, index) => ({
+      x: 20 + index * 115,
+      y: 56,
+      width: 107,
+      height: 34,
+    }));
+  }
+
+  onMouseDown(x, y, event) {
+    const toolIndex = this.toolRects().findIndex(
+      (rect) => x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height
+    );
+    if (toolIndex !== -1) {
+      this.toolIndex = toolIndex;
+      return;
     }
 
-    if (this.levelComplete) {
-      ctx.textAlign = "center";
-      ctx.font = "40px 'Segoe UI', sans-serif";
-      ctx.shadowColor = "rgba(0,0,0,0.5)";
-      ctx.shadowBlur = 12;
-      ctx.fillText(
-        "LEVEL COMPLETE!",
-        this.game.canvas.width / 2,
-        this.game.canvas.height * 0.15
-      );
+    const tool = EDITOR_TOOLS[this.toolIndex];
+    if (event.button === 0 && tool.tile === null) {
+      const tile = this.level.pixelToTile(x, y);
+      if (tile) {
+        this.setEntryColumn(tile);
+      }
+      return;
     }
-
-    ctx.restore();
+    this.paintTile = event.button === 2 ? "#" : tool.tile;
+    this.painting = true;
+    this.paintAt(x, y);
   }
 
-  createDrill() {
-    return new Drill(this.level, this.wellPosition, this.startTile, (tx, ty) => {
-      this.handlePelletCollected(tx, ty);
-    });
+  onMouseMove(x, y) {
+    this.hoverTile = this.level.pixelToTile(x, y);
+    if (this.painting) {
+      this.paintAt(x, y);
+    }
   }
 
-  resetDrillAndPipe() {
-    this.drill = this.createDrill();
+  onMouseUp() {
+    this.painting = false;
   }
 
-  resetEnemies() {
-    if (!this.enemies) {
+  onKeyDown(event) {
+    const toolIndex = EDITOR_TOOLS.findIndex((tool) => event.isShortcut(tool.key));
+    if (toolIndex !== -1) {
+      this.toolIndex = toolIndex;
       return;
     }
-    this.enemies.forEach((enemy) => enemy.reset());
-  }
 
-  handleEnemyInteractions() {
-    for (const enemy of this.enemies) {
-      if (!enemy.active) {
-        continue;
+    if (event.is("Confirm")) {
+      this.playTest();
+      event.preventDefault();
+      return;
+    }
+    if (event.is("Back")) {
+      soundManager.playMenuSelect();
+      this.game.setState(new MenuState(this.game));
+      event.preventDefault();
+      return;
+    }
+    if (event.is("Mute")) {
+      soundManager.toggleMute();
+      event.preventDefault();
+      return;
+    }
+
+    const shortcut = EDITOR_SHORTCUTS.find((name) => event.isShortcut(name));
+    switch (shortcut) {
+      case "X":
+        this.exportLayout();
+        break;
+      case "I": {
+        const text = window.prompt("Paste level JSON:");
+        if (text) {
+          this.importText(text);
+        }
+        break;
       }
-      if (this.drill.collidesWithHead(enemy.x, enemy.y, enemy.radius)) {
-        if (enemy.type === "02") {
-          soundManager.playPipeHit();
-          this.handleLifeLost();
-          return true;
+      case "N":
+        this.newLayout();
+        break;
+      case "G": {
+        const seed = Math.floor(Math.random() * 1000000);
+        // The generator has a minimum size, which imported levels can be under.
+        try {
+          this.loadDefinition(
+            generateTunnelMap({ width: this.rows[0].length, height: this.rows.length, seed })
+          );
+          this.showStatus(`Generated layout from seed ${seed}`);
+        } catch (e) {
+          if (!(e instanceof RangeError)) {
+            throw e;
+          }
+          this.showStatus(`Generate failed: ${e.message}`, true);
         }
-        this.score += 10;
-        soundManager.playEnemyDestroyed();
-        enemy.handleDestroyed();
-        continue;
+        break;
       }
-
-      if (this.enemyHitsPipe(enemy)) {
-        soundManager.playPipeHit();
-        this.handleLifeLost();
-        return true;
+      case "R": {
+        const name = window.prompt("Level name:", this.name);
+        if (name && name.trim()) {
+          this.name = name.trim();
+          this.rebuildPreview();
+        }
+        break;
       }
+      case "T": {
+        const seconds = Number(window.prompt("Time limit (seconds):", String(this.timeLimit)));
+        if (Number.isFinite(seconds) && seconds > 0) {
+          this.timeLimit = seconds;
+        }
+        break;
+      }
+      case "O": {
+        const index = TIME_OUT_RULES.indexOf(this.timeOut);
+        this.timeOut = TIME_OUT_RULES[(index + 1) % TIME_OUT_RULES.length];
+        this.showStatus(`Time out: ${TIME_OUT_LABELS[this.timeOut]}`);
+        break;
+      }
+      default:
+        return;
     }
-    return false;
+    event.preventDefault();
   }
 
-  enemyHitsPipe(enemy) {
-    const points = this.drill.pipePoints;
-    if (points.length < 2) {
-      return false;
-    }
-
-    const pipeRadius = 4;
-    const threshold = enemy.radius + pipeRadius;
-    for (let i = 0; i < points.length - 1; i += 1) {
-      const a = points[i];
-      const b = points[i + 1];
-      const dist = distancePointToSegment(enemy.x, enemy.y, a.x, a.y, b.x, b.y);
-      if (dist <= threshold) {
-        return true;
-      }
+  update(dt) {
+    this.level.update(dt);
+    if (this.statusTimer > 0) {
+      this.statusTimer = Math.max(0, this.statusTimer - dt);
     }
-    return false;
   }
 
-  handleLifeLost() {
-    if (this.lives <= 0) {
-      return;
-    }
-    soundManager.playLifeLost();
-    soundManager.stopDrillExtend();
-    this.lives -= 1;
-    if (this.lives <= 0) {
-      this.game.setState(new GameOverState(this.game, this.score));
-      return;
-    }
-    this.resetDrillAndPipe();
-    this.resetEnemies();
+  render(ctx) {
+    this.levelRenderer.render(ctx, this.level);
+    this.renderMarkers(ctx);
+    this.renderToolbar(ctx);
   }
 
-  renderWell(ctx) {
-    const well = this.wellPosition;
+  renderMarkers(ctx) {
+    const size = this.level.tileSize;
+    const tileRect = (tx, ty) => ({
+      x: this.level.offsetX + tx * size,
+      y: this.level.offsetY + ty * size,
+    });
+
     ctx.save();
-    ctx.translate(well.x, well.y);
-    const platformWidth = 60;
-    const platformHeight = 18;
-    const platformGrad = ctx.createLinearGradient(-platformWidth / 2, 0, platformWidth / 2, 0);
-    platformGrad.addColorStop(0, "#403f46");
-    platformGrad.addColorStop(1, "#9f9fab");
-    ctx.fillStyle = platformGrad;
-    ctx.fillRect(-platformWidth / 2, -platformHeight / 2, platformWidth, platformHeight);
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.font = "bold 14px 'Segoe UI', sans-serif";
+    this.rows.forEach((row, ty) => {
+      row.forEach((tile, tx) => {
+        if (tile !== "E") {
+          return;
+        }
+        const center = this.level.tileToPixelCenter(tx, ty);
+        ctx.fillStyle = "rgba(214, 64, 64, 0.75)";
+        ctx.beginPath();
+        ctx.arc(center.x, center.y, size * 0.3, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = "#fff";
+        ctx.fillText("E", center.x, center.y + 1);
+      });
+    });
 
-    ctx.strokeStyle = "#1e1f29";
+    // Entry tile: solid outline when pinned, dashed when picked automatically.
+    const entry = this.level.getEntryTile();
+    const entryRect = tileRect(entry.x, entry.y);
+    ctx.strokeStyle = "#f4d67c";
     ctx.lineWidth = 3;
-    ctx.strokeRect(-platformWidth / 2, -platformHeight / 2, platformWidth, platformHeight);
-
-    const mastHeight = this.level.tileSize * 0.9;
-    ctx.fillStyle = "#4c5563";
-    ctx.fillRect(-6, -mastHeight, 12, mastHeight);
-    ctx.fillRect(-2, -mastHeight * 1.2, 4, mastHeight * 0.3);
-
-    ctx.strokeStyle = "#1f2a33";
-    ctx.lineWidth = 2;
+    ctx.setLineDash(this.entryColumn === null ? [5, 4] : []);
+    ctx.strokeRect(entryRect.x + 2, entryRect.y + 2, size - 4, size - 4);
+    ctx.setLineDash([]);
+    ctx.fillStyle = "#f4d67c";
     ctx.beginPath();
-    ctx.moveTo(-platformWidth / 2, -platformHeight / 2);
-    ctx.lineTo(-platformWidth / 2 + 8, -platformHeight / 2 - 16);
-    ctx.lineTo(-platformWidth / 2 + 16, -platformHeight / 2);
-    ctx.moveTo(platformWidth / 2, -platformHeight / 2);
-    ctx.lineTo(platformWidth / 2 - 8, -platformHeight / 2 - 16);
-    ctx.lineTo(platformWidth / 2 - 16, -platformHeight / 2);
-    ctx.stroke();
+    ctx.moveTo(entryRect.x + size / 2 - 8, entryRect.y - 14);
+    ctx.lineTo(entryRect.x + size / 2 + 8, entryRect.y - 14);
+    ctx.lineTo(entryRect.x + size / 2, entryRect.y - 4);
+    ctx.closePath();
+    ctx.fill();
 
-    ctx.fillStyle = "#f0c169";
-    ctx.fillRect(-platformWidth / 2 - 6, -platformHeight / 2 - 10, platformWidth + 12, 8);
-    ctx.restore();
-  }
-}
+    if (this.errorTile) {
+      ctx.strokeStyle = "#ff5252";
+      ctx.lineWidth = 3;
+      const errorY = this.level.offsetY + this.errorTile.y * size;
+      if (this.errorTile.x === null) {
+        ctx.strokeRect(this.level.offsetX, errorY, this.level.width * size, size);
+      } else {
+        const rect = tileRect(this.errorTile.x, this.errorTile.y);
+        ctx.strokeRect(rect.x, rect.y, size, size);
+      }
+    }
 
-class GameOverState {
-  constructor(game, finalScore) {
-    this.game = game;
-    this.finalScore = finalScore;
-    soundManager.playGameOver();
+    if (this.hoverTile) {
+      const rect = tileRect(this.hoverTile.x, this.hoverTile.y);
+      ctx.strokeStyle = "rgba(255,255,255,0.7)";
+      ctx.lineWidth = 2;
+      ctx.strokeRect(rect.x + 1, rect.y + 1, size - 2, size - 2);
+    }
+    ctx.restore();
   }
 
-  update(dt) {}
+  renderToolbar(ctx) {
+    const { width } = this.game;
+    const panelHeight = Math.max(0, this.level.offsetY - 12);
 
-  render(ctx) {
     ctx.save();
-    ctx.fillStyle = "rgba(0,0,0,0.65)";
-    ctx.fillRect(0, 0, this.game.canvas.width, this.game.canvas.height);
-    ctx.fillStyle = "#ffffff";
+    ctx.fillStyle = "rgba(10, 10, 14, 0.82)";
+    ctx.fillRect(0, 0, width, panelHeight);
+
+    ctx.textBaseline = "middle";
+    ctx.textAlign = "left";
+    ctx.fillStyle = "#f4d67c";
+    ctx.font = "bold 20px 'Segoe UI', sans-serif";
+    ctx.fillText(`Level Editor — ${this.name}`, 20, 26);
+    ctx.textAlign = "right";
+    ctx.font = "14px 'Segoe UI', sans-serif";
+    ctx.fillStyle = "#f4f6f8";
+    ctx.fillText(
+      `${this.rows[0].length}×${this.rows.length}  |  Time limit: ${this.timeLimit}s (${TIME_OUT_LABELS[this.timeOut]})  |  Pellets: ${this.level.pelletCount}`,
+      width - 20,
+      26
+    );
+
     ctx.textAlign = "center";
-    ctx.font = "54px 'Segoe UI', sans-serif";
-    ctx.shadowColor = "rgba(0,0,0,0.6)";
-    ctx.shadowBlur = 14;
-    ctx.fillText("GAME OVER", this.game.canvas.width / 2, this.game.canvas.height / 2 - 40);
-    ctx.font = "26px 'Segoe UI', sans-serif";
-    ctx.fillText(`Final Score: ${this.finalScore}`, this.game.canvas.width / 2, this.game.canvas.height / 2 + 10);
-    ctx.font = "20px 'Segoe UI', sans-serif";
+    this.toolRects().forEach((rect, index) => {
+      const tool = EDITOR_TOOLS[index];
+      const selected = index === this.toolIndex;
+      ctx.fillStyle = selected ? "#f4d67c" : "rgba(255,255,255,0.08)";
+      ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+      ctx.fillStyle = selected ? "#1a120f" : "#f4f6f8";
+      ctx.fillText(`${tool.key}: ${tool.label}`, rect.x + rect.width / 2, rect.y + rect.height / 2);
+    });
+
+    ctx.textAlign = "left";
+    ctx.font = "12px 'Segoe UI', sans-serif";
+    ctx.fillStyle = "#f4f6f8aa";
+    const { controls } = this.game;
+    const key = (name) => shortcutLabel(controls, name);
     ctx.fillText(
-      "Press Enter to return to menu",
-      this.game.canvas.width / 2,
-      this.game.canvas.height / 2 + 50
+      `Click: paint  |  Right click: rock  |  ${actionKeys(controls, "Confirm", { first: true })}: play-test  |  ${key("X")}: export  |  ${key("I")}: import  |  ${key("N")}: new  |  ${key("G")}: generate  |  ${key("R")}: rename  |  ${key("T")}: time  |  ${key("O")}: time out  |  ${actionKeys(controls, "Back")}: menu`,
+      20,
+      110
     );
+
+    if (this.statusTimer > 0) {
+      ctx.font = "14px 'Segoe UI', sans-serif";
+      ctx.fillStyle = this.statusIsError ? "#ff8a80" : "#9be7a5";
+      ctx.fillText(this.status, 20, 138);
+    }
     ctx.restore();
   }
+}
 
-  onKeyDown(event) {
-    if (event.key === "Enter") {
-      soundManager.playMenuSelect();
-      this.game.setState(new MenuState(this.game));
-    } else if (event.key === "m" || event.key === "M") {
-      soundManager.toggleMute();
+
+const MENU_ITEM_SPACING = 44;
+const MENU_ITEM_HALF_WIDTH = 140;
+// Settings and Controls rows: a label on the left, its value on the right.
+const OPTION_ROW_HALF_WIDTH = 230;
+// Where a volume slider sits within its row, relative to the row's center.
+const VOLUME_SLIDER_LEFT = 20;
+const VOLUME_SLIDER_WIDTH = 130;
+
+// Draws a vertical list of menu labels centered on x, highlighting the
+// selected one.
+function renderMenuItems(ctx, labels, selectedIndex, x, top) {
+  const spacing = MENU_ITEM_SPACING;
+  ctx.save();
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.font = "24px 'Segoe UI', sans-serif";
+  labels.forEach((label, index) => {
+    const y = top + index * spacing;
+    if (index === selectedIndex) {
+      ctx.fillStyle = "rgba(244, 214, 124, 0.18)";
+      ctx.fillRect(x - MENU_ITEM_HALF_WIDTH, y - spacing / 2 + 4, MENU_ITEM_HALF_WIDTH * 2, spacing - 8);
+      ctx.fillStyle = "#f4d67c";
+      ctx.fillText(`▶  ${label}  ◀`, x, y);
+    } else {
+      ctx.fillStyle = "#f4f6f8";
+      ctx.fillText(label, x, y);
     }
+  });
+  ctx.restore();
+}
+
+// Index of the item drawn by renderMenuItems under the point, or -1.
+function menuItemAt(count, x, top, pointX, pointY, halfWidth = MENU_ITEM_HALF_WIDTH) {
+  const index = Math.round((pointY - top) / MENU_ITEM_SPACING);
+  if (index < 0 || index >= count || Math.abs(pointX - x) > halfWidth) {
+    return -1;
   }
+  return index;
 }
 
-function distancePointToSegment(px, py, ax, ay, bx, by) {
-  const abx = bx - ax;
-  const aby = by - ay;
-  const apx = px - ax;
-  const apy = py - ay;
-  const abLengthSq = abx * abx + aby * aby;
-  let t = 0;
-  if (abLengthSq > 0) {
-    t = (apx * abx + apy * aby) / abLengthSq;
-    t = Math.max(0, Math.min(1, t));
-  }
-  const closestX = ax + abx * t;
-  const closestY = ay + aby * t;
-  const dx = px - closestX;
-  const dy = py - closestY;
-  return Math.hypot(dx, dy);
+// Draws the leaderboard in a panel centered on x.
+function renderHighScoreTable(ctx, entries, x, top) {
+  const rowHeight = 22;
+  const panelWidth = 640;
+  const panelHeight = 72 + HIGH_SCORE_LIMIT * rowHeight;
+  const left = x - panelWidth / 2;
+  const columns = [
+    { label: "#", x: left + 36, align: "right", value: (entry, index) => `${index + 1}.` },
+    { label: "NAME", x: left + 56, align: "left", value: (entry) => entry.name },
+    { label: "SCORE", x: left + 240, align: "right", value: (entry) => String(entry.score) },
+    { label: "LEVEL", x: left + 310, align: "right", value: (entry) => String(entry.level) },
+    {
+      label: "TIME",
+      x: left + 390,
+      align: "right",
+      value: (entry) =>
+        `${Math.floor(entry.timeRemaining / 60)}:${String(entry.timeRemaining % 60).padStart(2, "0")}`,
+    },
+    {
+      label: "MODE",
+      x: left + 420,
+      align: "left",
+      value: (entry) => DIFFICULTY_PRESETS[entry.difficulty].label,
+    },
+    { label: "DATE", x: left + panelWidth - 24, align: "right", value: (entry) => entry.date },
+  ];
+
+  ctx.save();
+  ctx.shadowBlur = 0;
+  ctx.shadowOffsetY = 0;
+  ctx.fillStyle = "rgba(8, 8, 12, 0.78)";
+  ctx.fillRect(left, top, panelWidth, panelHeight);
+  ctx.strokeStyle = "rgba(244, 214, 124, 0.5)";
+  ctx.lineWidth = 2;
+  ctx.strokeRect(left, top, panelWidth, panelHeight);
+
+  ctx.textBaseline = "middle";
+  ctx.textAlign = "center";
+  ctx.fillStyle = "#f4d67c";
+  ctx.font = "bold 20px 'Segoe UI', sans-serif";
+  ctx.fillText("HIGH SCORES", x, top + 22);
+
+  ctx.font = "12px 'Segoe UI', sans-serif";
+  ctx.fillStyle = "#f4f6f8aa";
+  for (const column of columns) {
+    ctx.textAlign = column.align;
+    ctx.fillText(column.label, column.x, top + 48);
+  }
+
+  ctx.font = "16px 'Segoe UI', sans-serif";
+  entries.forEach((entry, index) => {
+    const y = top + 70 + index * rowHeight;
+    ctx.fillStyle = "#f4f6f8";
+    for (const column of columns) {
+      ctx.textAlign = column.align;
+      ctx.fillText(column.value(entry, index), column.x, y);
+    }
+  });
+  ctx.restore();
 }
 
 function addRoundedRectPath(path, x, y, width, height, radii) {
@@ -2568,17 +4399,103 @@ function addRoundedRectPath(path, x, y, width, height, radii) {
   path.closePath();
 }
 
+/**
+ * Fits the WORLD_WIDTH x WORLD_HEIGHT playfield to the canvas's container.
+ * The canvas is letterboxed to keep its aspect ratio, and its backing store
+ * is sized in device pixels so it stays sharp on high-DPI screens. Everything
+ * still draws in game units through the scale set by apply().
+ */
+class Viewport {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.container = canvas.parentElement;
+    this.resize();
+  }
+
+  resize() {
+    const scale = Math.min(
+      this.container.clientWidth / WORLD_WIDTH,
+      this.container.clientHeight / WORLD_HEIGHT
+    );
+    const cssWidth = Math.max(1, Math.floor(WORLD_WIDTH * scale));
+    const cssHeight = Math.max(1, Math.floor(WORLD_HEIGHT * scale));
+    const pixelRatio = window.devicePixelRatio || 1;
+    this.canvas.style.width = `${cssWidth}px`;
+    this.canvas.style.height = `${cssHeight}px`;
+    this.canvas.width = Math.round(cssWidth * pixelRatio);
+    this.canvas.height = Math.round(cssHeight * pixelRatio);
+  }
+
+  // Resizing the canvas resets its transform, so this runs every frame.
+  apply(ctx) {
+    ctx.setTransform(this.canvas.width / WORLD_WIDTH, 0, 0, this.canvas.height / WORLD_HEIGHT, 0, 0);
+  }
+
+  // Converts page coordinates (mouse or touch) to game units.
+  toWorld(clientX, clientY) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: ((clientX - rect.left) * WORLD_WIDTH) / rect.width,
+      y: ((clientY - rect.top) * WORLD_HEIGHT) / rect.height,
+    };
+  }
+
+  get isFullscreen() {
+    return Boolean(document.fullscreenElement);
+  }
+
+  // Needs a user gesture, so it's called straight from key and tap handlers.
+  toggleFullscreen() {
+    if (!this.container.requestFullscreen) {
+      return;
+    }
+    const request = this.isFullscreen ? document.exitFullscreen() : this.container.requestFullscreen();
+    request.catch((e) => console.warn("Could not toggle fullscreen:", e));
+  }
+}
+
 class Game {
-  constructor(canvas, ctx) {
+  /**
+   * options.gamepadSource - function returning the connected gamepads;
+   * defaults to navigator.getGamepads. Pass a stub to drive the game without
+   * hardware.
+   */
+  constructor(canvas, ctx, { gamepadSource = browserGamepads } = {}) {
     this.canvas = canvas;
     this.ctx = ctx;
+    this.viewport = new Viewport(canvas);
+    // Game units; states lay themselves out in these.
+    this.width = WORLD_WIDTH;
+    this.height = WORLD_HEIGHT;
+    this.controls = new KeyBindings(createBrowserStore(), { key: CONTROLS_STORAGE_KEY });
+    this.gamepad = new GamepadInput(gamepadSource, { analogRetract: playerSettings.analogTrigger });
+    // Set by the first touch; switches hints and shows the touch pause button.
+    this.touchActive = false;
+    // Where each finger went down and which state it went down on, so a
+    // finger lifted after a state change isn't read as a tap on the new one.
+    this.touchStarts = new Map();
     this.currentState = new MenuState(this);
   }
 
+  /**
+   * A state implements update(dt) and render(ctx). Every other hook is
+   * optional and only called when the state defines it:
+   * - onKeyDown(event) / onKeyUp(event) - see createInputEvent
+   * - onTap(x, y), onTouchStart(id, x, y), onTouchMove(id, x, y), onTouchEnd(id)
+   * - onMouseDown(x, y, event), onMouseMove(x, y), onMouseUp()
+   * - onRetractTrigger(value) - analog trigger pull, 0..1
+   * - onFocusLost() - the window lost focus or the tab was hidden
+   * - onFileDropped(file) - a file was dropped on the canvas
+   */
   setState(state) {
     this.currentState = state;
   }
 
+  setAnalogTrigger(enabled) {
+    this.gamepad.analogRetract = enabled;
+    playerSettings.setAnalogTrigger(enabled);
+  }
+
   update(dt) {
     if (this.currentState && typeof this.currentState.update === "function") {
       this.currentState.update(dt);
@@ -2586,9 +4503,10 @@ class Game {
   }
 
   render() {
+    this.viewport.apply(this.ctx);
     // Clear to a consistent background before drawing the active state.
     this.ctx.fillStyle = "#151515";
-    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    this.ctx.fillRect(0, 0, this.width, this.height);
 
     if (this.currentState && typeof this.currentState.render === "function") {
       this.currentState.render(this.ctx);
@@ -2597,14 +4515,155 @@ class Game {
 
   handleKeyDown(event) {
     if (this.currentState && typeof this.currentState.onKeyDown === "function") {
-      this.currentState.onKeyDown(event);
+      this.currentState.onKeyDown(this.toInputEvent(event));
     }
   }
 
   handleKeyUp(event) {
     if (this.currentState && typeof this.currentState.onKeyUp === "function") {
-      this.currentState.onKeyUp(event);
+      this.currentState.onKeyUp(this.toInputEvent(event));
+    }
+  }
+
+  toInputEvent(event) {
+    return createInputEvent({
+      key: event.key,
+      code: event.code,
+      actions: this.controls.actionsFor(event.code),
+      shiftKey: event.shiftKey,
+      preventDefault: () => event.preventDefault(),
+    });
+  }
+
+  // Called once per frame from the game loop.
+  pollGamepad() {
+    const state = this.currentState;
+    for (const event of this.gamepad.poll()) {
+      // One button can press several actions (Start confirms and pauses).
+      // Once one of them has changed state, the rest were meant for the old one.
+      if (event.type === "press" && this.currentState !== state) {
+        continue;
+      }
+      this.handleGamepadEvent(event);
+    }
+  }
+
+  // Buttons reach states as key events carrying their action; the analog
+  // trigger goes to onRetractTrigger.
+  handleGamepadEvent(event) {
+    const state = this.currentState;
+    if (!state) {
+      return;
+    }
+    const handler = { press: "onKeyDown", release: "onKeyUp", trigger: "onRetractTrigger" }[event.type];
+    if (typeof state[handler] !== "function") {
+      return;
+    }
+    if (event.type === "trigger") {
+      state.onRetractTrigger(event.value);
+    } else {
+      state[handler](createInputEvent({ actions: [event.action] }));
+    }
+  }
+
+  // The page lost focus or the tab was hidden.
+  handleFocusLost() {
+    if (this.currentState && typeof this.currentState.onFocusLost === "function") {
+      this.currentState.onFocusLost();
+    }
+  }
+
+  handleMouseDown(x, y, event) {
+    if (this.currentState && typeof this.currentState.onMouseDown === "function") {
+      this.currentState.onMouseDown(x, y, event);
+    }
+  }
+
+  handleMouseMove(x, y, event) {
+    if (this.currentState && typeof this.currentState.onMouseMove === "function") {
+      this.currentState.onMouseMove(x, y, event);
+    }
+  }
+
+  handleMouseUp(x, y, event) {
+    if (this.currentState && typeof this.currentState.onMouseUp === "function") {
+      this.currentState.onMouseUp(x, y, event);
+    }
+  }
+
+  handleTouchStart(id, x, y) {
+    this.touchActive = true;
+    this.touchStarts.set(id, { x, y, state: this.currentState, moved: false });
+    if (this.currentState && typeof this.currentState.onTouchStart === "function") {
+      this.currentState.onTouchStart(id, x, y);
+    }
+  }
+
+  handleTouchMove(id, x, y) {
+    const start = this.touchStarts.get(id);
+    if (start && Math.hypot(x - start.x, y - start.y) > TAP_SLOP) {
+      start.moved = true;
+    }
+    if (this.currentState && typeof this.currentState.onTouchMove === "function") {
+      this.currentState.onTouchMove(id, x, y);
+    }
+  }
+
+  // A touch that ends close to where it started, on the state it started on,
+  // is also delivered as a tap unless the browser cancelled it.
+  handleTouchEnd(id, x, y, cancelled = false) {
+    const start = this.touchStarts.get(id);
+    this.touchStarts.delete(id);
+    const state = this.currentState;
+    if (state && typeof state.onTouchEnd === "function") {
+      state.onTouchEnd(id, x, y);
+    }
+    const tapped = start && !start.moved && !cancelled && start.state === state;
+    if (tapped && typeof state.onTap === "function") {
+      state.onTap(x, y);
+    }
+  }
+
+  // Only states that define onFileDropped take drops, so a stray file can't
+  // throw away a run. Unexpected failures land on the menu as a notice.
+  handleFileDrop(file) {
+    const state = this.currentState;
+    if (!state || typeof state.onFileDropped !== "function") {
+      return Promise.resolve();
     }
+    return Promise.resolve()
+      .then(() => state.onFileDropped(file))
+      .catch((e) => {
+        soundManager.stopDrillExtend();
+        this.setState(new MenuState(this, `${file.name}: ${e.message}`));
+      });
+  }
+
+  // Plays a dropped .json file: replays start playback, anything else is
+  // loaded as a single level.
+  openFile(file) {
+    return file.text().then((text) => {
+      soundManager.stopDrillExtend();
+      let data = text;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        // Leave the text as-is so the level parser reports the syntax error.
+      }
+      try {
+        if (data && Array.isArray(data.inputs)) {
+          this.setState(new ReplayState(this, parseReplay(data)));
+        } else {
+          const definition = parseLevelDefinition(data);
+          this.setState(new PlayState(this, new LevelCampaign([definition])));
+        }
+      } catch (e) {
+        if (!(e instanceof LevelFormatError) && !(e instanceof ReplayFormatError)) {
+          throw e;
+        }
+        this.setState(new MenuState(this, `${file.name}: ${e.message}`));
+      }
+    });
   }
 }
 
@@ -2618,14 +4677,112 @@ window.addEventListener("keyup", (event) => {
   game.handleKeyUp(event);
 });
 
+window.addEventListener("blur", () => {
+  game.handleFocusLost();
+});
+
+document.addEventListener("visibilitychange", () => {
+  if (document.hidden) {
+    game.handleFocusLost();
+    // Start timing afresh on return so the time spent hidden isn't fed in as
+    // one long frame.
+    lastTime = null;
+    accumulator = 0;
+  }
+});
+
+window.addEventListener("resize", () => {
+  game.viewport.resize();
+});
+
+document.addEventListener("fullscreenchange", () => {
+  game.viewport.resize();
+});
+
+function toCanvasPoint(event) {
+  return game.viewport.toWorld(event.clientX, event.clientY);
+}
+
+canvas.addEventListener("mousedown", (event) => {
+  const point = toCanvasPoint(event);
+  game.handleMouseDown(point.x, point.y, event);
+});
+
+canvas.addEventListener("mousemove", (event) => {
+  const point = toCanvasPoint(event);
+  game.handleMouseMove(point.x, point.y, event);
+});
+
+window.addEventListener("mouseup", (event) => {
+  const point = toCanvasPoint(event);
+  game.handleMouseUp(point.x, point.y, event);
+});
+
+// Touches are handled here rather than left to the browser, which would
+// otherwise scroll, zoom, or fire emulated mouse events.
+function forEachCanvasTouch(event, handler) {
+  event.preventDefault();
+  for (const touch of event.changedTouches) {
+    const point = toCanvasPoint(touch);
+    handler(touch.identifier, point.x, point.y);
+  }
+}
+
+canvas.addEventListener(
+  "touchstart",
+  (event) => forEachCanvasTouch(event, (id, x, y) => game.handleTouchStart(id, x, y)),
+  { passive: false }
+);
+
+canvas.addEventListener(
+  "touchmove",
+  (event) => forEachCanvasTouch(event, (id, x, y) => game.handleTouchMove(id, x, y)),
+  { passive: false }
+);
+
+canvas.addEventListener(
+  "touchend",
+  (event) => forEachCanvasTouch(event, (id, x, y) => game.handleTouchEnd(id, x, y)),
+  { passive: false }
+);
+
+canvas.addEventListener(
+  "touchcancel",
+  (event) => forEachCanvasTouch(event, (id, x, y) => game.handleTouchEnd(id, x, y, true)),
+  { passive: false }
+);
+
+canvas.addEventListener("contextmenu", (event) => {
+  event.preventDefault();
+});
+
+canvas.addEventListener("dragover", (event) => {
+  event.preventDefault();
+});
+
+canvas.addEventListener("drop", (event) => {
+  event.preventDefault();
+  const file = event.dataTransfer.files[0];
+  if (file) {
+    game.handleFileDrop(file);
+  }
+});
+
 function gameLoop(timestamp) {
-  const dt = (timestamp - lastTime) / 1000;
+  const frameTime = lastTime === null ? 0 : (timestamp - lastTime) / 1000;
   lastTime = timestamp;
+  accumulator += Math.min(MAX_FRAME_TIME, Math.max(0, frameTime));
+
+  game.pollGamepad();
 
-  game.update(dt);
+  while (accumulator >= FIXED_TIMESTEP) {
+    game.update(FIXED_TIMESTEP);
+    accumulator -= FIXED_TIMESTEP;
+  }
   game.render();
 
   requestAnimationFrame(gameLoop);
 }
 
 requestAnimationFrame(gameLoop);
+
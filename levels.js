@@ -0,0 +1,97 @@
+/**
+ * Built-in campaign levels, played in order. Score and lives carry over
+ * between levels.
+ *
+ * Each entry follows the level format documented in the README and is
+ * validated by parseLevelDefinition() when the level loads, so layouts
+ * can be copied to and from standalone .json files unchanged.
+ */
+const CAMPAIGN_LEVELS = [
+  {
+    name: "Topsoil",
+    timeLimit: 150,
+    ramps: [{ below: 40, speed: 1.15 }],
+    map: [
+      "##############################",
+      "..O....E....O....E....O.......",
+      "###.#######.#########.########",
+      "..O..E....O...E....O..E.......",
+      "######.#########.#######.#####",
+      "..E....O....E....O....E.......",
+      "#####.########.#######.#######",
+      "....O....E....O....E....O.....",
+      "########.#########.###########",
+      "..O...E....O...E....O...E.....",
+      "####.########.#####.#####.####",
+      "....E....O....E....O....E.....",
+      "#######.#######.#######.######",
+      "..E....O....E....O....E.......",
+      "#####.######.#######.#########",
+      "....O....E....O....E....O.....",
+      "##############################",
+    ],
+  },
+  {
+    name: "Clay Seams",
+    timeLimit: 150,
+    ramps: [
+      { below: 60, speed: 1.15, respawn: 0.85 },
+      { below: 30, speed: 1.3, respawn: 0.7 },
+    ],
+    map: [
+      "##############################",
+      "...O.....E.....O.....E....O...",
+      "##.#######O#######.#######.###",
+      "..E...O.......E.##....O....E..",
+      "####O######.#######.#####.####",
+      "....E....O....E....O....E.....",
+      "#######.#####.########O#######",
+      "..O....E...##...O....E....O...",
+      "###.#####O########.######.####",
+      "...E....O....E....O....E..O...",
+      "######.#######.#######.#######",
+      "..O..E....O....E....O....E....",
+      "##.########O#######.#######.##",
+      "....E....O....##..E....O......",
+      "#########.#######O##########.#",
+      "..O....E....O....E....O....E..",
+      "##############################",
+    ],
+  },
+  {
+    name: "Bedrock",
+    timeLimit: 150,
+    ramps: [
+      { below: 75, speed: 1.15, respawn: 0.85 },
+      {
+        below: 40,
+        speed: 1.3,
+        respawn: 0.7,
+        spawns: [{ lane: 9, type: "03", side: "right" }],
+      },
+    ],
+    map: [
+      "##############################",
+      "..E...O......O.......O...E....",
+      "#.######.#####.########.#####.",
+      "#...O...E...##.O...E.......O..",
+      "####.#####.###.#####.####.####",
+      "..O....E....O...E....O...E....",
+      "#########.#####.######.#######",
+      "...E..O......##....O...E...O..",
+      "##.#####O####.#####.####O#####",
+      "..O...E....O.....E....O...E...",
+      "######.########.#######.######",
+      "....O...E...##...O....E....O..",
+      "###O####.###.#######.#####.###",
+      "..E...O....E....O.....E....O..",
+      "########.######O#######.######",
+      "...O...E....O.....E....O...E..",
+      "##############################",
+    ],
+  },
+];
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { CAMPAIGN_LEVELS };
+}
@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { CONTROL_PRESETS, INPUT_ACTIONS, KeyBindings, MemoryStore } = require("../core.js");
+
+test("starts on the arrow key preset", () => {
+  const controls = new KeyBindings(new MemoryStore());
+  assert.strictEqual(controls.preset, "arrows");
+  assert.deepStrictEqual(controls.actionsFor("ArrowUp"), ["MoveUp"]);
+  assert.deepStrictEqual(controls.actionsFor("Escape"), ["Pause", "Back"]);
+  assert.deepStrictEqual(controls.actionsFor("KeyW"), []);
+});
+
+test("letter presets keep the arrow keys as a second binding", () => {
+  const controls = new KeyBindings(new MemoryStore());
+  controls.applyPreset("ijkl");
+  assert.deepStrictEqual(controls.keysFor("MoveLeft"), ["KeyJ", "ArrowLeft"]);
+  assert.deepStrictEqual(controls.actionsFor("ArrowLeft"), ["MoveLeft"]);
+  assert.throws(() => controls.applyPreset("dvorak"), /Unknown control preset/);
+});
+
+test("binding a key another action uses swaps that action onto the old key", () => {
+  const controls = new KeyBindings(new MemoryStore());
+  assert.deepStrictEqual(controls.bind("Retract", "KeyM"), [{ action: "Mute", code: "Space" }]);
+  assert.deepStrictEqual(controls.keysFor("Retract"), ["KeyM"]);
+  assert.deepStrictEqual(controls.keysFor("Mute"), ["Space"]);
+  assert.strictEqual(controls.preset, "custom");
+  assert.deepStrictEqual(controls.bind("Retract", "ShiftLeft"), []);
+  assert.deepStrictEqual(controls.actionsFor("KeyM"), []);
+  assert.throws(() => controls.bind("Jump", "KeyJ"), /Unknown input action/);
+});
+
+test("a rebind never leaves an action without its key", () => {
+  const controls = new KeyBindings(new MemoryStore());
+  controls.bind("MoveUp", "Enter");
+  assert.deepStrictEqual(controls.keysFor("Confirm"), ["ArrowUp", "NumpadEnter"]);
+
+  // Escape is shared by Pause and Back, so both pick up the freed key.
+  controls.applyPreset("arrows");
+  const swaps = controls.bind("MoveDown", "Escape");
+  assert.deepStrictEqual(swaps, [
+    { action: "Pause", code: "ArrowDown" },
+    { action: "Back", code: "ArrowDown" },
+  ]);
+  assert.deepStrictEqual(controls.keysFor("Pause"), ["ArrowDown", "KeyP"]);
+  for (const action of INPUT_ACTIONS) {
+    assert.ok(controls.keysFor(action).length > 0, action);
+  }
+});
+
+test("persists bindings to the store and reloads them", () => {
+  const store = new MemoryStore();
+  const controls = new KeyBindings(store, { key: "controls" });
+  controls.applyPreset("wasd");
+  controls.bind("Retract", "ShiftLeft");
+
+  const reloaded = new KeyBindings(store, { key: "controls" });
+  assert.strictEqual(reloaded.preset, "custom");
+  assert.deepStrictEqual(reloaded.bindings, controls.bindings);
+});
+
+test("ignores corrupt data and fills in missing actions from the default preset", () => {
+  const store = new MemoryStore();
+  store.setItem("controls", "{not json");
+  assert.deepStrictEqual(new KeyBindings(store, { key: "controls" }).bindings, CONTROL_PRESETS.arrows.bindings);
+
+  store.setItem("controls", JSON.stringify({ preset: "bogus", bindings: { MoveUp: ["KeyW"], Retract: "Space" } }));
+  const controls = new KeyBindings(store, { key: "controls" });
+  assert.strictEqual(controls.preset, "arrows");
+  assert.deepStrictEqual(controls.keysFor("MoveUp"), ["KeyW"]);
+  assert.deepStrictEqual(controls.keysFor("Retract"), ["Space"]);
+  assert.deepStrictEqual(Object.keys(controls.bindings), INPUT_ACTIONS);
+});
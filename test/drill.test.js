@@ -0,0 +1,254 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  Drill,
+  FIXED_TIMESTEP,
+  Level,
+  WORLD_HEIGHT,
+  WORLD_WIDTH,
+  parseLevelDefinition,
+} = require("../core.js");
+
+// A shaft from the entry tile down into a corridor, with a pellet at the
+// junction.
+const JUNCTION_MAP = [
+  "#########",
+  "####.####",
+  "####.####",
+  "#...O...#",
+  "#########",
+];
+
+// A 2x2 room: going down, right and up leaves the entry tile to the left.
+const LOOP_MAP = [
+  "####",
+  "#..#",
+  "#O.#",
+  "####",
+];
+
+// A one-tile drop into a long corridor for retract timing.
+const CORRIDOR_MAP = [
+  "######################",
+  "#.####################",
+  "#...................O#",
+  "######################",
+];
+
+function makeDrill(map, entryColumn) {
+  const level = new Level(WORLD_WIDTH, WORLD_HEIGHT, parseLevelDefinition({ map, entryColumn }));
+  const collected = [];
+  const drill = new Drill(level, level.getWellPosition(), level.getEntryTile(), (x, y) => {
+    collected.push({ x, y });
+  });
+  return { level, drill, collected };
+}
+
+function headTile(drill) {
+  return drill.level.pixelToTile(drill.x, drill.y);
+}
+
+// Steps the drill until `done` returns true; fails if it takes too long.
+function stepUntil(drill, done, maxTicks = 600) {
+  for (let tick = 0; tick < maxTicks; tick += 1) {
+    if (done()) {
+      return tick;
+    }
+    drill.update(FIXED_TIMESTEP);
+  }
+  assert.fail(`condition not reached within ${maxTicks} ticks`);
+}
+
+function stepFor(drill, seconds) {
+  const ticks = Math.round(seconds / FIXED_TIMESTEP);
+  for (let tick = 0; tick < ticks; tick += 1) {
+    drill.update(FIXED_TIMESTEP);
+  }
+}
+
+// Steers the drill and steps until it has moved and come to rest on a tile
+// center with nowhere left to go.
+function drillTowards(drill, dx, dy) {
+  drill.setDirection(dx, dy);
+  stepUntil(drill, () => drill.destinationTile);
+  stepUntil(drill, () => !drill.destinationTile);
+}
+
+function tiles(points) {
+  return points.map(({ x, y }) => [x, y]);
+}
+
+test("starts docked and drops into the entry shaft", () => {
+  const { drill, level } = makeDrill(JUNCTION_MAP, 4);
+  assert.strictEqual(drill.isDocked, true);
+  assert.strictEqual(drill.pipePoints.length, 1);
+
+  drill.setDirection(0, 1);
+  stepFor(drill, 0.05);
+  assert.strictEqual(drill.isDocked, false);
+
+  stepUntil(drill, () => !drill.destinationTile);
+  assert.deepStrictEqual(headTile(drill), { x: 4, y: 3 });
+  assert.deepStrictEqual(tiles(drill.tileTrail).slice(-3), [
+    [4, 1],
+    [4, 2],
+    [4, 3],
+  ]);
+  // The pipe runs straight down from the well through every tile center and
+  // ends at the head.
+  const { pipePoints } = drill;
+  assert.deepStrictEqual(pipePoints[0], level.getWellPosition());
+  assert.deepStrictEqual(pipePoints[pipePoints.length - 1], { x: drill.x, y: drill.y });
+  assert.ok(pipePoints.every((point) => point.x === drill.x));
+  for (let row = 1; row <= 3; row += 1) {
+    assert.ok(pipePoints.some((point) => point.y === level.tileToPixelCenter(4, row).y));
+  }
+});
+
+test("collects a pellet once when the head enters its tile", () => {
+  const { drill, level, collected } = makeDrill(JUNCTION_MAP, 4);
+  drillTowards(drill, 0, 1);
+  stepFor(drill, 0.5);
+
+  assert.deepStrictEqual(collected, [{ x: 4, y: 3 }]);
+  assert.strictEqual(level.pelletCount, 0);
+  assert.strictEqual(level.getTile(4, 3), ".");
+});
+
+test("keeps moving in the held direction until blocked", () => {
+  const { drill } = makeDrill(JUNCTION_MAP, 4);
+  drillTowards(drill, 0, 1);
+  drillTowards(drill, 1, 0);
+
+  assert.deepStrictEqual(headTile(drill), { x: 7, y: 3 });
+  assert.deepStrictEqual(tiles(drill.tileTrail).slice(-3), [
+    [5, 3],
+    [6, 3],
+    [7, 3],
+  ]);
+});
+
+test("refuses to reverse back along the pipe", () => {
+  const { drill } = makeDrill(JUNCTION_MAP, 4);
+  drill.setDirection(0, 1);
+  stepUntil(drill, () => drill.destinationTile && drill.destinationTile.y === 2);
+
+  assert.strictEqual(drill.trySetDirection(0, -1), false);
+
+  // Pressing up mid-move only parks the drill on the next tile.
+  drill.setDirection(0, -1);
+  stepFor(drill, 1);
+  assert.deepStrictEqual(headTile(drill), { x: 4, y: 2 });
+  assert.strictEqual(drill.destinationTile, null);
+  assert.deepStrictEqual(tiles(drill.tileTrail).slice(-2), [
+    [4, 1],
+    [4, 2],
+  ]);
+});
+
+test("refuses to cross its own pipe", () => {
+  const { drill } = makeDrill(LOOP_MAP, 1);
+  drillTowards(drill, 0, 1);
+  drillTowards(drill, 1, 0);
+  drillTowards(drill, 0, -1);
+  assert.deepStrictEqual(headTile(drill), { x: 2, y: 1 });
+
+  // The entry tile to the left already carries pipe.
+  assert.strictEqual(drill.trySetDirection(-1, 0), false);
+  drill.setDirection(-1, 0);
+  stepFor(drill, 1);
+  assert.deepStrictEqual(headTile(drill), { x: 2, y: 1 });
+  assert.deepStrictEqual(tiles(drill.tileTrail).slice(-4), [
+    [1, 1],
+    [1, 2],
+    [2, 2],
+    [2, 1],
+  ]);
+});
+
+test("buffers a turn pressed before the junction and takes it on arrival", () => {
+  const { drill } = makeDrill(JUNCTION_MAP, 4);
+  drill.setDirection(0, 1);
+  stepUntil(drill, () => drill.destinationTile && drill.destinationTile.y === 3);
+
+  drill.setDirection(-1, 0);
+  assert.deepStrictEqual([drill.pendingDirX, drill.pendingDirY], [-1, 0]);
+
+  // The turn is taken on the tick the head reaches the junction center,
+  // without the drill ever coming to rest.
+  let stalled = false;
+  stepUntil(drill, () => {
+    stalled = stalled || !drill.destinationTile;
+    return drill.destinationTile && drill.destinationTile.x !== 4;
+  });
+  assert.strictEqual(stalled, false);
+  assert.deepStrictEqual(drill.destinationTile, { x: 3, y: 3 });
+  assert.deepStrictEqual([drill.pendingDirX, drill.pendingDirY], [0, 0]);
+
+  stepUntil(drill, () => !drill.destinationTile);
+  assert.deepStrictEqual(headTile(drill), { x: 1, y: 3 });
+});
+
+test("ignores steering while retracting", () => {
+  const { drill } = makeDrill(JUNCTION_MAP, 4);
+  drillTowards(drill, 0, 1);
+  drill.startRetract();
+  drill.setDirection(1, 0);
+
+  assert.strictEqual(drill.isRetracting, true);
+  assert.deepStrictEqual([drill.pendingDirX, drill.pendingDirY], [0, 0]);
+});
+
+test("retract is a no-op while docked", () => {
+  const { drill } = makeDrill(JUNCTION_MAP, 4);
+  drill.startRetract();
+  assert.strictEqual(drill.isRetracting, false);
+});
+
+test("retract accelerates the longer it is held and redocks", () => {
+  const { drill, level } = makeDrill(CORRIDOR_MAP, 1);
+  drillTowards(drill, 0, 1);
+  drillTowards(drill, 1, 0);
+  assert.deepStrictEqual(headTile(drill), { x: 20, y: 2 });
+
+  drill.startRetract();
+  let previous = { x: drill.x, y: drill.y };
+  const stepSizes = [];
+  const ticks = stepUntil(drill, () => {
+    stepSizes.push(Math.hypot(drill.x - previous.x, drill.y - previous.y));
+    previous = { x: drill.x, y: drill.y };
+    return !drill.isRetracting;
+  });
+  // Retracting starts at about twice the drill speed; after half a second of
+  // holding it eats a whole tile of pipe every tick.
+  const baseStep = drill.speed * 2 * FIXED_TIMESTEP;
+  assert.ok(Math.max(...stepSizes.slice(0, 4)) < baseStep * 1.1);
+  const boosted = stepSizes.slice(Math.round(0.55 / FIXED_TIMESTEP), -2);
+  assert.ok(boosted.length > 0);
+  assert.ok(boosted.every((size) => size === level.tileSize));
+  // At a constant speed the same retract would take over 1.5 seconds.
+  assert.ok(ticks * FIXED_TIMESTEP < 1.2);
+
+  assert.strictEqual(drill.isDocked, true);
+  assert.deepStrictEqual(drill.pipePoints, [level.getWellPosition()]);
+  assert.deepStrictEqual(drill.tileTrail, []);
+  assert.deepStrictEqual({ x: drill.x, y: drill.y }, level.getWellPosition());
+});
+
+test("a partial retract frees tiles for drilling again", () => {
+  const { drill } = makeDrill(CORRIDOR_MAP, 1);
+  drillTowards(drill, 0, 1);
+  drillTowards(drill, 1, 0);
+  const fullTrail = tiles(drill.tileTrail);
+
+  drill.startRetract();
+  stepFor(drill, 0.3);
+  drill.stopRetract();
+  stepFor(drill, 0.1);
+  assert.strictEqual(drill.isRetracting, false);
+  assert.ok(drill.tileTrail.length < fullTrail.length);
+  assert.deepStrictEqual(tiles(drill.tileTrail), fullTrail.slice(0, drill.tileTrail.length));
+
+  drillTowards(drill, 1, 0);
+  assert.deepStrictEqual(tiles(drill.tileTrail), fullTrail);
+});
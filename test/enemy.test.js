@@ -0,0 +1,243 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  DEATH_SEQUENCE_SECONDS,
+  Drill,
+  ENEMY_TYPES,
+  Enemy,
+  FIXED_TIMESTEP,
+  GET_READY_SECONDS,
+  GameSession,
+  Level,
+  LevelCampaign,
+  RESPAWN_GRACE_SECONDS,
+  SCORING,
+  SeededRandom,
+  WORLD_HEIGHT,
+  WORLD_WIDTH,
+  closestPointOnPath,
+  parseLevelDefinition,
+  runHeadless,
+} = require("../core.js");
+
+// Two lanes joined by a shaft in the middle, with a dead-end shaft hanging
+// off the lower lane.
+const SHAFT_MAP = [
+  "##########",
+  "..........",
+  "#####.####",
+  ".........O",
+  "##.#######",
+  "##.#######",
+  "##########",
+];
+
+function makeLevel(map, enemyLanes) {
+  const definition = parseLevelDefinition({ map, enemyLanes });
+  return new Level(WORLD_WIDTH, WORLD_HEIGHT, definition, new SeededRandom(7));
+}
+
+function makeEnemy(level, type, row = 1, direction = 1) {
+  const lane = level.getEnemyLanes().find(({ y }) => y === level.tileToPixelCenter(0, row).y);
+  const spawn = direction > 0 ? { x: lane.leftX, y: lane.y } : { x: lane.rightX, y: lane.y };
+  return new Enemy(level, spawn, direction, 80, WORLD_WIDTH, type, 0, new SeededRandom(3));
+}
+
+// Steps the enemy for `seconds`, calling `visit` after every tick.
+function run(enemy, seconds, visit = () => {}) {
+  const ticks = Math.round(seconds / FIXED_TIMESTEP);
+  for (let i = 0; i < ticks; i += 1) {
+    enemy.update(FIXED_TIMESTEP);
+    visit();
+  }
+}
+
+test("lane enemies slide straight along their row", () => {
+  const level = makeLevel(SHAFT_MAP, [1, 3]);
+  const enemy = makeEnemy(level, "02");
+  assert.strictEqual(enemy.movement, "lane");
+
+  const startY = enemy.y;
+  let lastX = enemy.x;
+  run(enemy, 3, () => {
+    if (enemy.active) {
+      assert.strictEqual(enemy.y, startY);
+      assert.ok(enemy.x > lastX);
+      lastX = enemy.x;
+    }
+  });
+});
+
+test("tunnel walkers stay on open tiles while inside the level", () => {
+  const level = makeLevel(SHAFT_MAP, [1, 3]);
+  for (let seed = 1; seed <= 10; seed += 1) {
+    const enemy = makeEnemy(level, "01", seed % 2 ? 1 : 3, seed % 3 ? 1 : -1);
+    enemy.rng = new SeededRandom(seed);
+    assert.strictEqual(enemy.movement, "tunnel");
+    run(enemy, 30, () => {
+      if (enemy.active && enemy.phase === "walking") {
+        const tile = level.pixelToTile(enemy.x, enemy.y);
+        assert.ok(tile, "walker left the grid");
+        const where = `${tile.x},${tile.y}`;
+        assert.ok(level.isTunnelTile(level.getTile(tile.x, tile.y)), `walker in rock at ${where}`);
+        // Walkers stay on the tile grid lines, never cutting corners.
+        const center = level.tileToPixelCenter(tile.x, tile.y);
+        assert.ok(enemy.x === center.x || enemy.y === center.y);
+      }
+    });
+  }
+});
+
+test("tunnel walkers take vertical shafts at junctions", () => {
+  const level = makeLevel(SHAFT_MAP, [1, 3]);
+  const rows = new Set();
+  for (let seed = 1; seed <= 10; seed += 1) {
+    const enemy = seed % 2 ? makeEnemy(level, "01") : makeEnemy(level, "01", 3, -1);
+    enemy.rng = new SeededRandom(seed);
+    run(enemy, 20, () => {
+      if (enemy.active && enemy.phase === "walking") {
+        rows.add(level.pixelToTile(enemy.x, enemy.y).y);
+      }
+    });
+  }
+  // Walkers crossed between the lanes and explored the dead-end shaft.
+  assert.ok(rows.has(2));
+  assert.ok(rows.has(5));
+});
+
+test("tunnel walkers leave through a lane end and respawn", () => {
+  const level = makeLevel(SHAFT_MAP, [1, 3]);
+  const enemy = makeEnemy(level, "01");
+  let exited = false;
+  let respawned = false;
+  run(enemy, 60, () => {
+    if (enemy.phase === "exiting") {
+      exited = true;
+      const tile = level.pixelToTile(enemy.x, enemy.y);
+      // Exits slide outward from the lane's first or last tile.
+      assert.ok(!tile || tile.x === 0 || tile.x === level.width - 1);
+    }
+    if (exited && !enemy.active) {
+      respawned = true;
+    }
+  });
+  assert.ok(exited);
+  assert.ok(respawned);
+});
+
+test("a boxed-in lane end sends the walker straight out", () => {
+  const level = makeLevel(["#####", ".#..O", "#####"], [1]);
+  const enemy = makeEnemy(level, "01");
+  run(enemy, 1.5);
+  assert.strictEqual(enemy.phase, "exiting");
+  assert.strictEqual(enemy.direction, 1);
+});
+
+test("every enemy type has a complete registry entry", () => {
+  for (const [type, archetype] of Object.entries(ENEMY_TYPES)) {
+    for (const field of ["speed", "respawnDelay", "destroyedDelay"]) {
+      const [min, max] = archetype[field];
+      assert.ok(min > 0 && min <= max, `${type}.${field}`);
+    }
+    assert.ok(["lane", "tunnel", "homing"].includes(archetype.movement), `${type}.movement`);
+    assert.strictEqual(typeof archetype.vulnerable, "boolean");
+    assert.strictEqual(typeof archetype.harmsPipe, "boolean");
+    assert.ok(SCORING.enemies[type] >= 0 && archetype.radius > 0 && archetype.sprite);
+  }
+  const level = makeLevel(SHAFT_MAP, [1, 3]);
+  assert.throws(() => makeEnemy(level, "99"), /Unknown enemy type "99"/);
+});
+
+test("mines home in on the closest point of the pipe", () => {
+  const level = new Level(
+    WORLD_WIDTH,
+    WORLD_HEIGHT,
+    parseLevelDefinition({ map: SHAFT_MAP, entryColumn: 5, enemyLanes: [1, 3] })
+  );
+  const mine = makeEnemy(level, "03", 3);
+  const drill = new Drill(level, level.getWellPosition(), level.getEntryTile(), null);
+  drill.setDirection(0, 1);
+  run(drill, 1);
+  assert.ok(drill.pipePoints.length >= 2);
+
+  const distance = () => {
+    const point = closestPointOnPath(drill.pipePoints, mine.x, mine.y);
+    return Math.hypot(point.x - mine.x, point.y - mine.y);
+  };
+  const start = distance();
+  for (let i = 0; i < 60; i += 1) {
+    mine.update(FIXED_TIMESTEP, drill);
+  }
+  assert.ok(distance() < start - 20);
+});
+
+test("a mine that loses the pipe mid-approach returns to its lane", () => {
+  const level = new Level(
+    WORLD_WIDTH,
+    WORLD_HEIGHT,
+    parseLevelDefinition({ map: SHAFT_MAP, entryColumn: 5, enemyLanes: [1, 3] })
+  );
+  const mine = makeEnemy(level, "03", 3);
+  const lane = mine.spawnPoint.y;
+  // A short dig, so the pipe stops above the mine's lane and draws it up.
+  const drill = new Drill(level, level.getWellPosition(), level.getEntryTile(), null);
+  drill.setDirection(0, 1);
+  run(drill, 0.25);
+  for (let i = 0; i < 90; i += 1) {
+    mine.update(FIXED_TIMESTEP, drill);
+  }
+  assert.ok(mine.y < lane - 10);
+
+  // The drill pulls its pipe back in; the mine climbs back before drifting on.
+  drill.startRetract();
+  run(drill, 3);
+  assert.ok(drill.pipePoints.length < 2);
+  const x = mine.x;
+  for (let i = 0; i < 60 && mine.y !== lane; i += 1) {
+    mine.update(FIXED_TIMESTEP, drill);
+    assert.strictEqual(mine.x, x);
+  }
+  assert.strictEqual(mine.y, lane);
+  for (let i = 0; i < 30; i += 1) {
+    mine.update(FIXED_TIMESTEP, drill);
+  }
+  assert.strictEqual(mine.y, lane);
+  assert.notStrictEqual(mine.x, x);
+});
+
+test("enemy archetypes decide what the drill head and pipe contact do", () => {
+  const level = { map: SHAFT_MAP, entryColumn: 5, enemyLanes: [] };
+  const session = new GameSession({ campaign: new LevelCampaign([level]), seed: 2 });
+  const center = session.level.tileToPixelCenter(5, 1);
+  const place = (type, at) => {
+    const enemy = new Enemy(session.level, at, 1, 50, WORLD_WIDTH, type, 0, new SeededRandom(1));
+    enemy.x = at.x;
+    enemy.y = at.y;
+    session.enemies = [enemy];
+    return enemy;
+  };
+  session.applyInput({ action: "setDirection", dx: 0, dy: 1 });
+  runHeadless(session, { ticks: 90 });
+  const head = { x: session.drill.x, y: session.drill.y };
+
+  place("04", head);
+  session.handleEnemyInteractions();
+  assert.strictEqual(session.score, SCORING.enemies["04"]);
+
+  // A beetle brushing the pipe is harmless; a spider there costs a life.
+  place("04", center);
+  session.handleEnemyInteractions();
+  assert.strictEqual(session.lives, 3);
+  place("01", center);
+  session.handleEnemyInteractions();
+  assert.strictEqual(session.lives, 2);
+
+  // Wait out the death sequence, the countdown and the respawn grace.
+  const respawnSeconds = DEATH_SEQUENCE_SECONDS + GET_READY_SECONDS + RESPAWN_GRACE_SECONDS;
+  runHeadless(session, { ticks: Math.ceil(respawnSeconds / FIXED_TIMESTEP) + 1 });
+  session.applyInput({ action: "setDirection", dx: 0, dy: 1 });
+  runHeadless(session, { ticks: 90 });
+  place("02", { x: session.drill.x, y: session.drill.y });
+  session.handleEnemyInteractions();
+  assert.strictEqual(session.lives, 1);
+});
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  GAME_EVENT_TYPES,
+  GameEvents,
+  SCORING,
+  runHeadless,
+} = require("../core.js");
+const { makeShaftSession, spiderInShaft } = require("./helpers.js");
+
+// Records every event a session emits as [type, payload].
+function recordEvents(session) {
+  const log = [];
+  for (const type of GAME_EVENT_TYPES) {
+    session.events.on(type, (payload) => log.push([type, payload]));
+  }
+  return log;
+}
+
+test("delivers events to listeners until they unsubscribe", () => {
+  const events = new GameEvents();
+  const seen = [];
+  const stop = events.on("timeWarning", ({ secondsLeft }) => seen.push(secondsLeft));
+  events.emit("timeWarning", { secondsLeft: 29 });
+  stop();
+  events.emit("timeWarning", { secondsLeft: 28 });
+  assert.deepStrictEqual(seen, [29]);
+});
+
+test("rejects event types it doesn't know", () => {
+  const events = new GameEvents();
+  assert.throws(() => events.on("coinCollected", () => {}), /Unknown game event "coinCollected"/);
+  assert.throws(() => events.emit("coinCollected"), /Unknown game event/);
+});
+
+test("a session reports the pellet, the level and the end of the run", () => {
+  const session = makeShaftSession();
+  const log = recordEvents(session);
+  session.applyInput({ action: "setDirection", dx: 0, dy: 1 });
+  runHeadless(session, { ticks: 400 });
+
+  // One drillMoving for each step down the shaft.
+  const moves = log.filter(([type]) => type === "drillMoving");
+  assert.strictEqual(moves.length, 3);
+  assert.ok(moves.every(([, payload]) => payload.dx === 0 && payload.dy === 1));
+  // The clock stops once the level is cleared.
+  const timeBonus = Math.floor(session.remainingTime) * SCORING.timeBonusPerSecond;
+  assert.deepStrictEqual(log.slice(moves.length), [
+    ["pelletCollected", { tileX: 2, tileY: 4, score: 65 }],
+    ["levelComplete", { levelIndex: 0, bonus: 1000, timeBonus }],
+    ["runEnded", { outcome: "campaignComplete" }],
+  ]);
+});
+
+test("a pipe hit is followed by the lost life, and a repair kit destroys the enemy instead", () => {
+  const session = makeShaftSession();
+  session.applyInput({ action: "setDirection", dx: 0, dy: 1 });
+  runHeadless(session, { ticks: 30 });
+  const log = recordEvents(session);
+
+  session.repairKits = 1;
+  session.enemies = [spiderInShaft(session, 1)];
+  session.handleEnemyInteractions();
+  const enemy = spiderInShaft(session, 1);
+  session.enemies = [enemy];
+  session.handleEnemyInteractions();
+
+  assert.deepStrictEqual(
+    log.map(([type]) => type),
+    ["enemyDestroyed", "pipeHit", "lifeLost"]
+  );
+  assert.strictEqual(log[0][1].cause, "repairKit");
+  assert.deepStrictEqual(log[1][1], { type: "01", x: enemy.x, y: enemy.y });
+  assert.deepStrictEqual(log[2][1], { livesLeft: 2 });
+});
@@ -0,0 +1,120 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  GAMEPAD_BUTTONS,
+  GameSession,
+  GamepadInput,
+  LevelCampaign,
+  runHeadless,
+} = require("../core.js");
+
+// A stand-in for the browser's Gamepad: every button released, stick centered.
+function makePad() {
+  return {
+    connected: true,
+    axes: [0, 0, 0, 0],
+    buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 })),
+  };
+}
+
+function press(pad, index, value = 1) {
+  pad.buttons[index] = { pressed: value > 0.5, value };
+}
+
+test("reports presses and releases once per change", () => {
+  const pad = makePad();
+  const input = new GamepadInput(() => [null, pad]);
+  assert.deepStrictEqual(input.poll(), []);
+
+  press(pad, GAMEPAD_BUTTONS.A);
+  assert.deepStrictEqual(input.poll(), [
+    { type: "press", action: "Retract" },
+    { type: "press", action: "Confirm" },
+  ]);
+  assert.deepStrictEqual(input.poll(), []);
+
+  press(pad, GAMEPAD_BUTTONS.A, 0);
+  press(pad, GAMEPAD_BUTTONS.START);
+  assert.deepStrictEqual(input.poll(), [
+    { type: "press", action: "Pause" },
+    { type: "release", action: "Retract" },
+  ]);
+});
+
+test("the left stick steers along its dominant axis past the dead zone", () => {
+  const pad = makePad();
+  const input = new GamepadInput(() => [pad]);
+  pad.axes = [0.3, 0.2];
+  assert.deepStrictEqual(input.poll(), []);
+
+  pad.axes = [0.4, 0.9];
+  assert.deepStrictEqual(input.poll(), [{ type: "press", action: "MoveDown" }]);
+
+  pad.axes = [-0.8, 0.1];
+  assert.deepStrictEqual(input.poll(), [
+    { type: "press", action: "MoveLeft" },
+    { type: "release", action: "MoveDown" },
+  ]);
+});
+
+test("button bindings can be overridden per action", () => {
+  const pad = makePad();
+  const input = new GamepadInput(() => [pad], { bindings: { buttons: { Retract: [GAMEPAD_BUTTONS.RB] } } });
+  press(pad, GAMEPAD_BUTTONS.A);
+  assert.deepStrictEqual(input.poll(), [{ type: "press", action: "Confirm" }]);
+  press(pad, GAMEPAD_BUTTONS.RB);
+  assert.deepStrictEqual(input.poll(), [{ type: "press", action: "Retract" }]);
+});
+
+test("the trigger reports stepped analog values, or acts as a button when analog is off", () => {
+  const pad = makePad();
+  const analog = new GamepadInput(() => [pad]);
+  press(pad, GAMEPAD_BUTTONS.RT, 0.42);
+  assert.deepStrictEqual(analog.poll(), [{ type: "trigger", value: 0.4 }]);
+  press(pad, GAMEPAD_BUTTONS.RT, 0.41);
+  assert.deepStrictEqual(analog.poll(), []);
+  press(pad, GAMEPAD_BUTTONS.RT, 0.01);
+  assert.deepStrictEqual(analog.poll(), [{ type: "trigger", value: 0 }]);
+
+  const digital = new GamepadInput(() => [pad], { analogRetract: false });
+  press(pad, GAMEPAD_BUTTONS.RT, 0.9);
+  assert.deepStrictEqual(digital.poll(), [{ type: "press", action: "Retract" }]);
+});
+
+test("a throttled retract runs at the trigger's speed instead of ramping up", () => {
+  // The pellet sits off to the side so the run along the corridor doesn't
+  // finish the level.
+  const level = {
+    name: "Corridor",
+    timeLimit: 60,
+    entryColumn: 1,
+    enemyLanes: [],
+    map: [
+      "######################",
+      "#.####################",
+      "#....................#",
+      "##########O###########",
+      "######################",
+    ],
+  };
+  const retractAfter = (throttle, seconds) => {
+    const session = new GameSession({ campaign: new LevelCampaign([level]), seed: 1 });
+    session.applyInput({ action: "setDirection", dx: 0, dy: 1 });
+    runHeadless(session, { ticks: 30 });
+    session.applyInput({ action: "setDirection", dx: 1, dy: 0 });
+    runHeadless(session, { ticks: 240 });
+    const start = session.drill.tileTrail.length;
+    session.applyInput({ action: "setRetractThrottle", amount: throttle });
+    session.applyInput({ action: "startRetract" });
+    runHeadless(session, { ticks: Math.round(seconds * 60) });
+    return start - session.drill.tileTrail.length;
+  };
+
+  // Held for a quarter second, the ramp has barely started; a fully pulled
+  // trigger is at top speed straight away, and a light one stays slow.
+  const ramp = retractAfter(null, 0.25);
+  const full = retractAfter(1, 0.25);
+  const light = retractAfter(0.1, 0.25);
+  assert.ok(full > ramp * 2, `full ${full} vs ramp ${ramp}`);
+  assert.ok(light <= ramp, `light ${light} vs ramp ${ramp}`);
+});
@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  GeneratedCampaign,
+  dailySeed,
+  findDefaultEntryColumn,
+  findReachableTiles,
+  generateTunnelMap,
+} = require("../core.js");
+
+const SEEDS = [1, 2, 3, 42, 1234, 987654, "2024-03-05", "endless:7"];
+const SIZES = [
+  { width: 8, height: 5 },
+  { width: 30, height: 17 },
+  { width: 21, height: 12 },
+  { width: 40, height: 25 },
+];
+
+// Every seed at every size, as [options, map].
+function generatedMaps() {
+  const maps = [];
+  for (const size of SIZES) {
+    for (const seed of SEEDS) {
+      const options = { ...size, seed };
+      maps.push([options, generateTunnelMap(options).map]);
+    }
+  }
+  return maps;
+}
+
+test("the same seed and size always give the same map", () => {
+  for (const [options, map] of generatedMaps()) {
+    assert.deepStrictEqual(generateTunnelMap(options).map, map, JSON.stringify(options));
+  }
+  assert.notDeepStrictEqual(generateTunnelMap({ seed: 1 }).map, generateTunnelMap({ seed: 2 }).map);
+});
+
+test("every pellet and open tile is reachable from the entry tile", () => {
+  for (const [options, map] of generatedMaps()) {
+    const entryX = findDefaultEntryColumn(map, 1);
+    assert.notStrictEqual(entryX, null, JSON.stringify(options));
+    const reachable = findReachableTiles(map, entryX, 1);
+    map.forEach((row, y) => {
+      [...row].forEach((tile, x) => {
+        if (tile !== "#") {
+          assert.ok(reachable.has(`${x},${y}`), `${JSON.stringify(options)} tile ${x},${y}`);
+        }
+      });
+    });
+    assert.ok(map.some((row) => row.includes("O")), JSON.stringify(options));
+  }
+});
+
+test("every odd row inside the border passes the enemy lane rule", () => {
+  for (const [options, map] of generatedMaps()) {
+    const { width, height } = options;
+    const isLane = (row) => [...row].filter((tile) => tile !== "#").length > width * 0.6;
+    for (let y = 1; y < height - 1; y += 2) {
+      assert.ok(isLane(map[y]), `${JSON.stringify(options)} row ${y}`);
+    }
+  }
+});
+
+test("the daily seed names the local calendar day", () => {
+  assert.strictEqual(dailySeed(new Date(2024, 2, 5, 0, 1)), "2024-03-05");
+  assert.strictEqual(dailySeed(new Date(2024, 2, 5, 23, 59)), "2024-03-05");
+  assert.strictEqual(dailySeed(new Date(2024, 11, 31)), "2024-12-31");
+
+  // Everyone playing that day gets the same level.
+  const seed = dailySeed(new Date(2024, 2, 5));
+  const first = new GeneratedCampaign(seed, { levelCount: 1 }).getLevel(0);
+  assert.deepStrictEqual(new GeneratedCampaign(seed, { levelCount: 1 }).getLevel(0), first);
+  assert.notDeepStrictEqual(new GeneratedCampaign("2024-03-06").getLevel(0).map, first.map);
+});
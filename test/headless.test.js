@@ -0,0 +1,200 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { CAMPAIGN_LEVELS } = require("../levels.js");
+const {
+  DIFFICULTY_IDS,
+  DIFFICULTY_PRESETS,
+  FIXED_TIMESTEP,
+  GameSession,
+  GeneratedCampaign,
+  InputPlayback,
+  LevelCampaign,
+  SeededRandom,
+  campaignFromDescriptor,
+  parseReplay,
+  runHeadless,
+} = require("../core.js");
+
+// Random drill inputs: a direction change or retract toggle every few ticks.
+function randomInputs(seed, ticks) {
+  const rng = new SeededRandom(seed);
+  const directions = [
+    [0, -1],
+    [0, 1],
+    [-1, 0],
+    [1, 0],
+  ];
+  const inputs = [];
+  let retracting = false;
+  for (let tick = 0; tick < ticks; tick += 1 + rng.int(0, 20)) {
+    if (rng.chance(0.15)) {
+      retracting = !retracting;
+      inputs.push({ tick, action: retracting ? "startRetract" : "stopRetract" });
+    } else {
+      const [dx, dy] = rng.pick(directions);
+      inputs.push({ tick, action: "setDirection", dx, dy });
+    }
+  }
+  return inputs;
+}
+
+function snapshot(session) {
+  return JSON.stringify({
+    tick: session.tick,
+    score: session.score,
+    lives: session.lives,
+    levelIndex: session.levelIndex,
+    remainingTime: session.remainingTime,
+    outcome: session.outcome,
+    drill: [session.drill.x, session.drill.y, session.drill.pipePoints.length],
+    enemies: session.enemies.map((enemy) => [enemy.x, enemy.y, enemy.active]),
+  });
+}
+
+test("campaign levels survive thousands of random ticks", () => {
+  for (let seed = 1; seed <= 5; seed += 1) {
+    const session = new GameSession({ campaign: new LevelCampaign(CAMPAIGN_LEVELS), seed });
+    runHeadless(session, { ticks: 6000, inputs: randomInputs(seed, 6000) });
+
+    assert.ok(session.tick > 0 && session.tick <= 6000);
+    assert.ok(session.lives >= 0 && session.lives <= 3);
+    assert.ok(session.score >= 0);
+    assert.ok(session.remainingTime >= 0 && session.remainingTime <= session.levelTimeLimit);
+    assert.ok(Number.isFinite(session.drill.x) && Number.isFinite(session.drill.y));
+    assert.ok(session.drill.pipePoints.length >= 1);
+    if (session.runEnded) {
+      assert.ok(["gameOver", "campaignComplete"].includes(session.outcome));
+    }
+  }
+});
+
+test("an idle run loses a life to the timer, then ends when sudden death runs out", () => {
+  let outcome = null;
+  const session = new GameSession({
+    campaign: new LevelCampaign(CAMPAIGN_LEVELS),
+    seed: 7,
+    onRunEnd: (result) => {
+      outcome = result;
+    },
+  });
+  runHeadless(session, { ticks: Math.ceil(CAMPAIGN_LEVELS[0].timeLimit * 60) });
+  assert.strictEqual(outcome, null);
+  assert.strictEqual(session.lives, session.preset.lives - 1);
+
+  runHeadless(session, { ticks: 60 * 40 });
+  assert.strictEqual(outcome, "gameOver");
+  assert.strictEqual(session.suddenDeath, true);
+  assert.strictEqual(session.remainingTime, 0);
+});
+
+test("the same seed and inputs reproduce the same run", () => {
+  const inputs = randomInputs(99, 4000);
+  const play = (seed) =>
+    snapshot(
+      runHeadless(new GameSession({ campaign: new GeneratedCampaign(seed), seed }), {
+        ticks: 4000,
+        inputs,
+      })
+    );
+
+  assert.strictEqual(play(1234), play(1234));
+  assert.notStrictEqual(play(1234), play(1235));
+});
+
+test("a recorded run replays to the same result", () => {
+  const live = new GameSession({ campaign: new LevelCampaign(CAMPAIGN_LEVELS), seed: 42 });
+  runHeadless(live, { ticks: 5000, inputs: randomInputs(42, 5000) });
+  const replay = parseReplay(JSON.stringify(live.buildReplay()));
+
+  const copy = new GameSession({
+    campaign: campaignFromDescriptor(replay.campaign),
+    seed: replay.seed,
+    record: false,
+  });
+  runHeadless(copy, { ticks: replay.ticks, inputs: replay.inputs });
+
+  assert.strictEqual(snapshot(copy), snapshot(live));
+});
+
+test("input playback applies inputs on their recorded ticks", () => {
+  const applied = [];
+  const session = {
+    tick: 0,
+    applyInput: (input) => applied.push([session.tick, input.tick]),
+  };
+  const playback = new InputPlayback([
+    { tick: 0, action: "startRetract" },
+    { tick: 0, action: "stopRetract" },
+    { tick: 3, action: "startRetract" },
+  ]);
+  for (; session.tick < 5; session.tick += 1) {
+    playback.applyDue(session);
+  }
+
+  assert.deepStrictEqual(applied, [
+    [0, 0],
+    [0, 0],
+    [3, 3],
+  ]);
+});
+
+test("restarting a level restores its starting score and lives", () => {
+  const inputs = [...randomInputs(5, 900), { tick: 900, action: "restartLevel" }];
+  const live = new GameSession({ campaign: new LevelCampaign(CAMPAIGN_LEVELS), seed: 5 });
+  runHeadless(live, { ticks: 901, inputs });
+
+  assert.strictEqual(live.runEnded, false);
+  assert.strictEqual(live.score, 0);
+  assert.strictEqual(live.lives, 3);
+  assert.strictEqual(live.remainingTime, CAMPAIGN_LEVELS[0].timeLimit - FIXED_TIMESTEP);
+  assert.strictEqual(live.drill.tileTrail.length, 0);
+
+  const laterInputs = randomInputs(6, 600).map((input) => ({ ...input, tick: input.tick + 901 }));
+  runHeadless(live, { ticks: 600, inputs: laterInputs });
+  const replay = parseReplay(JSON.stringify(live.buildReplay()));
+  const copy = new GameSession({
+    campaign: campaignFromDescriptor(replay.campaign),
+    seed: replay.seed,
+    record: false,
+  });
+  runHeadless(copy, { ticks: replay.ticks, inputs: replay.inputs });
+
+  assert.strictEqual(snapshot(copy), snapshot(live));
+});
+
+test("difficulty presets set lives, timer, drill and enemy speed", () => {
+  const campaign = new LevelCampaign(CAMPAIGN_LEVELS);
+  const normal = new GameSession({ campaign, seed: 8 });
+  for (const id of DIFFICULTY_IDS) {
+    const preset = DIFFICULTY_PRESETS[id];
+    const session = new GameSession({ campaign, seed: 8, difficulty: id });
+    assert.strictEqual(session.lives, preset.lives);
+    assert.strictEqual(session.levelTimeLimit, Math.round(CAMPAIGN_LEVELS[0].timeLimit * preset.timeScale));
+    assert.strictEqual(session.drill.speed, preset.drillSpeed);
+    assert.strictEqual(session.drill.retractAcceleration, preset.retractAcceleration);
+    // Same seed, so each enemy rolls the same base speed before scaling.
+    session.enemies.forEach((enemy, i) => {
+      const expected = normal.enemies[i].baseSpeed * preset.enemySpeed;
+      assert.ok(Math.abs(enemy.baseSpeed - expected) < 1e-9);
+    });
+  }
+  assert.throws(() => new GameSession({ campaign, difficulty: "nightmare" }), /Unknown difficulty/);
+});
+
+test("replays record and restore the difficulty", () => {
+  const live = new GameSession({ campaign: new LevelCampaign(CAMPAIGN_LEVELS), seed: 9, difficulty: "hard" });
+  runHeadless(live, { ticks: 3000, inputs: randomInputs(9, 3000) });
+  const replay = parseReplay(JSON.stringify(live.buildReplay()));
+  assert.strictEqual(replay.difficulty, "hard");
+
+  const copy = new GameSession({
+    campaign: campaignFromDescriptor(replay.campaign),
+    seed: replay.seed,
+    difficulty: replay.difficulty,
+    record: false,
+  });
+  runHeadless(copy, { ticks: replay.ticks, inputs: replay.inputs });
+  assert.strictEqual(snapshot(copy), snapshot(live));
+
+  assert.throws(() => parseReplay({ ...replay, difficulty: "nightmare" }), /Unknown difficulty/);
+});
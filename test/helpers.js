@@ -0,0 +1,41 @@
+// Fixtures shared by the session tests.
+const {
+  Enemy,
+  GameSession,
+  LevelCampaign,
+  SeededRandom,
+  WORLD_WIDTH,
+} = require("../core.js");
+
+// A straight shaft down from the entry at column 2, with the level's one
+// pellet at the bottom, `depth` rows down, and no enemy lanes.
+function shaftLevel(depth) {
+  return {
+    name: "Shaft",
+    timeLimit: 60,
+    entryColumn: 2,
+    enemyLanes: [],
+    map: ["#####", ...new Array(depth - 1).fill("##.##"), "##O##", "#####"],
+  };
+}
+
+function makeShaftSession({ depth = 4, seed = 1, difficulty = "normal" } = {}) {
+  return new GameSession({ campaign: new LevelCampaign([shaftLevel(depth)]), seed, difficulty });
+}
+
+// A real enemy of `type` parked at `at`. Enemies spawn at the end of their
+// lane, so the constructor's position is overwritten.
+function enemyAt(session, type, at) {
+  const enemy = new Enemy(session.level, at, 1, 50, WORLD_WIDTH, type, 0, new SeededRandom(1));
+  enemy.x = at.x;
+  enemy.y = at.y;
+  return enemy;
+}
+
+// A spider parked on the shaft at `row`, where the pipe runs once the drill
+// has gone past it.
+function spiderInShaft(session, row) {
+  return enemyAt(session, "01", session.level.tileToPixelCenter(2, row));
+}
+
+module.exports = { enemyAt, makeShaftSession, shaftLevel, spiderInShaft };
@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { HIGH_SCORE_LIMIT, HighScoreTable, MemoryStore } = require("../core.js");
+
+function run(name, score) {
+  return { name, score, level: 2, timeRemaining: 75, difficulty: "hard", date: "2026-01-02" };
+}
+
+test("keeps the best scores in order, ties behind earlier runs", () => {
+  const table = new HighScoreTable(new MemoryStore());
+  assert.strictEqual(table.add(run("AAA", 500)), 0);
+  assert.strictEqual(table.add(run("BBB", 900)), 0);
+  assert.strictEqual(table.add(run("CCC", 500)), 2);
+
+  assert.deepStrictEqual(
+    table.entries.map((entry) => [entry.name, entry.score]),
+    [
+      ["BBB", 900],
+      ["AAA", 500],
+      ["CCC", 500],
+    ]
+  );
+});
+
+test("only qualifying scores make a full table", () => {
+  const table = new HighScoreTable(new MemoryStore());
+  for (let i = 1; i <= HIGH_SCORE_LIMIT; i += 1) {
+    table.add(run("AAA", i * 100));
+  }
+
+  assert.strictEqual(table.qualifies(0), false);
+  assert.strictEqual(table.qualifies(100), false);
+  assert.strictEqual(table.add(run("LOW", 100)), -1);
+  assert.strictEqual(table.add(run("NEW", 150)), HIGH_SCORE_LIMIT - 1);
+  assert.strictEqual(table.entries.length, HIGH_SCORE_LIMIT);
+  assert.strictEqual(table.entries[HIGH_SCORE_LIMIT - 1].name, "NEW");
+});
+
+test("persists entries to the store and reloads them", () => {
+  const store = new MemoryStore();
+  new HighScoreTable(store, { key: "scores" }).add(run("ABC", 1200));
+
+  const reloaded = new HighScoreTable(store, { key: "scores" });
+  assert.deepStrictEqual(reloaded.entries, [run("ABC", 1200)]);
+});
+
+test("fills in today's date and Normal difficulty when none is given", () => {
+  const table = new HighScoreTable(new MemoryStore());
+  table.add({ name: "ABC", score: 10, level: 1, timeRemaining: 0 });
+  assert.match(table.entries[0].date, /^\d{4}-\d{2}-\d{2}$/);
+  assert.strictEqual(table.entries[0].difficulty, "normal");
+});
+
+test("entries saved before difficulty presets load as Normal", () => {
+  const store = new MemoryStore();
+  const { difficulty, ...legacy } = run("OLD", 400);
+  store.setItem("scores", JSON.stringify([legacy]));
+  assert.deepStrictEqual(new HighScoreTable(store, { key: "scores" }).entries, [
+    { ...legacy, difficulty: "normal" },
+  ]);
+});
+
+test("ignores corrupt or malformed stored data", () => {
+  const store = new MemoryStore();
+  store.setItem("scores", "{not json");
+  assert.deepStrictEqual(new HighScoreTable(store, { key: "scores" }).entries, []);
+
+  store.setItem("scores", JSON.stringify([run("OK", 300), { name: "BAD", score: "lots" }, null]));
+  assert.deepStrictEqual(new HighScoreTable(store, { key: "scores" }).entries, [run("OK", 300)]);
+});
@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { CAMPAIGN_LEVELS } = require("../levels.js");
+const { LevelFormatError, parseLevelDefinition } = require("../core.js");
+
+const MAP = ["#####", "##.##", "##O##", "#####"];
+
+// Asserts that `source` is rejected at `row`/`column` with a matching message.
+function assertRejected(source, row, column, message) {
+  assert.throws(() => parseLevelDefinition(source), (error) => {
+    assert.ok(error instanceof LevelFormatError);
+    assert.strictEqual(error.row, row);
+    assert.strictEqual(error.column, column);
+    assert.match(error.message, message);
+    return true;
+  });
+}
+
+test("accepts the campaign levels and level JSON text", () => {
+  for (const level of CAMPAIGN_LEVELS) {
+    assert.deepStrictEqual(parseLevelDefinition(level).map, level.map);
+  }
+  const parsed = parseLevelDefinition(JSON.stringify({ name: "Tiny", map: MAP }));
+  assert.strictEqual(parsed.name, "Tiny");
+  assert.deepStrictEqual(parsed.map, MAP);
+});
+
+test("an unknown tile is reported at its row and column", () => {
+  const map = ["#####", "##.##", "##OX#", "#####"];
+  assertRejected({ map }, 2, 3, /^Row 2, column 3: Unknown tile "X"/);
+});
+
+test("a ragged row is reported by row", () => {
+  assertRejected({ map: ["#####", "##.##", "##O#", "#####"] }, 2, null, /^Row 2: Expected 5 tiles/);
+  assertRejected({ map: ["#####", "##.##", 7, "#####"] }, 2, null, /Expected a string of tiles/);
+});
+
+test("an unreachable pellet is reported at its tile", () => {
+  const map = ["#####", "##.##", "#####", "#O###", "#####"];
+  assertRejected({ map }, 3, 1, /^Row 3, column 1: Pellet cannot be reached/);
+});
+
+test("bad JSON and level-wide problems carry no location", () => {
+  assertRejected("{not json", null, null, /^Level file is not valid JSON/);
+  assertRejected("[]", null, null, /must be a JSON object/);
+  assertRejected({ map: ["#####", "##.##", "#####"] }, null, null, /at least one pellet/);
+  assertRejected({ map: MAP, entryColumn: 9 }, null, null, /"entryColumn" must be an integer/);
+});
+
+test("an entry column on rock is reported at the entry tile", () => {
+  assertRejected({ map: MAP, entryColumn: 1 }, 1, 1, /^Row 1, column 1: Entry column must be an open/);
+});
@@ -0,0 +1,131 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  GameSession,
+  LevelCampaign,
+  SHIELD_DURATION,
+  TIME_POWER_UP_SECONDS,
+  runHeadless,
+} = require("../core.js");
+const { enemyAt } = require("./helpers.js");
+
+// A drop into a corridor lined with a shield, a clock and a repair kit. No
+// enemy lanes, so enemies only show up when a test places one.
+const POWER_UP_LEVEL = {
+  name: "Pickups",
+  timeLimit: 60,
+  entryColumn: 1,
+  enemyLanes: [],
+  map: [
+    "##########",
+    "#.########",
+    "#.STR...O#",
+    "##########",
+  ],
+};
+
+function makeSession() {
+  return new GameSession({ campaign: new LevelCampaign([POWER_UP_LEVEL]), seed: 1 });
+}
+
+// Drills down the shaft and along the corridor until the head reaches `column`.
+function drillTo(session, column) {
+  session.applyInput({ action: "setDirection", dx: 0, dy: 1 });
+  runHeadless(session, { ticks: 60 });
+  session.applyInput({ action: "setDirection", dx: 1, dy: 0 });
+  for (let i = 0; i < 600; i += 1) {
+    const tile = session.level.pixelToTile(session.drill.x, session.drill.y);
+    if (tile.y === 2 && tile.x >= column) {
+      return;
+    }
+    runHeadless(session, { ticks: 1 });
+  }
+  assert.fail(`drill never reached column ${column}`);
+}
+
+// A spider sitting on the entry shaft, well behind the drill head.
+function enemyOnPipe(session) {
+  return enemyAt(session, "01", session.level.tileToPixelCenter(1, 1));
+}
+
+test("drilling through power-ups collects each one and clears its tile", () => {
+  const session = makeSession();
+  drillTo(session, 4);
+
+  assert.strictEqual(session.level.getTile(2, 2), ".");
+  assert.strictEqual(session.level.getTile(3, 2), ".");
+  assert.strictEqual(session.level.getTile(4, 2), ".");
+  assert.ok(session.shieldTimer > SHIELD_DURATION - 1);
+  assert.ok(session.remainingTime > POWER_UP_LEVEL.timeLimit);
+  assert.ok(session.remainingTime <= POWER_UP_LEVEL.timeLimit + TIME_POWER_UP_SECONDS);
+  assert.strictEqual(session.repairKits, 1);
+});
+
+test("the shield keeps enemies off the pipe until it runs out", () => {
+  const session = makeSession();
+  drillTo(session, 2);
+  const enemy = enemyOnPipe(session);
+  session.enemies = [enemy];
+
+  assert.strictEqual(session.enemyHitsPipe(enemy), false);
+  runHeadless(session, { ticks: 60 });
+  assert.strictEqual(session.lives, 3);
+
+  session.shieldTimer = 0;
+  assert.strictEqual(session.enemyHitsPipe(enemy), true);
+});
+
+test("a repair kit absorbs one pipe hit", () => {
+  const session = makeSession();
+  drillTo(session, 4);
+  session.shieldTimer = 0;
+
+  const first = enemyOnPipe(session);
+  session.enemies = [first];
+  session.handleEnemyInteractions();
+  assert.strictEqual(first.active, false);
+  assert.strictEqual(session.repairKits, 0);
+  assert.strictEqual(session.lives, 3);
+
+  session.enemies = [enemyOnPipe(session)];
+  session.handleEnemyInteractions();
+  assert.strictEqual(session.lives, 2);
+});
+
+// A worm parked on the drill head, which it would normally kill.
+function wormOnHead(session) {
+  return enemyAt(session, "02", { x: session.drill.x, y: session.drill.y });
+}
+
+test("the shield and a repair kit also save the drill head from a worm", () => {
+  const session = makeSession();
+  drillTo(session, 4);
+  const worm = wormOnHead(session);
+  session.enemies = [worm];
+
+  session.handleEnemyInteractions();
+  assert.strictEqual(session.lives, 3);
+  assert.strictEqual(session.repairKits, 1);
+  assert.strictEqual(worm.active, true);
+
+  session.shieldTimer = 0;
+  session.handleEnemyInteractions();
+  assert.strictEqual(session.lives, 3);
+  assert.strictEqual(session.repairKits, 0);
+  assert.strictEqual(worm.active, false);
+
+  session.enemies = [wormOnHead(session)];
+  session.handleEnemyInteractions();
+  assert.strictEqual(session.lives, 2);
+});
+
+test("restarting a level gives back the repair kits it started with", () => {
+  const session = makeSession();
+  drillTo(session, 4);
+  assert.strictEqual(session.repairKits, 1);
+
+  session.restartLevel();
+  assert.strictEqual(session.repairKits, 0);
+  assert.strictEqual(session.shieldTimer, 0);
+  assert.strictEqual(session.level.getTile(4, 2), "R");
+});
@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  DEATH_SEQUENCE_SECONDS,
+  FIXED_TIMESTEP,
+  GET_READY_SECONDS,
+  RESPAWN_GRACE_SECONDS,
+  runHeadless,
+} = require("../core.js");
+const { makeShaftSession, spiderInShaft } = require("./helpers.js");
+
+function ticks(seconds) {
+  return Math.ceil(seconds / FIXED_TIMESTEP) + 1;
+}
+
+// Deep enough that the drill never reaches the pellet and clears the level.
+function makeSession(difficulty = "normal") {
+  return makeShaftSession({ depth: 20, seed: 3, difficulty });
+}
+
+// Drops the drill far enough down the shaft that row 1 carries pipe.
+function drillDown(session) {
+  session.applyInput({ action: "setDirection", dx: 0, dy: 1 });
+  runHeadless(session, { ticks: 45 });
+}
+
+test("a pipe hit freezes play on the culprit and the severed pipe", () => {
+  const session = makeSession();
+  drillDown(session);
+  const enemy = spiderInShaft(session, 1);
+  session.enemies = [enemy];
+  const drill = session.drill;
+  const head = { x: drill.x, y: drill.y };
+
+  session.handleEnemyInteractions();
+  assert.strictEqual(session.lives, 2);
+  assert.strictEqual(session.death.enemy, enemy);
+  assert.strictEqual(session.death.x, enemy.x);
+  assert.deepStrictEqual(session.death.severedPipe[0], { x: session.death.x, y: session.death.y });
+  assert.deepStrictEqual(session.death.severedPipe[session.death.severedPipe.length - 1], head);
+
+  // Nothing moves, the clock stops, and the dead drill ignores steering.
+  const time = session.remainingTime;
+  const at = { x: enemy.x, y: enemy.y };
+  session.applyInput({ action: "startRetract" });
+  runHeadless(session, { ticks: 30 });
+  assert.strictEqual(session.remainingTime, time);
+  assert.strictEqual(session.drill, drill);
+  assert.strictEqual(drill.isRetracting, false);
+  assert.deepStrictEqual({ x: enemy.x, y: enemy.y }, at);
+});
+
+test("a fresh drill waits out the countdown, then shrugs off enemies for a moment", () => {
+  const session = makeSession();
+  drillDown(session);
+  const enemy = spiderInShaft(session, 1);
+  session.enemies = [enemy];
+  session.handleEnemyInteractions();
+
+  runHeadless(session, { ticks: ticks(DEATH_SEQUENCE_SECONDS) });
+  assert.strictEqual(session.death, null);
+  // The culprit is sent back to the end of its lane.
+  assert.strictEqual(enemy.x, enemy.startPosition());
+  assert.ok(session.getReadyTimer > 0 && session.isRespawning);
+  assert.strictEqual(session.drill.isDocked, true);
+
+  session.applyInput({ action: "setDirection", dx: 0, dy: 1 });
+  runHeadless(session, { ticks: 30 });
+  assert.strictEqual(session.drill.isDocked, true);
+
+  runHeadless(session, { ticks: ticks(GET_READY_SECONDS) });
+  assert.strictEqual(session.isRespawning, false);
+  assert.ok(session.drill.isInvulnerable);
+  drillDown(session);
+  session.enemies = [spiderInShaft(session, 1)];
+  session.handleEnemyInteractions();
+  assert.strictEqual(session.lives, 2);
+
+  session.enemies = [];
+  runHeadless(session, { ticks: ticks(RESPAWN_GRACE_SECONDS) });
+  assert.strictEqual(session.drill.isInvulnerable, false);
+  session.enemies = [spiderInShaft(session, 1)];
+  session.handleEnemyInteractions();
+  assert.strictEqual(session.lives, 1);
+});
+
+test("the last life ends the run once the death sequence has played", () => {
+  let outcome = null;
+  const session = makeSession("arcade");
+  session.onRunEnd = (result) => {
+    outcome = result;
+  };
+  drillDown(session);
+  session.enemies = [spiderInShaft(session, 1)];
+  session.handleEnemyInteractions();
+
+  assert.strictEqual(session.lives, 0);
+  assert.strictEqual(outcome, null);
+  runHeadless(session, { ticks: ticks(DEATH_SEQUENCE_SECONDS) });
+  assert.strictEqual(outcome, "gameOver");
+});
@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { SCORING, runHeadless } = require("../core.js");
+const { enemyAt, makeShaftSession } = require("./helpers.js");
+
+// The shaft's only pellet is out of reach of a short dig, so the level stays
+// open.
+function makeSession() {
+  return makeShaftSession({ depth: 6, seed: 4 });
+}
+
+// Parks a fresh enemy of `type` on the drill head and lets the session react.
+function killAtHead(session, type) {
+  session.enemies = [enemyAt(session, type, { x: session.drill.x, y: session.drill.y })];
+  session.handleEnemyInteractions();
+}
+
+test("pellets gain a tenth of their value for every row below the entry", () => {
+  const session = makeSession();
+  assert.strictEqual(session.pelletScore(1), SCORING.pellet);
+  assert.strictEqual(session.pelletScore(4), 65);
+  assert.strictEqual(session.pelletScore(11), 100);
+});
+
+test("spider kills chain until the drill retracts", () => {
+  const session = makeSession();
+  session.applyInput({ action: "setDirection", dx: 0, dy: 1 });
+  runHeadless(session, { ticks: 20 });
+
+  const spider = SCORING.enemies["01"];
+  const kills = [];
+  session.events.on("enemyDestroyed", ({ score, chain }) => kills.push([score, chain]));
+  for (let i = 0; i < SCORING.chainMax + 1; i += 1) {
+    killAtHead(session, "01");
+  }
+  // Other enemies score flat and leave the chain alone.
+  killAtHead(session, "04");
+  killAtHead(session, "01");
+  assert.deepStrictEqual(kills, [
+    [spider, 1],
+    [spider * 2, 2],
+    [spider * 3, 3],
+    [spider * 4, 4],
+    [spider * 5, 5],
+    [spider * 5, 5],
+    [SCORING.enemies["04"], 0],
+    [spider * 5, 5],
+  ]);
+
+  session.applyInput({ action: "startRetract" });
+  runHeadless(session, { ticks: 2 });
+  assert.strictEqual(session.killChain, 0);
+  killAtHead(session, "01");
+  assert.deepStrictEqual(kills[kills.length - 1], [spider, 1]);
+});
+
+test("clearing a level pays the flat bonus plus the seconds left on the clock", () => {
+  const session = makeSession();
+  session.applyInput({ action: "setDirection", dx: 0, dy: 1 });
+  runHeadless(session, { ticks: 200 });
+
+  assert.strictEqual(session.levelComplete, true);
+  const timeBonus = Math.floor(session.remainingTime) * SCORING.timeBonusPerSecond;
+  assert.ok(timeBonus > 0);
+  assert.strictEqual(session.timeBonus, timeBonus);
+  assert.strictEqual(session.score, session.pelletScore(6) + SCORING.levelComplete + timeBonus);
+});
+
+test("each extra-life mark awards one life, once", () => {
+  const session = makeSession();
+  const awards = [];
+  session.events.on("extraLife", ({ score }) => awards.push(score));
+  const lives = session.lives;
+  const [first, second, third] = SCORING.extraLives;
+
+  session.addScore(first - 1);
+  assert.strictEqual(session.lives, lives);
+  session.addScore(1);
+  session.addScore(1);
+  assert.strictEqual(session.lives, lives + 1);
+
+  // One big jump can pass several marks.
+  session.addScore(third - session.score);
+  assert.strictEqual(session.lives, lives + 3);
+  assert.deepStrictEqual(awards, [first, second, third]);
+});
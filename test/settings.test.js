@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { MemoryStore, PlayerSettings } = require("../core.js");
+
+test("starts at full volume, unmuted, with full effects", () => {
+  const settings = new PlayerSettings(new MemoryStore());
+  assert.deepStrictEqual(settings.volumes, { master: 1, sfx: 1, drillLoop: 1 });
+  assert.strictEqual(settings.muted, false);
+  assert.strictEqual(settings.reducedEffects, false);
+  assert.strictEqual(settings.screenShake, true);
+});
+
+test("steps volumes in tenths and clamps them to 0..1", () => {
+  const settings = new PlayerSettings(new MemoryStore());
+  settings.stepVolume("sfx", -3);
+  assert.strictEqual(settings.volumes.sfx, 0.7);
+  settings.stepVolume("sfx", 5);
+  assert.strictEqual(settings.volumes.sfx, 1);
+  settings.setVolume("drillLoop", -2);
+  assert.strictEqual(settings.volumes.drillLoop, 0);
+  assert.throws(() => settings.setVolume("music", 0.5), /Unknown volume channel/);
+});
+
+test("persists every change to the store and reloads it", () => {
+  const store = new MemoryStore();
+  const settings = new PlayerSettings(store, { key: "settings" });
+  settings.setVolume("master", 0.4);
+  settings.setMuted(true);
+  settings.setReducedEffects(true);
+  settings.setScreenShake(false);
+
+  const reloaded = new PlayerSettings(store, { key: "settings" });
+  assert.deepStrictEqual(reloaded.volumes, { master: 0.4, sfx: 1, drillLoop: 1 });
+  assert.strictEqual(reloaded.muted, true);
+  assert.strictEqual(reloaded.reducedEffects, true);
+  assert.strictEqual(reloaded.screenShake, false);
+});
+
+test("ignores corrupt data and keeps defaults for malformed fields", () => {
+  const store = new MemoryStore();
+  store.setItem("settings", "{not json");
+  assert.strictEqual(new PlayerSettings(store, { key: "settings" }).volumes.master, 1);
+
+  store.setItem("settings", JSON.stringify({ volumes: { master: "loud", sfx: 3 }, muted: "yes", reducedEffects: true }));
+  const settings = new PlayerSettings(store, { key: "settings" });
+  assert.deepStrictEqual(settings.volumes, { master: 1, sfx: 1, drillLoop: 1 });
+  assert.strictEqual(settings.muted, false);
+  assert.strictEqual(settings.reducedEffects, true);
+});
+
+test("keeps the difficulty, touch pad and trigger choices with the rest", () => {
+  const store = new MemoryStore();
+  const settings = new PlayerSettings(store, { key: "settings", touchPad: true });
+  assert.strictEqual(settings.difficulty, "normal");
+  assert.strictEqual(settings.touchPad, true);
+  assert.strictEqual(settings.analogTrigger, true);
+  assert.throws(() => settings.setDifficulty("nightmare"), /Unknown difficulty/);
+
+  settings.setDifficulty("hard");
+  settings.setTouchPad(false);
+  settings.setAnalogTrigger(false);
+  const reloaded = new PlayerSettings(store, { key: "settings", touchPad: true });
+  assert.strictEqual(reloaded.difficulty, "hard");
+  assert.strictEqual(reloaded.touchPad, false);
+  assert.strictEqual(reloaded.analogTrigger, false);
+
+  store.setItem("settings", JSON.stringify({ difficulty: "nightmare", touchPad: "on" }));
+  const malformed = new PlayerSettings(store, { key: "settings" });
+  assert.strictEqual(malformed.difficulty, "normal");
+  assert.strictEqual(malformed.touchPad, false);
+});
@@ -0,0 +1,159 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  DEATH_SEQUENCE_SECONDS,
+  FIXED_TIMESTEP,
+  GET_READY_SECONDS,
+  GameSession,
+  LevelCampaign,
+  LevelFormatError,
+  parseLevelDefinition,
+  runHeadless,
+} = require("../core.js");
+
+const MAP = [
+  "##########",
+  "....O.....",
+  "####.#####",
+  "..........",
+  "##########",
+];
+
+function session(extra) {
+  const level = { map: MAP, timeLimit: 100, ...extra };
+  return new GameSession({ campaign: new LevelCampaign([level]), seed: 4 });
+}
+
+test("declared spawns replace the default enemies", () => {
+  const { enemies, level } = session({
+    spawns: [
+      { lane: 1, type: "02", count: 3, delay: 2, stagger: 4 },
+      { lane: 3, type: "04", side: "right" },
+    ],
+  });
+
+  assert.deepStrictEqual(
+    enemies.map((enemy) => enemy.type),
+    ["02", "02", "02", "04"]
+  );
+  // "both" alternates lane ends; the lone beetle enters from the right.
+  assert.deepStrictEqual(
+    enemies.map((enemy) => enemy.initialDirection),
+    [1, -1, 1, -1]
+  );
+  const lane = level.getEnemyLane(3);
+  assert.strictEqual(enemies[3].spawnPoint.x, lane.rightX);
+  // Delays step by the stagger, plus up to a second of jitter.
+  enemies.slice(0, 3).forEach((enemy, i) => {
+    assert.ok(enemy.respawnTimer >= 2 + i * 4 && enemy.respawnTimer < 3 + i * 4);
+  });
+});
+
+test("rows named by spawn entries become enemy lanes", () => {
+  const { level } = session({ enemyLanes: [1], spawns: [{ lane: 3, type: "01" }] });
+  assert.ok(level.getEnemyLane(1));
+  assert.ok(level.getEnemyLane(3));
+});
+
+test("ramps speed enemies up and add spawns as the timer drops", () => {
+  const run = session({
+    spawns: [{ lane: 1, type: "02", count: 2 }],
+    ramps: [
+      { below: 40, speed: 1.5, respawn: 0.5, spawns: [{ lane: 3, type: "03" }] },
+      { below: 80, speed: 1.2 },
+    ],
+  });
+  const worm = run.enemies[0];
+  runHeadless(run, { ticks: Math.round(10 / FIXED_TIMESTEP) });
+  assert.strictEqual(run.rampIndex, 0);
+  assert.strictEqual(worm.speedScale, 1);
+
+  // The first ramp lands on the tick the timer crosses 80 seconds.
+  run.remainingTime = 80 + FIXED_TIMESTEP / 2;
+  const speed = worm.speed;
+  runHeadless(run, { ticks: 1 });
+  assert.strictEqual(run.rampIndex, 1);
+  assert.strictEqual(worm.speedScale, 1.2);
+  assert.ok(Math.abs(worm.speed - speed * 1.2) < 1e-9);
+  assert.strictEqual(run.enemies.length, 2);
+
+  run.remainingTime = 39.5;
+  runHeadless(run, { ticks: 1 });
+  assert.strictEqual(run.rampIndex, 2);
+  assert.deepStrictEqual(
+    run.enemies.map((enemy) => [enemy.type, enemy.speedScale, enemy.respawnScale]),
+    [
+      ["02", 1.5, 0.5],
+      ["02", 1.5, 0.5],
+      ["03", 1.5, 0.5],
+    ]
+  );
+
+  run.restartLevel();
+  assert.strictEqual(run.rampIndex, 0);
+  assert.strictEqual(run.enemies.length, 2);
+});
+
+test("ramps ease off when a refill puts the clock back above them", () => {
+  const run = session({
+    timeOut: "refill",
+    spawns: [{ lane: 3, type: "01" }],
+    ramps: [{ below: 40, speed: 1.5, respawn: 0.5, spawns: [{ lane: 3, type: "03" }] }],
+  });
+  run.remainingTime = 1;
+  runHeadless(run, { ticks: 1 });
+  assert.strictEqual(run.rampIndex, 1);
+  assert.strictEqual(run.enemies.length, 2);
+
+  const seconds = 1 + DEATH_SEQUENCE_SECONDS + GET_READY_SECONDS;
+  runHeadless(run, { ticks: Math.ceil(seconds / FIXED_TIMESTEP) + 2 });
+  assert.strictEqual(run.lives, 2);
+  assert.ok(run.remainingTime > 99);
+  assert.strictEqual(run.rampIndex, 0);
+  assert.deepStrictEqual(
+    run.enemies.map((enemy) => [enemy.type, enemy.speedScale, enemy.respawnScale]),
+    [
+      ["01", 1, 1],
+      ["03", 1, 1],
+    ]
+  );
+
+  // Running down again brings the ramp back without a second mine.
+  run.remainingTime = 39.5;
+  runHeadless(run, { ticks: 1 });
+  assert.strictEqual(run.rampIndex, 1);
+  assert.deepStrictEqual(
+    run.enemies.map((enemy) => [enemy.type, enemy.speedScale]),
+    [
+      ["01", 1.5],
+      ["03", 1.5],
+    ]
+  );
+});
+
+test("malformed spawn schedules are rejected", () => {
+  const bad = [
+    [{ spawns: {} }, /"spawns" must be an array/],
+    [{ spawns: [{ lane: 0, type: "01" }] }, /lane has no open tiles/],
+    [{ spawns: [{ lane: 9, type: "01" }] }, /"lane" must be a row from 0 to 4/],
+    [{ spawns: [{ lane: 1, type: "77" }] }, /unknown enemy type "77"/],
+    [{ spawns: [{ lane: 1, type: "01", count: 0 }] }, /"count" must be a positive integer/],
+    [{ spawns: [{ lane: 1, type: "01", side: "up" }] }, /"side" must be one of/],
+    [{ spawns: [{ lane: 1, type: "01", delay: -1 }] }, /"delay" must be a non-negative/],
+    [{ ramps: [{ speed: 2 }] }, /"below" must be a positive number/],
+    [{ ramps: [{ below: 30, spawns: [{ lane: 1 }] }] }, /"ramps" entry 0 spawns entry 0: unknown enemy type/],
+  ];
+  for (const [extra, message] of bad) {
+    assert.throws(() => parseLevelDefinition({ map: MAP, ...extra }), (error) => {
+      assert.ok(error instanceof LevelFormatError);
+      assert.match(error.message, message);
+      return true;
+    });
+  }
+
+  const { ramps } = parseLevelDefinition({ map: MAP, ramps: [{ below: 20 }, { below: 60, speed: 1.1 }] });
+  assert.deepStrictEqual(ramps, [
+    { below: 60, speed: 1.1, respawn: 1, spawns: [] },
+    { below: 20, speed: 1, respawn: 1, spawns: [] },
+  ]);
+});
@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  DEATH_SEQUENCE_SECONDS,
+  FIXED_TIMESTEP,
+  GET_READY_SECONDS,
+  GameSession,
+  LevelCampaign,
+  LevelFormatError,
+  SUDDEN_DEATH_SECONDS,
+  parseLevelDefinition,
+  runHeadless,
+} = require("../core.js");
+
+const MAP = ["#####", "##.##", "##O##", "#####"];
+
+function ticks(seconds) {
+  return Math.ceil(seconds / FIXED_TIMESTEP) + 1;
+}
+
+// Runs an idle session on a 10-second level with the given timeOut rule,
+// recording the events the clock raises.
+function idleSession(timeOut) {
+  const session = new GameSession({
+    campaign: new LevelCampaign([
+      { name: "Clock", timeLimit: 10, timeOut, enemyLanes: [], map: MAP },
+    ]),
+    seed: 5,
+  });
+  session.outcomes = [];
+  session.log = [];
+  session.onRunEnd = (outcome) => session.outcomes.push(outcome);
+  session.events.on("timeExpired", ({ rule }) => session.log.push(["timeExpired", rule]));
+  session.events.on("lifeLost", ({ livesLeft }) => session.log.push(["lifeLost", livesLeft]));
+  return session;
+}
+
+test("levels default to sudden death and reject unknown rules", () => {
+  assert.strictEqual(parseLevelDefinition({ map: MAP }).timeOut, "suddenDeath");
+  assert.strictEqual(parseLevelDefinition({ map: MAP, timeOut: "refill" }).timeOut, "refill");
+  assert.throws(
+    () => parseLevelDefinition({ map: MAP, timeOut: "extraTime" }),
+    (error) => error instanceof LevelFormatError && /"timeOut" must be one of/.test(error.message)
+  );
+});
+
+test("sudden death costs a life, gives a short clock, then ends the run", () => {
+  const session = idleSession("suddenDeath");
+  runHeadless(session, { ticks: ticks(10) });
+  assert.deepStrictEqual(session.log, [["timeExpired", "suddenDeath"], ["lifeLost", 2]]);
+  assert.strictEqual(session.timeExpired, true);
+
+  runHeadless(session, { ticks: ticks(DEATH_SEQUENCE_SECONDS) });
+  assert.strictEqual(session.timeExpired, false);
+  assert.strictEqual(session.suddenDeath, true);
+  assert.strictEqual(session.remainingTime, SUDDEN_DEATH_SECONDS);
+
+  runHeadless(session, { ticks: ticks(GET_READY_SECONDS + SUDDEN_DEATH_SECONDS) });
+  assert.deepStrictEqual(session.outcomes, ["gameOver"]);
+  assert.strictEqual(session.lives, 2);
+});
+
+test("refill costs a life each time and restores the full clock", () => {
+  const session = idleSession("refill");
+  runHeadless(session, { ticks: ticks(10 + DEATH_SEQUENCE_SECONDS) });
+  assert.strictEqual(session.remainingTime, 10);
+  assert.strictEqual(session.suddenDeath, false);
+
+  runHeadless(session, { ticks: ticks(GET_READY_SECONDS + 10) });
+  assert.deepStrictEqual(
+    session.log.filter(([type]) => type === "lifeLost"),
+    [["lifeLost", 2], ["lifeLost", 1]]
+  );
+  assert.deepStrictEqual(session.outcomes, []);
+});
+
+test("game over ends the run the moment the clock hits zero", () => {
+  const session = idleSession("gameOver");
+  runHeadless(session, { ticks: ticks(10) });
+  assert.deepStrictEqual(session.outcomes, ["gameOver"]);
+  assert.deepStrictEqual(session.log, [["timeExpired", "gameOver"]]);
+  assert.strictEqual(session.lives, 3);
+});